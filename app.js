@@ -1,13 +1,55 @@
 // Format King - Main Application
+// UI layer: parsing and detection live in parser.js (FormatParser)
 class FormatKing {
     constructor() {
         this.data = [];
         this.headers = [];
-        this.sortColumn = -1;
-        this.sortDirection = 'asc';
+        this.sortKeys = [];      // [{ column, direction }], primary key first
+        this.sortState = {};     // { tableIndex: sortKeys } so switching tables keeps each table's sort
         this.filteredData = [];
         this.tables = []; // For multiple tables (Databricks format)
         this.currentTableIndex = 0;
+        this.parseJob = null; // File being parsed in the worker
+        this.parser = new FormatParser();
+        this.typeInference = new ColumnTypes();
+        this.inferredTypes = []; // Per column { type, decimal, dayFirst } as detected
+        this.columnTypes = [];   // The same, with manual overrides applied
+        this.typeOverrides = {}; // { tableIndex: { columnIndex: type } }
+        this.rowFilter = new RowFilter(this.typeInference);
+        this.exporter = new TableExporter(this.typeInference);
+        this.xlsxWriter = new XlsxWriter(this.typeInference);
+        this.tableDiff = new TableDiff();
+        this.combiner = new TableCombiner();
+        this.queryEngine = new QueryEngine(this.typeInference);
+        this.pivoter = new TablePivot(this.typeInference);
+        this.profiler = new ColumnProfiler(this.typeInference);
+        this.transforms = new TableTransforms(this.typeInference);
+        this.pipelines = {};       // { tableIndex: pipeline }, see TableTransforms.record
+        this.profileView = null;   // { column, values } of the column profile shown, or null for all columns
+        this.pastedHtml = null;    // { text, tables } from the last paste that carried HTML tables
+        this.jsonPath = null;      // Where the rows are in pasted JSON, as picked; null lets the parser choose
+        this.jsonCellTypes = new WeakMap(); // Row -> each cell's JSON type, for rows parsed from JSON
+        this.columnFilters = {};   // { columnIndex: { op, value, min, max } }
+        this.filterState = {};     // { tableIndex: columnFilters }
+        this.matchHighlights = new Map(); // row -> Map(columnIndex -> RegExps that matched)
+
+        // Windowed rendering: only the rows in view (plus some overscan) are in the DOM
+        this.rowHeight = 41;      // Measured from the rendered rows
+        this.overscanRows = 20;
+        this.renderedRange = { first: -1, last: -1 };
+        this.filterTimer = null;
+        this.scrollFrame = null;
+
+        // Column layout of the current view: display order, hidden columns and
+        // widths, all by column index into headers. Kept per table.
+        this.columnLayout = { order: [], hidden: {}, widths: {} };
+        this.layoutState = {};     // { tableIndex: columnLayout }
+        this.dragColumn = null;
+
+        this.history = new EditHistory();  // Undo/redo of edits to the loaded tables
+        this.contextTarget = null;         // { row, column } the context menu was opened on
+
+        this.copyTarget = 'word';  // What the Copy button copies as, picked from its menu
 
         this.initElements();
         this.initEventListeners();
@@ -22,32 +64,109 @@ class FormatKing {
         this.pasteInput = document.getElementById('paste-input');
         this.delimiterSelect = document.getElementById('delimiter-select');
         this.firstRowHeader = document.getElementById('first-row-header');
+        this.logPattern = document.getElementById('log-pattern');
         this.formatBtn = document.getElementById('format-btn');
 
         // File upload elements
         this.dropZone = document.getElementById('drop-zone');
         this.fileInput = document.getElementById('file-input');
         this.fileNameDisplay = document.getElementById('file-name');
+        this.parseProgress = document.getElementById('parse-progress');
+        this.progressFill = document.getElementById('progress-fill');
+        this.progressText = document.getElementById('progress-text');
+        this.cancelParseBtn = document.getElementById('cancel-parse-btn');
 
         // Output elements
         this.outputSection = document.getElementById('output-section');
         this.dataTable = document.getElementById('data-table');
+        this.tableWrapper = document.getElementById('table-wrapper');
         this.tableHead = document.getElementById('table-head');
         this.tableBody = document.getElementById('table-body');
+        this.tableHead.innerHTML = '<tr class="header-row"></tr><tr class="filter-row"></tr>';
+        this.headerRow = this.tableHead.querySelector('.header-row');
+        this.filterRow = this.tableHead.querySelector('.filter-row');
         this.emptyState = document.getElementById('empty-state');
         this.rowCount = document.getElementById('row-count');
         this.colCount = document.getElementById('col-count');
 
         // Controls
         this.searchInput = document.getElementById('search-input');
+        this.clearSortBtn = document.getElementById('clear-sort-btn');
+        this.columnsBtn = document.getElementById('columns-btn');
+        this.columnChooser = document.getElementById('column-chooser');
+        this.freezeFirstColumn = document.getElementById('freeze-first-column');
+        this.undoBtn = document.getElementById('undo-btn');
+        this.redoBtn = document.getElementById('redo-btn');
+        this.contextMenu = document.getElementById('context-menu');
         this.copyBtn = document.getElementById('copy-btn');
-        this.copyRichBtn = document.getElementById('copy-rich-btn');
+        this.copyTargetBtn = document.getElementById('copy-target-btn');
+        this.copyTargetPanel = document.getElementById('copy-target-panel');
         this.exportCsvBtn = document.getElementById('export-csv-btn');
         this.exportJsonBtn = document.getElementById('export-json-btn');
+        this.exportXlsxBtn = document.getElementById('export-xlsx-btn');
+        this.exportMenuBtn = document.getElementById('export-menu-btn');
+        this.exportMenuPanel = document.getElementById('export-menu-panel');
+        this.exportFormatList = document.getElementById('export-format-list');
+        this.sqlTableName = document.getElementById('sql-table-name');
+        this.sqlQuoteStyle = document.getElementById('sql-quote-style');
 
         // Table selector for multiple tables
         this.tableSelector = document.getElementById('table-selector');
         this.tableSelectorContainer = document.getElementById('table-selector-container');
+
+        // Detected format and "Parse as" override
+        this.parseInfo = document.getElementById('parse-info');
+        this.parseStatus = document.getElementById('parse-status');
+        this.parseAsSelect = document.getElementById('parse-as-select');
+        this.compareFormatsBtn = document.getElementById('compare-formats-btn');
+        this.jsonOptions = document.getElementById('json-options');
+        this.jsonPathSelect = document.getElementById('json-path-select');
+        this.flattenJson = document.getElementById('flatten-json');
+        this.explodeArrays = document.getElementById('explode-arrays');
+        this.dataFrameOptions = document.getElementById('dataframe-options');
+        this.dataFrameIndex = document.getElementById('dataframe-index');
+        this.parseWarning = document.getElementById('parse-warning');
+        this.diffBtn = document.getElementById('diff-btn');
+        this.diffPanel = document.getElementById('diff-panel');
+        this.diffBefore = document.getElementById('diff-before');
+        this.diffAfter = document.getElementById('diff-after');
+        this.diffKeys = document.getElementById('diff-keys');
+        this.diffUnchanged = document.getElementById('diff-unchanged');
+        this.runDiffBtn = document.getElementById('run-diff-btn');
+        this.diffPasteInput = document.getElementById('diff-paste-input');
+        this.addTableBtn = document.getElementById('add-table-btn');
+        this.diffSummary = document.getElementById('diff-summary');
+        this.combineBtn = document.getElementById('combine-btn');
+        this.combinePanel = document.getElementById('combine-panel');
+        this.combineMode = document.getElementById('combine-mode');
+        this.combineFirst = document.getElementById('combine-first');
+        this.combineSecond = document.getElementById('combine-second');
+        this.combineOptions = document.getElementById('combine-options');
+        this.runCombineBtn = document.getElementById('run-combine-btn');
+        this.queryBtn = document.getElementById('query-btn');
+        this.queryPanel = document.getElementById('query-panel');
+        this.queryTables = document.getElementById('query-tables');
+        this.queryInput = document.getElementById('query-input');
+        this.runQueryBtn = document.getElementById('run-query-btn');
+        this.queryError = document.getElementById('query-error');
+        this.transformsBtn = document.getElementById('transforms-btn');
+        this.transformsPanel = document.getElementById('transforms-panel');
+        this.transformOp = document.getElementById('transform-op');
+        this.transformOptions = document.getElementById('transform-options');
+        this.addStepBtn = document.getElementById('add-step-btn');
+        this.transformSteps = document.getElementById('transform-steps');
+        this.pipelineName = document.getElementById('pipeline-name');
+        this.savePipelineBtn = document.getElementById('save-pipeline-btn');
+        this.savedPipelinesList = document.getElementById('saved-pipelines');
+        this.profileBtn = document.getElementById('profile-btn');
+        this.profilePanel = document.getElementById('profile-panel');
+        this.pivotBtn = document.getElementById('pivot-btn');
+        this.pivotPanel = document.getElementById('pivot-panel');
+        this.pivotMode = document.getElementById('pivot-mode');
+        this.pivotSource = document.getElementById('pivot-source');
+        this.pivotOptions = document.getElementById('pivot-options');
+        this.runPivotBtn = document.getElementById('run-pivot-btn');
+        this.formatPreview = document.getElementById('format-preview');
     }
 
     initEventListeners() {
@@ -61,6 +180,7 @@ class FormatKing {
 
         // File upload
         this.fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
+        this.cancelParseBtn.addEventListener('click', () => this.cancelParse());
 
         // Drag and drop
         this.dropZone.addEventListener('dragover', (e) => {
@@ -80,25 +200,181 @@ class FormatKing {
         });
 
         // Search
-        this.searchInput.addEventListener('input', () => this.filterTable());
+        this.searchInput.addEventListener('input', () => this.scheduleFilter());
+
+        // Render the rows scrolled into view, at most once per frame
+        this.tableWrapper.addEventListener('scroll', () => {
+            if (this.scrollFrame) return;
+            this.scrollFrame = requestAnimationFrame(() => {
+                this.scrollFrame = null;
+                this.renderVisibleRows();
+            });
+        });
+        this.clearSortBtn.addEventListener('click', () => this.clearSort());
+
+        // Diff two tables by key
+        this.diffBtn.addEventListener('click', () => this.toggleDiffPanel());
+        this.diffBefore.addEventListener('change', () => this.renderDiffKeys());
+        this.diffAfter.addEventListener('change', () => this.renderDiffKeys());
+        this.runDiffBtn.addEventListener('click', () => this.runDiff());
+        this.addTableBtn.addEventListener('click', () => this.addPastedTable());
+
+        // Join or append two tables into a new one
+        this.combineBtn.addEventListener('click', () => this.toggleCombinePanel());
+        this.combineMode.addEventListener('change', () => this.renderCombineOptions());
+        this.combineFirst.addEventListener('change', () => this.renderCombineOptions());
+        this.combineSecond.addEventListener('change', () => this.renderCombineOptions());
+        this.runCombineBtn.addEventListener('click', () => this.runCombine());
+
+        // Cleaning steps, recorded as a pipeline that can be edited and saved
+        this.transformOp.innerHTML = Object.entries(TableTransforms.OPERATIONS)
+            .map(([op, label]) => `<option value="${op}">${label}</option>`).join('');
+        this.transformsBtn.addEventListener('click', () => this.toggleTransformsPanel());
+        this.transformOp.addEventListener('change', () => this.renderTransformOptions());
+        this.addStepBtn.addEventListener('click', () => this.addTransformStep());
+        this.savePipelineBtn.addEventListener('click', () => this.savePipeline());
+
+        // Column profiles; a single column's opens from its header's menu
+        this.profileBtn.addEventListener('click', () => this.toggleProfilePanel());
+
+        // Pivot or unpivot the current view into a new table
+        this.pivotBtn.addEventListener('click', () => this.togglePivotPanel());
+        this.pivotMode.addEventListener('change', () => this.renderPivotOptions());
+        this.runPivotBtn.addEventListener('click', () => this.runPivot());
+
+        // SQL over the loaded tables; clicking a table or column name inserts it
+        this.queryBtn.addEventListener('click', () => this.toggleQueryPanel());
+        this.runQueryBtn.addEventListener('click', () => this.runQuery());
+        this.queryInput.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+                e.preventDefault();
+                this.runQuery();
+            }
+        });
+        this.queryTables.addEventListener('click', (e) => {
+            const name = e.target.closest('[data-insert]');
+            if (name) this.insertQueryText(name.dataset.insert);
+        });
+
+        // Editing: double-click a cell, right-click for row/column actions
+        this.undoBtn.addEventListener('click', () => this.undo());
+        this.redoBtn.addEventListener('click', () => this.redo());
+        this.tableBody.addEventListener('dblclick', (e) => {
+            const cell = this.cellAt(e.target);
+            if (cell) this.startCellEdit(cell.td, cell.row, cell.column);
+        });
+        this.tableBody.addEventListener('contextmenu', (e) => {
+            const cell = this.cellAt(e.target);
+            if (cell) this.openContextMenu(e, cell.column, cell.row);
+        });
+        this.contextMenu.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const item = e.target.closest('[data-action]');
+            if (item) this.runContextAction(item.dataset.action);
+        });
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            // Text fields keep their own undo
+            if (e.target.closest && e.target.closest('input, textarea, select')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // Column chooser and frozen first column
+        this.columnsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.renderColumnChooser();
+            this.columnChooser.classList.toggle('hidden');
+        });
+        this.columnChooser.addEventListener('click', (e) => e.stopPropagation());
+        this.freezeFirstColumn.addEventListener('change', () => {
+            this.dataTable.classList.toggle('freeze-first', this.freezeFirstColumn.checked);
+        });
+
+        // Per-column filters (the filter row is re-rendered, so listen on the header)
+        this.tableHead.addEventListener('input', (e) => {
+            const container = e.target.closest('.column-filter');
+            if (container) this.updateColumnFilter(container);
+        });
 
         // Export buttons
-        this.copyBtn.addEventListener('click', () => this.copyToClipboard());
-        this.copyRichBtn.addEventListener('click', () => this.copyRichTable());
+        this.copyBtn.addEventListener('click', () => this.copyAs(this.copyTarget));
         this.exportCsvBtn.addEventListener('click', () => this.exportCSV());
         this.exportJsonBtn.addEventListener('click', () => this.exportJSON());
+        this.exportXlsxBtn.addEventListener('click', () => this.exportXLSX());
+
+        // Copy target menu: picking a target copies and makes it the Copy button's default
+        this.renderCopyTargetMenu();
+        this.copyTargetBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.exportMenuPanel.classList.add('hidden');
+            this.copyTargetPanel.classList.toggle('hidden');
+        });
+        this.copyTargetPanel.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const option = e.target.closest('[data-target]');
+            if (!option) return;
+            this.setCopyTarget(option.dataset.target);
+            this.copyTargetPanel.classList.add('hidden');
+            this.copyAs(option.dataset.target);
+        });
+
+        // "More formats" menu: copy or download Markdown, box tables, SQL, ...
+        this.renderExportMenu();
+        this.exportMenuBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.copyTargetPanel.classList.add('hidden');
+            this.exportMenuPanel.classList.toggle('hidden');
+        });
+        this.exportMenuPanel.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const format = button.closest('.export-option').dataset.format;
+            if (button.dataset.action === 'copy') this.copyExport(format);
+            else this.downloadExport(format);
+        });
+        document.addEventListener('click', () => {
+            this.exportMenuPanel.classList.add('hidden');
+            this.copyTargetPanel.classList.add('hidden');
+            this.columnChooser.classList.add('hidden');
+            this.contextMenu.classList.add('hidden');
+        });
 
         // Table selector for multiple tables
         if (this.tableSelector) {
             this.tableSelector.addEventListener('change', (e) => this.switchToTable(parseInt(e.target.value)));
         }
 
+        // Re-parse the same input as another format
+        this.parseAsSelect.addEventListener('change', (e) => this.reparseAs(e.target.value));
+        this.compareFormatsBtn.addEventListener('click', () => this.toggleFormatPreview());
+        this.jsonPathSelect.addEventListener('change', (e) => {
+            this.jsonPath = e.target.value;
+            this.reparseAs(this.parseResult.format);
+        });
+        this.flattenJson.addEventListener('change', () => this.reparseAs(this.parseResult.format));
+        this.explodeArrays.addEventListener('change', () => this.reparseAs(this.parseResult.format));
+        this.dataFrameIndex.addEventListener('change', () => this.reparseAs(this.parseResult.format));
+        this.formatPreview.addEventListener('click', (e) => {
+            const card = e.target.closest('.preview-card');
+            if (card) this.reparseAs(card.dataset.format);
+        });
+
         // Keyboard shortcut for format
         this.pasteInput.addEventListener('keydown', (e) => {
             if (e.ctrlKey && e.key === 'Enter') {
                 this.formatFromText();
             }
         });
+        // Tables copied from Sheets, Excel or web pages come with their HTML
+        this.pasteInput.addEventListener('paste', (e) => this.handlePaste(e));
     }
 
     switchTab(tabId) {
@@ -111,766 +387,2168 @@ class FormatKing {
         });
     }
 
-    detectDelimiter(text) {
-        const lines = text.trim().split('\n').slice(0, 5);
-        const delimiters = [',', ';', '\t', '|'];
-        const counts = {};
+    // Switch to a different table (for multi-table support)
+    switchToTable(index) {
+        // index -1 means "All Tables"
+        if (index === -1) {
+            this.currentTableIndex = -1;
+            // Combine all tables into one view with table name as first
+            // column; the copied rows get their JSON types copied too
+            const combined = this.combiner.stack(this.tables.map(table => ({
+                ...table,
+                cellTypes: table.data.some(row => this.jsonCellTypes.has(row))
+                    ? table.data.map(row => this.jsonCellTypes.get(row) || null)
+                    : null
+            })));
+            this.headers = combined.headers;
+            this.data = combined.data;
+            if (combined.cellTypes) {
+                combined.data.forEach((row, r) => {
+                    if (combined.cellTypes[r]) this.jsonCellTypes.set(row, combined.cellTypes[r]);
+                });
+            }
+            this.restoreSort();
+            this.restoreFilters();
+            this.restoreLayout();
+            this.inferColumnTypes();
+            this.renderFilterRow();
+            this.filterTable();
+        } else if (index >= 0 && index < this.tables.length) {
+            this.currentTableIndex = index;
+            const table = this.tables[index];
+            this.headers = table.headers;
+            this.data = table.data;
+            this.restoreSort();
+            this.restoreFilters();
+            this.restoreLayout();
+            this.inferColumnTypes();
+            this.renderFilterRow();
+            this.filterTable();
+        }
+        this.refreshPanels();
+    }
+
+    // Infer each column's type for the current view, keeping manual overrides
+    inferColumnTypes() {
+        this.inferredTypes = this.headers.map((_, i) => this.typeInference.inferColumn(this.data, i));
+        const overrides = this.typeOverrides[this.currentTableIndex] || {};
+        this.columnTypes = this.inferredTypes.map((t, i) => overrides[i] ? { ...t, type: overrides[i] } : t);
+    }
 
-        delimiters.forEach(d => {
-            counts[d] = lines.map(line => (line.match(new RegExp(d === '|' ? '\\|' : d, 'g')) || []).length);
+    // Column types of one parsed table (not the current view), with its overrides
+    tableColumnTypes(tableIndex) {
+        const table = this.tables[tableIndex];
+        const overrides = this.typeOverrides[tableIndex] || {};
+        return table.headers.map((_, i) => {
+            const inferred = this.typeInference.inferColumn(table.data, i);
+            return overrides[i] ? { ...inferred, type: overrides[i] } : inferred;
         });
+    }
 
-        // Find delimiter with most consistent count across lines
-        let bestDelimiter = ',';
-        let bestScore = 0;
+    // Manually set a column's type; picking the inferred type clears the override
+    setColumnType(columnIndex, type) {
+        const overrides = this.typeOverrides[this.currentTableIndex] || {};
+        if (type === this.inferredTypes[columnIndex].type) {
+            delete overrides[columnIndex];
+        } else {
+            overrides[columnIndex] = type;
+        }
+        this.typeOverrides[this.currentTableIndex] = overrides;
+        this.columnTypes[columnIndex] = { ...this.inferredTypes[columnIndex], type };
 
-        delimiters.forEach(d => {
-            const avg = counts[d].reduce((a, b) => a + b, 0) / counts[d].length;
-            const variance = counts[d].reduce((sum, val) => sum + Math.pow(val - avg, 2), 0) / counts[d].length;
-            const score = avg > 0 ? avg / (variance + 1) : 0;
+        // The new type may not offer the operator the column was filtered with
+        const filter = this.columnFilters[columnIndex];
+        if (filter && !this.rowFilter.operatorsFor(type).includes(filter.op)) {
+            delete this.columnFilters[columnIndex];
+        }
+        this.renderFilterRow();
+        this.filterTable();
+    }
 
-            if (score > bestScore) {
-                bestScore = score;
-                bestDelimiter = d;
+    // Update table selector dropdown
+    updateTableSelector() {
+        if (!this.tableSelector || !this.tableSelectorContainer) return;
+
+        this.combineBtn.classList.toggle('hidden', this.tables.length < 2);
+        if (this.tables.length > 1) {
+            this.tableSelectorContainer.classList.remove('hidden');
+            const totalRows = this.tables.reduce((sum, t) => sum + t.data.length, 0);
+            const options = [
+                `<option value="-1">All Tables (${totalRows} rows)</option>`,
+                ...this.tables.map((table, i) =>
+                    `<option value="${i}">${this.escapeHtml(table.name)} (${table.data.length} rows)</option>`
+                )
+            ];
+            this.tableSelector.innerHTML = options.join('');
+        } else {
+            this.tableSelectorContainer.classList.add('hidden');
+        }
+    }
+
+
+    formatFromText() {
+        const text = this.pasteInput.value.trim();
+        if (!text) {
+            this.showToast('Please enter some data first');
+            return;
+        }
+
+        this.jsonPath = null;
+        // A custom pattern that doesn't compile would just never match; say why
+        if (this.logPattern.value.trim()) {
+            try {
+                this.parser.compileLogPattern(this.logPattern.value);
+            } catch (err) {
+                this.showToast(err.message);
+                return;
             }
+        }
+        // Still the text of an HTML paste: its tables beat the flattened text
+        if (this.pastedHtml && this.pastedHtml.text.trim() === text) {
+            this.applyPastedHtml();
+            return;
+        }
+        this.pastedHtml = null;
+        this.parseText(text);
+    }
+
+    // Load the tables of a paste that carries HTML with <table>s, keeping
+    // merged cells and line breaks the plain text loses. The plain text still
+    // goes into the box (and is what "Parse as" works on); pastes without
+    // tables are left to the text pipeline.
+    handlePaste(e) {
+        const html = e.clipboardData ? e.clipboardData.getData('text/html') : '';
+        if (!html || !/<table[\s>]/i.test(html)) return;
+        const tables = this.htmlTables(html);
+        if (tables.length === 0) return;
+        this.pastedHtml = { text: e.clipboardData.getData('text/plain'), tables };
+        this.jsonPath = null;
+        this.applyPastedHtml();
+    }
+
+    applyPastedHtml() {
+        const { text, tables } = this.pastedHtml;
+        const candidates = [
+            { id: 'html', label: 'Pasted HTML table', confidence: 1 },
+            ...(text.trim() ? this.parser.detect(text, this.getParseOptions()) : [])
+        ];
+        const copies = tables.map(t => ({ ...t, headers: [...t.headers], data: t.data.map(row => [...row]) }));
+        this.applyParseResult({ format: 'html', label: 'Pasted HTML table', confidence: 1, tables: copies, candidates }, text.trim() || null);
+    }
+
+    // Every innermost <table> in an HTML fragment, parsed into a table
+    htmlTables(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const elements = [...doc.querySelectorAll('table')].filter(table => !table.querySelector('table'));
+        return elements.map((table, n) => {
+            const rows = [...table.rows].map(tr => {
+                const cells = [...tr.cells].map(cell => ({
+                    text: this.htmlCellText(cell),
+                    colspan: parseInt(cell.getAttribute('colspan'), 10) || 1,
+                    rowspan: cell.hasAttribute('rowspan') ? parseInt(cell.getAttribute('rowspan'), 10) : 1
+                }));
+                const header = tr.parentElement.tagName === 'THEAD' ||
+                    (tr.cells.length > 0 && [...tr.cells].every(cell => cell.tagName === 'TH'));
+                return { header, cells };
+            });
+            const caption = table.caption ? this.htmlCellText(table.caption) : '';
+            return this.parser.cellGridToTable(rows, this.firstRowHeader.checked, caption || `Table ${n + 1}`);
+        }).filter(Boolean);
+    }
+
+    // A cell's text as shown: <br> and block elements break lines, other
+    // whitespace collapses as it does on the page
+    htmlCellText(element) {
+        let text = '';
+        const blocks = /^(P|DIV|LI|TR|H[1-6]|BLOCKQUOTE|PRE|UL|OL)$/;
+        const walk = (node) => {
+            if (node.nodeType === 3) {
+                text += node.nodeValue.replace(/\s+/g, ' ');
+            } else if (node.nodeType === 1 && !/^(STYLE|SCRIPT|TEMPLATE)$/.test(node.tagName)) {
+                if (node.tagName === 'BR') text += '\n';
+                const block = blocks.test(node.tagName);
+                if (block) text += '\n';
+                node.childNodes.forEach(walk);
+                if (block) text += '\n';
+            }
+        };
+        element.childNodes.forEach(walk);
+        return text.split('\n').map(line => line.trim()).join('\n').replace(/\n{2,}/g, '\n').trim();
+    }
+
+    // Current parse options from the input controls
+    getParseOptions(format = 'auto') {
+        return {
+            delimiter: this.getSelectedDelimiter(),
+            firstRowHeader: this.firstRowHeader.checked,
+            format,
+            jsonPath: this.jsonPath,
+            flattenJSON: this.flattenJson.checked,
+            explodeArrays: this.explodeArrays.checked,
+            dataFrameIndex: this.dataFrameIndex.value,
+            logPattern: this.logPattern.value.trim() ? this.logPattern.value : ''
+        };
+    }
+
+    // Parse text (auto-detecting the format unless one is given) and load the result.
+    // A file name lets the parser pick the format from the extension.
+    parseText(text, format = 'auto', fileName = null) {
+        let result;
+        try {
+            const options = this.getParseOptions(format);
+            result = fileName
+                ? this.parser.parseFile(fileName, text, options)
+                : this.parser.parse(text, options);
+        } catch (err) {
+            this.updateParseInfo(); // Put the dropdown back on the format still shown
+            this.showToast(`Could not parse: ${err.message}`);
+            return;
+        }
+
+        if (result.tables.length === 0) {
+            this.updateParseInfo();
+            this.showToast(format === 'auto' ? 'No data found' : 'No table found in that format');
+            return;
+        }
+
+        this.applyParseResult(result, text);
+    }
+
+    // Load a parse result; text is kept for "Parse as" (null when it isn't available)
+    applyParseResult(result, text) {
+        this.lastInput = text;
+        this.parseResult = result;
+        this.loadTables(result.tables);
+        this.updateParseInfo();
+
+        const tables = result.tables;
+        const totalRows = tables.reduce((sum, t) => sum + t.data.length, 0);
+        const messages = {
+            databricks: `Loaded ${tables.length} table(s), ${totalRows} total rows`,
+            markdown: `Loaded ${tables.length} Markdown table(s), ${totalRows} total rows`,
+            vertical: `Loaded ${totalRows} expanded record(s)`,
+            dataframe: `Loaded DataFrame: ${totalRows} rows`,
+            logfmt: `Loaded ${totalRows} log lines`,
+            'access-log': `Loaded ${totalRows} access log lines`,
+            'log-pattern': `Loaded ${totalRows} lines with the custom pattern`,
+            json: `Loaded JSON data: ${totalRows} rows`,
+            ndjson: `Loaded JSON Lines: ${totalRows} rows`,
+            'fixed-width': `Loaded fixed-width table: ${totalRows} rows`,
+            csv: `Loaded ${totalRows} rows`,
+            html: `Loaded ${tables.length} pasted table(s), ${totalRows} total rows`
+        };
+        this.showToast(messages[result.format] || `Loaded ${tables.length} table(s), ${totalRows} total rows`);
+    }
+
+    // Re-parse the last input as the given format
+    reparseAs(formatId) {
+        if (formatId === 'html' && this.pastedHtml) {
+            this.applyPastedHtml();
+            return;
+        }
+        if (!this.lastInput) return;
+        this.parseText(this.lastInput, formatId);
+    }
+
+    // Show the picked format and fill the "Parse as" dropdown
+    updateParseInfo() {
+        const result = this.parseResult;
+        if (!result) {
+            this.parseInfo.classList.add('hidden');
+            this.formatPreview.classList.add('hidden');
+            return;
+        }
+
+        const percent = (c) => `${Math.round(c * 100)}%`;
+        this.parseStatus.textContent = `Parsed as: ${result.label}, ${percent(result.confidence)}`;
+        this.parseAsSelect.innerHTML = result.candidates.map(c =>
+            `<option value="${c.id}" ${c.id === result.format ? 'selected' : ''}>${this.escapeHtml(c.label)} (${percent(c.confidence)})</option>`
+        ).join('');
+
+        // Very large files aren't kept around as text, so they can't be re-parsed
+        const canReparse = this.lastInput !== null;
+        this.parseAsSelect.disabled = !canReparse;
+        this.compareFormatsBtn.disabled = !canReparse;
+        this.parseAsSelect.title = canReparse ? '' : 'Input too large to re-parse';
+        if (!canReparse) this.formatPreview.classList.add('hidden');
+        this.renderJsonOptions();
+        // Polars frames have no index to keep or drop
+        const hasIndex = result.format === 'dataframe' && canReparse && !this.parser.isPolarsFrame(this.lastInput);
+        this.dataFrameOptions.classList.toggle('hidden', !hasIndex);
+        // E.g. a truncated DataFrame printout: say what the table is missing
+        const warnings = result.tables.flatMap(t => t.warnings || []);
+        this.parseWarning.textContent = warnings.join(' ');
+        this.parseWarning.classList.toggle('hidden', warnings.length === 0);
+        this.parseInfo.classList.remove('hidden');
+
+        if (!this.formatPreview.classList.contains('hidden')) {
+            this.renderFormatPreview();
+        }
+    }
+
+    // JSON input: which array or object to tabulate, and how to treat nesting
+    renderJsonOptions() {
+        const result = this.parseResult;
+        const isJson = ['json', 'ndjson'].includes(result.format) && this.lastInput !== null;
+        this.jsonOptions.classList.toggle('hidden', !isJson);
+        if (!isJson) return;
+
+        const value = this.parser.readAnyJSON(this.lastInput);
+        const paths = value === undefined ? [] : this.parser.jsonTablePaths(value);
+        const selected = this.jsonPath || this.parser.defaultJSONPath(paths);
+        const rows = (p) => (p.kind === 'record' ? 'one row' : `${p.rows} ${p.rows === 1 ? 'row' : 'rows'}`);
+        this.jsonPathSelect.innerHTML = paths.map(p =>
+            `<option value="${this.escapeHtml(p.path)}" ${p.path === selected ? 'selected' : ''}>${this.escapeHtml(p.path)} (${rows(p)})</option>`
+        ).join('');
+        this.jsonPathSelect.disabled = paths.length < 2;
+    }
+
+    toggleFormatPreview() {
+        const show = this.formatPreview.classList.contains('hidden');
+        if (show) this.renderFormatPreview();
+        this.formatPreview.classList.toggle('hidden', !show);
+    }
+
+    // Side-by-side preview of the first rows the input gives under each format
+    renderFormatPreview(previewRows = 5) {
+        if (!this.parseResult) return;
+        const options = this.getParseOptions();
+
+        this.formatPreview.innerHTML = this.parseResult.candidates.map(candidate => {
+            let tables = [];
+            try {
+                tables = candidate.id === 'html' && this.pastedHtml
+                    ? this.pastedHtml.tables
+                    : this.parser.parseAs(candidate.id, this.lastInput, options);
+            } catch {
+                tables = [];
+            }
+
+            let body;
+            if (tables.length === 0) {
+                body = '<p class="preview-note">No table found</p>';
+            } else {
+                const table = tables[0];
+                const rows = table.data.slice(0, previewRows);
+                const note = tables.length > 1 ? `First of ${tables.length} tables, ` : '';
+                body = `
+                    <p class="preview-note">${note}${table.data.length} rows, ${table.headers.length} columns</p>
+                    <table>
+                        <thead><tr>${table.headers.map(h => `<th>${this.escapeHtml(h)}</th>`).join('')}</tr></thead>
+                        <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${this.escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+                    </table>
+                `;
+            }
+
+            const active = candidate.id === this.parseResult.format ? 'active' : '';
+            return `
+                <div class="preview-card ${active}" data-format="${candidate.id}" title="Parse as ${this.escapeHtml(candidate.label)}">
+                    <h4>${this.escapeHtml(candidate.label)} <span class="confidence">${Math.round(candidate.confidence * 100)}%</span></h4>
+                    ${body}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Delimiter chosen in the dropdown, as the parser expects it
+    getSelectedDelimiter() {
+        const delimiter = this.delimiterSelect.value;
+        return delimiter === '\\t' ? '\t' : delimiter;
+    }
+
+    // Replace the loaded tables and show the default view
+    loadTables(tables) {
+        this.tables = tables;
+        this.typeOverrides = {};
+        this.sortState = {};
+        this.filterState = {};
+        this.layoutState = {};
+        this.pipelines = {};
+        // Column types a format states (e.g. Polars dtypes) start out as overrides
+        tables.forEach((table, i) => {
+            if (!table.typeHints) return;
+            const overrides = {};
+            table.typeHints.forEach((type, column) => {
+                if (type) overrides[column] = type;
+            });
+            this.typeOverrides[i] = overrides;
+            delete table.typeHints;
         });
+        // JSON types ride along with the rows, so sorting and row edits keep them
+        for (const table of tables) {
+            if (!table.cellTypes) continue;
+            table.data.forEach((row, r) => this.jsonCellTypes.set(row, table.cellTypes[r]));
+            delete table.cellTypes;
+        }
+        this.history.clear();
+        this.updateHistoryButtons();
+        this.diffBtn.classList.toggle('hidden', tables.length === 0);
+        this.queryBtn.classList.toggle('hidden', tables.length === 0);
+        this.pivotBtn.classList.toggle('hidden', tables.length === 0);
+        this.profileBtn.classList.toggle('hidden', tables.length === 0);
+        this.transformsBtn.classList.toggle('hidden', tables.length === 0);
+        this.diffPanel.classList.add('hidden');
+        this.combinePanel.classList.add('hidden');
+        this.queryPanel.classList.add('hidden');
+        this.pivotPanel.classList.add('hidden');
+        this.profilePanel.classList.add('hidden');
+        this.transformsPanel.classList.add('hidden');
+        this.updateTableSelector();
+        // Default to "All Tables" view (-1) when multiple tables
+        const defaultView = tables.length > 1 ? -1 : 0;
+        this.switchToTable(defaultView);
+        if (this.tableSelector) {
+            this.tableSelector.value = defaultView.toString();
+        }
+        // Saved cleaning steps recorded on a table with the same columns are offered right away
+        if (this.savedPipelines().some(p => tables.some(t => this.transforms.fits(p, t.headers)))) {
+            this.toggleTransformsPanel();
+        }
+    }
 
-        return bestDelimiter;
-    }
-
-    // Detect if text is Databricks/SQL ASCII table format or Unicode box table
-    isDatabricksFormat(text) {
-        // Look for patterns like +----+----+ and |value|value|
-        // Use \s* to handle leading whitespace
-        const hasBorderLines = /^\s*\+[-+]+\+/m.test(text);
-        const hasDataLines = /^\s*\|.+\|/m.test(text);
-        const hasTableHeader = /^=+\s*\n\s*TABLE:/m.test(text) || hasBorderLines;
-
-        // Also check for Unicode box-drawing characters (Claude terminal output)
-        // Use \s* to handle leading whitespace
-        const hasUnicodeBorders = /[┌┐└┘├┤┬┴┼─│]/m.test(text);
-        const hasUnicodeDataLines = /^\s*│.+│/m.test(text);
-
-        return (hasBorderLines && hasDataLines) || hasTableHeader || (hasUnicodeBorders && hasUnicodeDataLines);
-    }
-
-    // Parse Databricks/SQL ASCII table format
-    parseDatabricksFormat(text) {
-        const tables = [];
-        const lines = text.split('\n');
-
-        let currentTableName = null;
-        let currentRows = [];
-        let inTable = false;
-        let headerParsed = false;
-        let currentHeaders = [];
-
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-
-            // Check for table name header (e.g., "TABLE: blasts")
-            const tableNameMatch = line.match(/^TABLE:\s*(.+)$/);
-            if (tableNameMatch) {
-                // Save previous table if exists
-                if (currentRows.length > 0 && currentHeaders.length > 0) {
-                    tables.push({
-                        name: currentTableName || `Table ${tables.length + 1}`,
-                        headers: currentHeaders,
-                        data: currentRows
-                    });
-                }
-                currentTableName = tableNameMatch[1].trim();
-                currentRows = [];
-                currentHeaders = [];
-                headerParsed = false;
-                inTable = false;
-                continue;
+    handleFileSelect(e) {
+        const file = e.target.files[0];
+        if (file) this.processFile(file);
+    }
+
+    processFile(file) {
+        this.fileNameDisplay.textContent = `Selected: ${file.name}`;
+        this.jsonPath = null;
+        this.pastedHtml = null;
+
+        if (SpreadsheetReader.isSpreadsheet(file.name)) {
+            this.processSpreadsheet(file);
+            return;
+        }
+
+        const worker = this.createParseWorker();
+        if (worker) {
+            this.parseFileInWorker(worker, file);
+        } else {
+            this.parseFileOnMainThread(file);
+        }
+    }
+
+    // Workers can't be created everywhere (e.g. pages opened from file://)
+    createParseWorker() {
+        if (typeof Worker === 'undefined') return null;
+        try {
+            return new Worker('parse-worker.js');
+        } catch {
+            return null;
+        }
+    }
+
+    // Fallback when no worker is available: read and parse the whole file here
+    parseFileOnMainThread(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const text = e.target.result.trim();
+            if (!text) {
+                this.showToast('No data found');
+                return;
             }
+            this.parseText(text, 'auto', file.name);
+        };
+        reader.readAsText(file);
+    }
 
-            // Clean line - remove trailing commas that might be artifacts
-            const cleanLine = line.replace(/,+$/, '').trim();
+    // Parse a file in the worker, showing progress. Large delimited files
+    // stream in: their first rows are shown while the rest is still being read.
+    parseFileInWorker(worker, file) {
+        this.cancelParse(false);
+        this.parseJob = { worker, file, table: null, refreshTimer: null };
+        this.showProgress(0, file.size);
+
+        worker.onmessage = (e) => {
+            const message = e.data;
+            const job = this.parseJob;
+            if (!job || job.worker !== worker) return;
+
+            switch (message.type) {
+                case 'progress':
+                    this.showProgress(message.loaded, message.total);
+                    break;
+                case 'rows':
+                    this.receiveStreamedRows(job, message);
+                    break;
+                case 'done':
+                    this.finishParseJob();
+                    if (job.table) {
+                        this.finishStreamedTable(job.table, message.width);
+                    } else if (message.result.tables.length > 0) {
+                        this.applyParseResult(message.result, message.text);
+                    } else {
+                        this.showToast('No data found');
+                    }
+                    break;
+                case 'error':
+                    this.finishParseJob();
+                    this.showToast(`Could not parse: ${message.message}`);
+                    break;
+            }
+        };
 
-            // Skip separator lines (====== or +----+ or Unicode borders ┌─┬─┐ ├─┼─┤ └─┴─┘)
-            // Also handle lines that might not have closing characters
-            if (/^=+$/.test(cleanLine) || /^\+[-+]+\+?$/.test(cleanLine) || /^[┌├└][─┬┼┴]+[┐┤┘]?$/.test(cleanLine)) {
-                if (inTable && headerParsed) {
-                    // This might be end of table or just a separator
-                }
-                inTable = true;
-                continue;
+        // A worker that fails to start (e.g. blocked script) falls back to the main thread
+        worker.onerror = (e) => {
+            e.preventDefault();
+            const job = this.parseJob;
+            if (!job || job.worker !== worker) return;
+            this.finishParseJob();
+            if (job.table) {
+                this.showToast('Parsing failed part-way through');
+            } else {
+                this.parseFileOnMainThread(file);
             }
+        };
 
-            // Parse data lines (|value|value|value| or │value│value│value│)
-            // Handle lines that might be missing closing | or │
-            const isAsciiDataLine = cleanLine.startsWith('|');
-            const isUnicodeDataLine = cleanLine.startsWith('│');
+        worker.postMessage({ type: 'parse-file', file, options: this.getParseOptions() });
+    }
 
-            if (isAsciiDataLine || isUnicodeDataLine) {
-                const delimiter = isUnicodeDataLine ? '│' : '|';
-                let content = cleanLine;
+    // Rows streamed from the worker go straight into the shown table
+    receiveStreamedRows(job, message) {
+        if (!job.table) {
+            job.table = { name: 'Table 1', headers: message.headers, data: message.rows };
+            this.lastInput = null;
+            this.parseResult = { ...message.meta, tables: [job.table] };
+            this.loadTables([job.table]);
+            this.updateParseInfo();
+            return;
+        }
 
-                // Remove leading delimiter
-                content = content.slice(1);
+        const data = job.table.data;
+        for (const row of message.rows) data.push(row);
 
-                // Remove trailing delimiter if present
-                if (content.endsWith(delimiter)) {
-                    content = content.slice(0, -1);
-                }
+        // Re-filter at most twice a second while rows keep coming
+        if (!job.refreshTimer) {
+            job.refreshTimer = setTimeout(() => {
+                job.refreshTimer = null;
+                if (this.tables[0] === job.table) this.filterTable(false);
+            }, 500);
+        }
+    }
 
-                const cells = content
-                    .split(delimiter)
-                    .map(cell => cell.trim());
+    // Pad the streamed table out to its widest row, as rowsToTable does
+    finishStreamedTable(table, width) {
+        while (table.headers.length < width) {
+            table.headers.push(this.firstRowHeader.checked ? '' : `Column ${table.headers.length + 1}`);
+        }
+        for (const row of table.data) {
+            while (row.length < width) row.push('');
+        }
 
-                if (!headerParsed) {
-                    currentHeaders = cells;
-                    headerParsed = true;
-                } else {
-                    currentRows.push(cells);
+        if (this.tables[0] === table) {
+            this.inferColumnTypes();
+            this.renderFilterRow();
+            this.filterTable(false);
+        }
+        this.showToast(`Loaded ${table.data.length} rows`);
+    }
+
+    // Stop the running parse. Rows already streamed in are kept.
+    cancelParse(notify = true) {
+        const job = this.parseJob;
+        if (!job) return;
+        job.worker.terminate();
+        this.finishParseJob();
+
+        if (!notify) return;
+        if (job.table) {
+            const width = job.table.data.reduce((max, row) => Math.max(max, row.length), job.table.headers.length);
+            this.finishStreamedTable(job.table, width);
+            this.showToast(`Cancelled - kept the first ${job.table.data.length} rows`);
+        } else {
+            this.showToast('Cancelled');
+        }
+    }
+
+    finishParseJob() {
+        const job = this.parseJob;
+        if (!job) return;
+        clearTimeout(job.refreshTimer);
+        job.worker.terminate();
+        this.parseJob = null;
+        this.parseProgress.classList.add('hidden');
+    }
+
+    showProgress(loaded, total) {
+        const percent = total > 0 ? Math.min(100, Math.round(loaded / total * 100)) : 0;
+        this.parseProgress.classList.remove('hidden');
+        this.progressFill.style.width = `${percent}%`;
+        this.progressText.textContent = `Parsing... ${percent}%`;
+    }
+
+    // Excel/ODS workbooks: one table per worksheet
+    processSpreadsheet(file) {
+        const spreadsheetReader = new SpreadsheetReader();
+        if (!spreadsheetReader.isAvailable()) {
+            this.showToast('Spreadsheet support is missing - vendor/xlsx.full.min.js did not load');
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            let tables;
+            try {
+                tables = spreadsheetReader.read(e.target.result, { firstRowHeader: this.firstRowHeader.checked });
+            } catch (err) {
+                this.showToast(`Could not read spreadsheet: ${err.message}`);
+                return;
+            }
+
+            if (tables.length === 0) {
+                this.showToast('No data found');
+                return;
+            }
+
+            // Binary input can't be re-parsed as a text format
+            this.lastInput = null;
+            this.parseResult = null;
+            this.loadTables(tables);
+            this.updateParseInfo();
+
+            const totalRows = tables.reduce((sum, t) => sum + t.data.length, 0);
+            this.showToast(`Loaded ${tables.length} sheet(s), ${totalRows} total rows`);
+        };
+        reader.readAsArrayBuffer(file);
+    }
+
+    renderTable() {
+        // Update counts
+        const total = this.data.length;
+        const shown = this.filteredData.length;
+        this.rowCount.textContent = shown === total ? `${total} rows` : `${shown} of ${total} rows`;
+        const columns = this.visibleColumns();
+        this.colCount.textContent = columns.length === this.headers.length
+            ? `${this.headers.length} columns`
+            : `${columns.length} of ${this.headers.length} columns`;
+        this.clearSortBtn.classList.toggle('hidden', this.sortKeys.length === 0);
+
+        // Render headers (the filter row below is left alone so its inputs keep focus).
+        // The second click of a double-click renames instead of sorting again.
+        this.headerRow.innerHTML = columns.map(i => `
+            <th onclick="if (event.detail < 2) app.sortTable(${i}, event.shiftKey)" class="${this.sortPosition(i) ? 'sorted' : ''}"
+                style="${this.columnWidthStyle(i)}" draggable="true"
+                ondragstart="app.startColumnDrag(event, ${i})" ondragover="app.dragOverColumn(event, ${i})"
+                ondragleave="this.classList.remove('drop-before', 'drop-after')" ondrop="app.dropColumn(event, ${i})"
+                ondragend="app.endColumnDrag()" oncontextmenu="app.openContextMenu(event, ${i}, null)"
+                title="Click to sort, Shift+click to add as another sort column. Double-click to rename, drag to move.">
+                <span class="header-label" ondblclick="app.startRename(event, ${i})">${this.escapeHtml(this.headers[i])}</span>
+                ${this.renderTypeBadge(i)}
+                <span class="sort-indicator">${this.renderSortIndicator(i)}</span>
+                <span class="column-resizer" onclick="event.stopPropagation()" onmousedown="app.startColumnResize(event, ${i})"></span>
+            </th>
+        `).join('');
+
+        this.renderVisibleRows(true);
+
+        // Show table, hide empty state
+        this.dataTable.classList.add('visible');
+        this.emptyState.classList.add('hidden');
+    }
+
+    // Render only the rows scrolled into view; spacer rows above and below
+    // stand in for the rest so the scrollbar matches the full row count
+    renderVisibleRows(force = false) {
+        const total = this.filteredData.length;
+        const viewportHeight = this.tableWrapper.clientHeight || 600;
+        const scrollTop = Math.max(0, this.tableWrapper.scrollTop - this.tableHead.offsetHeight);
+
+        const first = Math.max(0, Math.floor(scrollTop / this.rowHeight) - this.overscanRows);
+        const last = Math.min(total, Math.ceil((scrollTop + viewportHeight) / this.rowHeight) + this.overscanRows);
+        if (!force && first === this.renderedRange.first && last === this.renderedRange.last) return;
+        this.renderedRange = { first, last };
+
+        const columns = this.visibleColumns();
+        const colspan = Math.max(columns.length, 1);
+        const spacer = (rows) => rows > 0
+            ? `<tr class="spacer"><td colspan="${colspan}" style="height: ${rows * this.rowHeight}px"></td></tr>`
+            : '';
+
+        // Highlight only the cells each filter matched, and a diff's changes
+        const diff = this.currentDiff();
+        const rows = [];
+        for (let index = first; index < last; index++) {
+            const row = this.filteredData[index];
+            const highlights = this.matchHighlights.get(row);
+            const change = diff && diff.rows.get(row);
+            const rowClass = [index % 2 === 1 ? 'stripe' : '', change ? `diff-${change.status}` : ''].join(' ').trim();
+            rows.push(`
+                <tr class="${rowClass}" data-row="${index}">
+                    ${columns.map(i => `<td style="${this.columnWidthStyle(i)}"${change && change.changed.includes(i) ? ' class="diff-cell"' : ''}>${this.highlightText(row[i] ?? '', highlights && highlights.get(i))}</td>`).join('')}
+                </tr>
+            `);
+        }
+        this.tableBody.innerHTML = spacer(first) + rows.join('') + spacer(total - last);
+
+        // Spacers are sized from the real row height once there are rows to
+        // measure. Cells are kept to one line, so the rows share a height.
+        const rendered = this.tableBody.querySelectorAll('tr:not(.spacer)');
+        const height = rendered.length > 0
+            ? (rendered[rendered.length - 1].getBoundingClientRect().bottom - rendered[0].getBoundingClientRect().top) / rendered.length
+            : 0;
+        if (height > 0 && Math.abs(height - this.rowHeight) > 0.5) {
+            this.rowHeight = height;
+            this.renderVisibleRows(true);
+        }
+    }
+
+    // Type badge for a header; it's a dropdown so the type can be overridden
+    renderTypeBadge(columnIndex) {
+        const columnType = this.columnTypes[columnIndex];
+        if (!columnType) return '';
+        const inferred = this.inferredTypes[columnIndex].type;
+        const overridden = columnType.type !== inferred;
+        const options = ColumnTypes.TYPES.map(type =>
+            `<option value="${type}" ${type === columnType.type ? 'selected' : ''}>${ColumnTypes.LABELS[type]}</option>`
+        ).join('');
+
+        return `<select class="type-badge ${overridden ? 'overridden' : ''}"
+                    title="Column type: ${columnType.type} (inferred: ${inferred})"
+                    onclick="event.stopPropagation()"
+                    onchange="app.setColumnType(${columnIndex}, this.value)">${options}</select>`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Same as escapeHtml, but also safe inside a quoted attribute value
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+
+    // Escape a cell's text and wrap the parts matching any of the patterns
+    highlightText(text, patterns) {
+        if (!patterns || patterns.length === 0) return this.escapeHtml(text);
+
+        const marked = new Array(text.length).fill(false);
+        for (const pattern of patterns) {
+            const regex = pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`);
+            regex.lastIndex = 0;
+            let match;
+            while ((match = regex.exec(text)) !== null) {
+                if (match[0] === '') {
+                    regex.lastIndex++;
+                    continue;
                 }
+                marked.fill(true, match.index, match.index + match[0].length);
             }
         }
 
-        // Don't forget the last table
-        if (currentRows.length > 0 && currentHeaders.length > 0) {
-            tables.push({
-                name: currentTableName || `Table ${tables.length + 1}`,
-                headers: currentHeaders,
-                data: currentRows
+        let html = '';
+        for (let start = 0; start < text.length;) {
+            let end = start;
+            while (end < text.length && marked[end] === marked[start]) end++;
+            const part = this.escapeHtml(text.slice(start, end));
+            html += marked[start] ? `<span class="highlight">${part}</span>` : part;
+            start = end;
+        }
+        return html;
+    }
+
+    // Pick up the column layout last used on the current table
+    restoreLayout() {
+        this.columnLayout = this.layoutState[this.currentTableIndex] || { order: [], hidden: {}, widths: {} };
+        this.layoutState[this.currentTableIndex] = this.columnLayout;
+    }
+
+    // Indexes of all columns in display order. Columns the layout doesn't
+    // know yet (e.g. added while streaming) go at the end.
+    orderedColumns() {
+        const known = this.columnLayout.order.filter(i => i < this.headers.length);
+        const added = this.headers.map((_, i) => i).filter(i => !known.includes(i));
+        return [...known, ...added];
+    }
+
+    // Indexes of the shown columns in display order
+    visibleColumns() {
+        return this.orderedColumns().filter(i => !this.columnLayout.hidden[i]);
+    }
+
+    columnWidthStyle(columnIndex) {
+        const width = this.columnLayout.widths[columnIndex];
+        return width ? `width: ${width}px; min-width: ${width}px; max-width: ${width}px;` : '';
+    }
+
+    // Current view as exported: shown columns in display order
+    visibleView(rows = this.filteredData) {
+        const columns = this.visibleColumns();
+        return {
+            headers: columns.map(i => this.headers[i]),
+            rows: rows.map(row => columns.map(i => row[i] ?? '')),
+            columnTypes: columns.map(i => this.columnTypes[i])
+        };
+    }
+
+    // A parsed table cut down to the columns shown in "All Tables",
+    // matched by header name
+    visibleTableColumns(table) {
+        const shown = this.visibleColumns().filter(i => i > 0).map(i => this.headers[i]);
+        return shown.map(name => table.headers.indexOf(name)).filter(i => i !== -1);
+    }
+
+    renderColumnChooser() {
+        const { hidden } = this.columnLayout;
+        this.columnChooser.innerHTML = `
+            <div class="column-chooser-actions">
+                <button class="btn small" onclick="app.setAllColumnsHidden(false)">Show all</button>
+                <button class="btn small" onclick="app.setAllColumnsHidden(true)">Hide all</button>
+            </div>
+            ${this.orderedColumns().map(i => `
+                <label class="column-option">
+                    <input type="checkbox" ${hidden[i] ? '' : 'checked'} onchange="app.setColumnHidden(${i}, !this.checked)">
+                    ${this.escapeHtml(this.headers[i])}
+                </label>
+            `).join('')}
+        `;
+    }
+
+    // At least one column always stays visible
+    setColumnHidden(columnIndex, hide) {
+        if (hide && this.visibleColumns().length === 1 && !this.columnLayout.hidden[columnIndex]) {
+            this.showToast('At least one column has to stay visible');
+            this.renderColumnChooser();
+            return;
+        }
+        if (hide) this.columnLayout.hidden[columnIndex] = true;
+        else delete this.columnLayout.hidden[columnIndex];
+        this.renderFilterRow();
+        this.renderTable();
+    }
+
+    // "Hide all" keeps the first column in display order
+    setAllColumnsHidden(hide) {
+        const [first] = this.orderedColumns();
+        this.columnLayout.hidden = {};
+        if (hide) {
+            this.headers.forEach((_, i) => {
+                if (i !== first) this.columnLayout.hidden[i] = true;
             });
         }
+        this.renderColumnChooser();
+        this.renderFilterRow();
+        this.renderTable();
+    }
+
+    startColumnDrag(event, columnIndex) {
+        this.dragColumn = columnIndex;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', this.headers[columnIndex]);
+    }
+
+    // Mark which side of the header the dragged column would land on
+    dragOverColumn(event, columnIndex) {
+        if (this.dragColumn === null || this.dragColumn === columnIndex) return;
+        event.preventDefault();
+        const th = event.currentTarget;
+        const rect = th.getBoundingClientRect();
+        const after = event.clientX > rect.left + rect.width / 2;
+        th.classList.toggle('drop-before', !after);
+        th.classList.toggle('drop-after', after);
+    }
+
+    dropColumn(event, targetIndex) {
+        event.preventDefault();
+        const after = event.currentTarget.classList.contains('drop-after');
+        const moved = this.dragColumn;
+        this.endColumnDrag();
+        if (moved === null || moved === targetIndex) return;
+
+        const order = this.orderedColumns().filter(i => i !== moved);
+        order.splice(order.indexOf(targetIndex) + (after ? 1 : 0), 0, moved);
+        this.columnLayout.order = order;
+        this.renderFilterRow();
+        this.renderTable();
+    }
+
+    endColumnDrag() {
+        this.dragColumn = null;
+        this.headerRow.querySelectorAll('.drop-before, .drop-after')
+            .forEach(th => th.classList.remove('drop-before', 'drop-after'));
+    }
+
+    // Drag a header's right edge; the rows are re-rendered at the new width on release
+    startColumnResize(event, columnIndex) {
+        event.preventDefault();
+        event.stopPropagation();
+        const th = event.target.closest('th');
+        const startX = event.clientX;
+        const startWidth = th.getBoundingClientRect().width;
+
+        const move = (e) => {
+            const width = Math.max(40, Math.round(startWidth + e.clientX - startX));
+            this.columnLayout.widths[columnIndex] = width;
+            th.style.cssText = this.columnWidthStyle(columnIndex);
+        };
+        const up = () => {
+            document.removeEventListener('mousemove', move);
+            document.removeEventListener('mouseup', up);
+            this.renderFilterRow();
+            this.renderVisibleRows(true);
+        };
+        document.addEventListener('mousemove', move);
+        document.addEventListener('mouseup', up);
+    }
+
+    startRename(event, columnIndex) {
+        event.stopPropagation();
+        const label = event.currentTarget;
+        label.closest('th').draggable = false;
+        this.editInPlace(label, this.headers[columnIndex], 'rename-input', (value) => {
+            if (value === null) this.renderTable();
+            else this.renameColumn(columnIndex, value);
+        });
+    }
+
+    // Swap an element's content for an input. Enter or leaving it calls
+    // done(value), Escape calls done(null).
+    editInPlace(element, value, className, done) {
+        element.innerHTML = `<input type="text" class="${className}" value="${this.escapeAttribute(value)}">`;
+        const input = element.querySelector('input');
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+            done(save ? input.value : null);
+        };
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('dblclick', (e) => e.stopPropagation());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+        input.focus();
+        input.select();
+    }
+
+    // Rename a column in the current view and the table it came from.
+    // In "All Tables" every table with that column gets the new name.
+    renameColumn(columnIndex, name) {
+        const newName = name.trim();
+        const oldName = this.headers[columnIndex];
+        if (!newName || newName === oldName) {
+            this.renderTable();
+            return;
+        }
+
+        const headers = this.headers;
+        const sources = this.currentTableIndex === -1 && columnIndex > 0
+            ? this.tables.filter(t => t.headers.includes(oldName))
+            : [];
+        const rename = (from, to) => {
+            for (const table of sources) table.headers[table.headers.indexOf(from)] = to;
+            headers[columnIndex] = to;
+        };
+        this.runEdit(`rename "${oldName}"`, () => rename(oldName, newName), () => rename(newName, oldName));
+        this.showToast(`Renamed "${oldName}" to "${newName}"`);
+    }
+
+    // The cell under an element in the table body: { td, row, column } or null
+    cellAt(element) {
+        const td = element.closest('td');
+        const tr = td && td.closest('tr[data-row]');
+        if (!tr) return null;
+        return {
+            td,
+            row: this.filteredData[Number(tr.dataset.row)],
+            column: this.visibleColumns()[td.cellIndex]
+        };
+    }
+
+    // Cell and structure edits change the parsed tables, which "All Tables" only copies
+    canEditData() {
+        if (this.currentTableIndex !== -1) return true;
+        this.showToast('Pick a single table to edit it');
+        return false;
+    }
+
+    // Run an edit through the undo history, bound to the current table.
+    // Edits other than re-running the cleaning steps settle those steps, so
+    // that re-running them later can't lose the edit.
+    runEdit(label, apply, revert, rerunsSteps = false) {
+        const tableIndex = this.currentTableIndex;
+        let unsettled = {};
+        const settle = () => {
+            unsettled = {};
+            const indexes = tableIndex === -1 ? Object.keys(this.pipelines) : [tableIndex];
+            for (const i of indexes) {
+                if (!this.pipelines[i]) continue;
+                unsettled[i] = this.pipelines[i];
+                this.pipelines[i] = this.transforms.settle(this.pipelines[i]);
+            }
+        };
+        this.history.execute({
+            label,
+            tableIndex,
+            apply: rerunsSteps ? apply : () => { settle(); apply(); },
+            revert: rerunsSteps ? revert : () => { revert(); Object.assign(this.pipelines, unsettled); }
+        });
+        this.afterEdit();
+    }
+
+    // Values may have changed type, and rows may now pass or fail the filters
+    afterEdit() {
+        this.inferColumnTypes();
+        this.renderFilterRow();
+        this.filterTable(false);
+        this.updateHistoryButtons();
+        this.refreshPanels();
+    }
+
+    undo() {
+        this.stepHistory(this.history.nextUndo, () => this.history.undo(), 'Undid');
+    }
+
+    redo() {
+        this.stepHistory(this.history.nextRedo, () => this.history.redo(), 'Redid');
+    }
+
+    // Go back to the table an edit was made on before undoing or redoing it
+    stepHistory(command, step, verb) {
+        if (!command) return;
+        if (command.tableIndex !== this.currentTableIndex) this.showTable(command.tableIndex);
+        step();
+        if (command.tableIndex === -1) {
+            // "All Tables" holds copies of the table headers; rebuild it from them
+            this.switchToTable(-1);
+            this.updateHistoryButtons();
+        } else {
+            this.afterEdit();
+        }
+        this.showToast(`${verb} ${command.label}`);
+    }
 
-        // If no named tables found, try parsing as single table
-        if (tables.length === 0) {
-            const singleTable = this.parseSingleAsciiTable(text);
-            if (singleTable) {
-                tables.push(singleTable);
+    updateHistoryButtons() {
+        const { nextUndo, nextRedo } = this.history;
+        this.undoBtn.disabled = !nextUndo;
+        this.redoBtn.disabled = !nextRedo;
+        this.undoBtn.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        this.redoBtn.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Y)` : 'Redo (Ctrl+Y)';
+    }
+
+    startCellEdit(td, row, columnIndex) {
+        if (!this.canEditData()) return;
+        this.editInPlace(td, row[columnIndex] ?? '', 'cell-input', (value) => {
+            if (value === null || value === (row[columnIndex] ?? '')) {
+                this.renderVisibleRows(true);
+                return;
             }
+            this.editCell(row, columnIndex, value);
+        });
+    }
+
+    editCell(row, columnIndex, value) {
+        const before = row[columnIndex] ?? '';
+        const set = (text) => {
+            while (row.length <= columnIndex) row.push('');
+            row[columnIndex] = text;
+        };
+        this.runEdit(`edit in "${this.headers[columnIndex]}"`, () => set(value), () => set(before));
+    }
+
+    // Row and column actions for a header (row is null) or a cell
+    openContextMenu(event, columnIndex, row) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.contextTarget = { column: columnIndex, row };
+
+        const items = [
+            ...(row ? [
+                ['insert-row-above', 'Insert row above'],
+                ['insert-row-below', 'Insert row below'],
+                ['delete-row', 'Delete row']
+            ] : [['insert-row-top', 'Insert row at top']]),
+            ['insert-column-left', 'Insert column left'],
+            ['insert-column-right', 'Insert column right'],
+            ['delete-column', `Delete column "${this.headers[columnIndex]}"`],
+            ['profile-column', `Profile "${this.headers[columnIndex]}"`]
+        ];
+        this.contextMenu.innerHTML = items.map(([action, label], i) => `
+            ${i > 0 && ['insert-column-left', 'profile-column'].includes(action) ? '<hr>' : ''}
+            <button class="context-item" data-action="${action}">${this.escapeHtml(label)}</button>
+        `).join('');
+
+        this.contextMenu.classList.remove('hidden');
+        const { innerWidth, innerHeight } = window;
+        const rect = this.contextMenu.getBoundingClientRect();
+        this.contextMenu.style.left = `${Math.min(event.clientX, innerWidth - rect.width - 8)}px`;
+        this.contextMenu.style.top = `${Math.min(event.clientY, innerHeight - rect.height - 8)}px`;
+    }
+
+    runContextAction(action) {
+        this.contextMenu.classList.add('hidden');
+        if (this.contextTarget && action === 'profile-column') return this.showColumnProfile(this.contextTarget.column);
+        if (!this.contextTarget || !this.canEditData()) return;
+        const { column, row } = this.contextTarget;
+        const at = row ? this.data.indexOf(row) : 0;
+
+        switch (action) {
+            case 'insert-row-above': return this.insertRow(at);
+            case 'insert-row-below': return this.insertRow(at + 1);
+            case 'insert-row-top': return this.insertRow(0);
+            case 'delete-row': return this.deleteRow(row);
+            case 'insert-column-left': return this.insertColumn(column, 'left');
+            case 'insert-column-right': return this.insertColumn(column, 'right');
+            case 'delete-column': return this.deleteColumn(column);
         }
+    }
 
-        return tables;
-    }
-
-    // Parse a single ASCII table without TABLE: headers
-    parseSingleAsciiTable(text) {
-        const lines = text.split('\n');
-        let headers = [];
-        let data = [];
-        let headerParsed = false;
-        let tableName = null;
-
-        // Check for a title line before the table (e.g., "Table Name Decoder" or "Summary")
-        for (let i = 0; i < lines.length; i++) {
-            const trimmed = lines[i].trim();
-            // If we find a non-empty line that's not a border, it might be a title
-            if (trimmed && !/^[┌├└\+]/.test(trimmed) && !/^[│|]/.test(trimmed) && !/^=+$/.test(trimmed)) {
-                // Check if any following line (within next 3 lines) is a border (indicating this is a title)
-                for (let j = 1; j <= 3 && i + j < lines.length; j++) {
-                    const nextLine = lines[i + j]?.trim() || '';
-                    if (/^[┌\+]/.test(nextLine)) {
-                        tableName = trimmed;
-                        break;
-                    }
-                    // Stop if we hit a data line
-                    if (/^[│|]/.test(nextLine)) break;
-                }
-                if (tableName) break;
+    insertRow(at) {
+        const data = this.data;
+        const row = new Array(this.headers.length).fill('');
+        this.runEdit('insert row', () => data.splice(at, 0, row), () => data.splice(data.indexOf(row), 1));
+        if (!this.filteredData.includes(row)) this.showToast('Row inserted (hidden by the current filter)');
+    }
+
+    deleteRow(row) {
+        const data = this.data;
+        const at = data.indexOf(row);
+        if (at === -1) return;
+        this.runEdit('delete row', () => data.splice(data.indexOf(row), 1), () => data.splice(at, 0, row));
+    }
+
+    // Insert an empty column next to another, in the data and in the display order
+    insertColumn(referenceColumn, side) {
+        const { headers, data } = this;
+        const at = side === 'left' ? referenceColumn : referenceColumn + 1;
+        let name = 'New column';
+        for (let n = 2; headers.includes(name); n++) name = `New column ${n}`;
+        let saved = null;
+
+        const apply = () => {
+            saved = this.saveColumnState();
+            const order = this.orderedColumns().map(i => (i >= at ? i + 1 : i));
+            const position = order.indexOf(referenceColumn >= at ? referenceColumn + 1 : referenceColumn);
+            order.splice(side === 'left' ? position : position + 1, 0, at);
+
+            headers.splice(at, 0, name);
+            for (const row of data) {
+                while (row.length < at) row.push('');
+                row.splice(at, 0, '');
+                const types = this.jsonCellTypes.get(row);
+                if (types) types.splice(at, 0, null);
             }
-            // Stop looking once we hit the table
-            if (/^[┌\+│|]/.test(trimmed)) break;
+            this.remapColumnState(i => (i >= at ? i + 1 : i));
+            this.columnLayout.order = order;
+        };
+        const revert = () => {
+            headers.splice(at, 1);
+            for (const row of data) {
+                row.splice(at, 1);
+                const types = this.jsonCellTypes.get(row);
+                if (types) types.splice(at, 1);
+            }
+            this.restoreColumnState(saved);
+        };
+        this.runEdit('insert column', apply, revert);
+    }
+
+    deleteColumn(columnIndex) {
+        const { headers, data } = this;
+        if (headers.length === 1) {
+            this.showToast('A table needs at least one column');
+            return;
+        }
+        const name = headers[columnIndex];
+        let values = [];
+        let types = [];
+        let saved = null;
+
+        const apply = () => {
+            saved = this.saveColumnState();
+            headers.splice(columnIndex, 1);
+            values = data.map(row => row.splice(columnIndex, 1)[0] ?? '');
+            types = data.map(row => (this.jsonCellTypes.has(row) ? this.jsonCellTypes.get(row).splice(columnIndex, 1)[0] : null));
+            this.remapColumnState(i => (i === columnIndex ? -1 : i > columnIndex ? i - 1 : i));
+        };
+        const revert = () => {
+            headers.splice(columnIndex, 0, name);
+            data.forEach((row, k) => {
+                row.splice(columnIndex, 0, values[k]);
+                if (this.jsonCellTypes.has(row)) this.jsonCellTypes.get(row).splice(columnIndex, 0, types[k]);
+            });
+            this.restoreColumnState(saved);
+        };
+        this.runEdit(`delete column "${name}"`, apply, revert);
+    }
+
+    // Copy of the per-column state of the current table (sort keys, filters,
+    // type overrides, layout), to put back when a column change is undone
+    saveColumnState() {
+        return JSON.parse(JSON.stringify({
+            sortKeys: this.sortKeys,
+            columnFilters: this.columnFilters,
+            overrides: this.typeOverrides[this.currentTableIndex] || {},
+            layout: this.columnLayout
+        }));
+    }
+
+    restoreColumnState(state) {
+        this.sortKeys = state.sortKeys;
+        this.columnFilters = state.columnFilters;
+        this.columnLayout = state.layout;
+        this.sortState[this.currentTableIndex] = this.sortKeys;
+        this.filterState[this.currentTableIndex] = this.columnFilters;
+        this.typeOverrides[this.currentTableIndex] = state.overrides;
+        this.layoutState[this.currentTableIndex] = this.columnLayout;
+    }
+
+    // Move the per-column state to new column indexes; map returns -1 for a removed column
+    remapColumnState(map) {
+        const remapKeys = (object) => {
+            const result = {};
+            for (const [column, value] of Object.entries(object)) {
+                const to = map(Number(column));
+                if (to !== -1) result[to] = value;
+            }
+            return result;
+        };
+        const state = this.saveColumnState();
+        this.restoreColumnState({
+            sortKeys: state.sortKeys
+                .map(k => ({ ...k, column: map(k.column) }))
+                .filter(k => k.column !== -1),
+            columnFilters: remapKeys(state.columnFilters),
+            overrides: remapKeys(state.overrides),
+            layout: {
+                order: state.layout.order.map(map).filter(i => i !== -1),
+                hidden: remapKeys(state.layout.hidden),
+                widths: remapKeys(state.layout.widths)
+            }
+        });
+    }
+
+    // Click sorts by the column alone (clicking again flips direction).
+    // Shift+click adds it as the next sort key, or flips it, then removes it.
+    sortTable(columnIndex, addKey = false) {
+        const existing = this.sortKeys.find(k => k.column === columnIndex);
+
+        if (addKey) {
+            if (!existing) {
+                this.sortKeys.push({ column: columnIndex, direction: 'asc' });
+            } else if (existing.direction === 'asc') {
+                existing.direction = 'desc';
+            } else {
+                this.sortKeys = this.sortKeys.filter(k => k !== existing);
+            }
+        } else if (existing && this.sortKeys.length === 1) {
+            existing.direction = existing.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortKeys = [{ column: columnIndex, direction: 'asc' }];
         }
 
-        for (const line of lines) {
-            // Clean line - remove trailing commas that might be artifacts
-            const trimmed = line.trim().replace(/,+$/, '').trim();
+        this.sortState[this.currentTableIndex] = this.sortKeys;
+        this.filterTable();
+    }
+
+    // Drop all sort keys, back to the rows' original order
+    clearSort() {
+        this.sortKeys = [];
+        this.sortState[this.currentTableIndex] = this.sortKeys;
+        this.filterTable();
+    }
+
+    // Pick up the sort keys last used on the current table
+    restoreSort() {
+        const saved = this.sortState[this.currentTableIndex] || [];
+        this.sortKeys = saved.filter(k => k.column < this.headers.length);
+    }
+
+    // 1-based position of the column among the sort keys, or 0
+    sortPosition(columnIndex) {
+        return this.sortKeys.findIndex(k => k.column === columnIndex) + 1;
+    }
+
+    renderSortIndicator(columnIndex) {
+        const position = this.sortPosition(columnIndex);
+        if (!position) return '⇅';
+        const arrow = this.sortKeys[position - 1].direction === 'asc' ? '▲' : '▼';
+        return this.sortKeys.length > 1 ? `${arrow}${position}` : arrow;
+    }
 
-            // Skip separator lines (ASCII or Unicode) - handle missing closing chars
-            if (/^\+[-+]+\+?$/.test(trimmed) || /^=+$/.test(trimmed) || /^[┌├└][─┬┼┴]+[┐┤┘]?$/.test(trimmed)) {
-                continue;
+    // Sort filteredData by the sort keys, comparing values by each column's type.
+    // filteredData is always rebuilt from data first, so data keeps the original
+    // order; ties fall back to that order, keeping the sort stable.
+    applySort() {
+        if (this.sortKeys.length === 0) return;
+        const keys = this.sortKeys.map(k => ({
+            ...k,
+            columnType: this.columnTypes[k.column] || { type: 'text' }
+        }));
+
+        // Parse each cell once rather than on every comparison
+        const keyed = this.filteredData.map((row, index) => ({
+            row,
+            index,
+            values: keys.map(k => this.typeInference.sortKey(row[k.column], k.columnType))
+        }));
+        keyed.sort((a, b) => {
+            for (let i = 0; i < keys.length; i++) {
+                const result = this.typeInference.compareKeys(a.values[i], b.values[i], keys[i].direction);
+                if (result !== 0) return result;
             }
+            return a.index - b.index;
+        });
+        this.filteredData = keyed.map(k => k.row);
+    }
+
+    // Re-filter once typing pauses instead of on every keystroke
+    scheduleFilter(delay = 150) {
+        clearTimeout(this.filterTimer);
+        this.filterTimer = setTimeout(() => this.filterTable(), delay);
+    }
+
+    // Apply the search query and the column filters to data, then re-sort.
+    // The view jumps back to the top unless resetScroll is false.
+    filterTable(resetScroll = true) {
+        clearTimeout(this.filterTimer);
+        const terms = [
+            ...this.rowFilter.parseQuery(this.searchInput.value, this.headers),
+            ...Object.entries(this.columnFilters)
+                .map(([column, filter]) => this.rowFilter.columnFilterTerm(Number(column), filter))
+                .filter(Boolean)
+        ];
+
+        this.matchHighlights = new Map();
+        if (terms.length === 0) {
+            this.filteredData = [...this.data];
+        } else {
+            const match = this.rowFilter.createMatcher(terms, this.columnTypes);
+            this.filteredData = [];
+            for (const row of this.data) {
+                const highlights = match(row);
+                if (!highlights) continue;
+                this.filteredData.push(row);
+                if (highlights.size > 0) this.matchHighlights.set(row, highlights);
+            }
+        }
+
+        this.applySort();
+        if (resetScroll) this.tableWrapper.scrollTop = 0;
+        this.renderTable();
+    }
 
-            // Parse data lines (ASCII | or Unicode │) - handle missing closing delimiter
-            const isAsciiDataLine = trimmed.startsWith('|');
-            const isUnicodeDataLine = trimmed.startsWith('│');
+    // Pick up the column filters last used on the current table
+    restoreFilters() {
+        const saved = this.filterState[this.currentTableIndex] || {};
+        this.columnFilters = Object.fromEntries(
+            Object.entries(saved).filter(([column]) => Number(column) < this.headers.length)
+        );
+        this.filterState[this.currentTableIndex] = this.columnFilters;
+    }
 
-            if (isAsciiDataLine || isUnicodeDataLine) {
-                const delimiter = isUnicodeDataLine ? '│' : '|';
-                let content = trimmed;
+    // Filter inputs under each header, with operators suited to the column's type
+    renderFilterRow() {
+        this.filterRow.innerHTML = this.visibleColumns().map(i => {
+            const type = (this.columnTypes[i] || { type: 'text' }).type;
+            const operators = this.rowFilter.operatorsFor(type);
+            const filter = this.columnFilters[i] || { op: operators[0] };
+            const isDate = RowFilter.isDateType(type);
+            const options = operators.map(op =>
+                `<option value="${op}" ${op === filter.op ? 'selected' : ''}>${RowFilter.OPERATORS[op]}</option>`
+            ).join('');
+
+            return `
+                <td style="${this.columnWidthStyle(i)}">
+                    <div class="column-filter" data-column="${i}">
+                        <select data-part="op" title="Filter operator">${options}</select>
+                        <input type="text" data-part="value" placeholder="Filter..." value="${this.escapeAttribute(filter.value || '')}">
+                        <input type="text" data-part="min" placeholder="${isDate ? 'From' : 'Min'}" value="${this.escapeAttribute(filter.min || '')}">
+                        <input type="text" data-part="max" placeholder="${isDate ? 'To' : 'Max'}" value="${this.escapeAttribute(filter.max || '')}">
+                    </div>
+                </td>
+            `;
+        }).join('');
 
-                // Remove leading delimiter
-                content = content.slice(1);
+        this.filterRow.querySelectorAll('.column-filter').forEach(el => this.showFilterInputs(el));
+    }
 
-                // Remove trailing delimiter if present
-                if (content.endsWith(delimiter)) {
-                    content = content.slice(0, -1);
-                }
+    // Show the inputs the chosen operator needs
+    showFilterInputs(container) {
+        const op = container.querySelector('[data-part="op"]').value;
+        container.querySelector('[data-part="value"]').hidden = ['range', 'empty', 'notEmpty'].includes(op);
+        container.querySelector('[data-part="min"]').hidden = op !== 'range';
+        container.querySelector('[data-part="max"]').hidden = op !== 'range';
+    }
 
-                const cells = content
-                    .split(delimiter)
-                    .map(cell => cell.trim());
+    // Read a column's filter inputs back into columnFilters and re-filter
+    updateColumnFilter(container) {
+        const column = Number(container.dataset.column);
+        const part = (name) => container.querySelector(`[data-part="${name}"]`);
+        const filter = { op: part('op').value, value: part('value').value, min: part('min').value, max: part('max').value };
 
-                if (!headerParsed) {
-                    headers = cells;
-                    headerParsed = true;
-                } else {
-                    data.push(cells);
-                }
-            }
-        }
+        this.showFilterInputs(container);
+        part('value').classList.toggle('invalid', filter.op === 'regex' && !this.rowFilter.isValidRegex(filter.value));
 
-        if (headers.length > 0) {
-            return { name: tableName || 'Table 1', headers, data };
-        }
-        return null;
+        this.columnFilters[column] = filter;
+        this.scheduleFilter();
     }
 
-    // Detect Markdown table format
-    isMarkdownTable(text) {
-        // Look for separator row with dashes between pipes: | --- | --- |
-        const separatorPattern = /^\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)+\|?\s*$/m;
-        if (!separatorPattern.test(text)) return false;
-        // Must also have at least one data row with | delimiters
-        const lines = text.split('\n').filter(l => l.trim());
-        const dataLines = lines.filter(l => l.includes('|') && !/^[\s|:*-]+$/.test(l.trim()));
-        return dataLines.length >= 1;
+    // Diff info of the current table when it's a diff result, else null
+    currentDiff() {
+        const table = this.tables[this.currentTableIndex];
+        return (table && table.diff) || null;
     }
 
-    // Parse Markdown table(s)
-    parseMarkdownTable(text) {
-        const tables = [];
-        const blocks = text.split(/\n\s*\n/);
-
-        for (const block of blocks) {
-            const lines = block.split('\n').filter(l => l.trim());
-            const sepPattern = /^\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)+\|?\s*$/;
-            const sepIndex = lines.findIndex(l => sepPattern.test(l.trim()));
-            if (sepIndex < 1) continue;
+    // Background colors for exported diff rows: rows are the table rows in
+    // output order, columns the table column indexes in output order
+    diffBackground(diff, rows, columns) {
+        const colors = TableDiff.COLORS;
+        return (rowIndex, columnIndex) => {
+            const change = diff.rows.get(rows[rowIndex]);
+            if (!change || change.status === 'unchanged') return null;
+            if (change.changed.includes(columns[columnIndex])) return colors.changedCell;
+            return colors[change.status];
+        };
+    }
 
-            const splitRow = (line) => {
-                let s = line.trim();
-                if (s.startsWith('|')) s = s.slice(1);
-                if (s.endsWith('|')) s = s.slice(0, -1);
-                return s.split('|').map(c => c.trim());
-            };
+    toggleDiffPanel() {
+        const show = this.diffPanel.classList.contains('hidden');
+        this.diffPanel.classList.toggle('hidden', !show);
+        if (show) this.renderDiffPanel();
+    }
 
-            const headers = splitRow(lines[sepIndex - 1]);
-            const data = [];
-            for (let i = sepIndex + 1; i < lines.length; i++) {
-                if (!lines[i].includes('|')) continue;
-                data.push(splitRow(lines[i]));
-            }
+    renderDiffPanel() {
+        const options = this.tables.map((t, i) => `<option value="${i}">${this.escapeHtml(t.name)}</option>`).join('');
+        this.diffBefore.innerHTML = options;
+        this.diffAfter.innerHTML = options;
+        // Default to the current table against the next one
+        const before = Math.max(0, this.currentTableIndex);
+        this.diffBefore.value = before;
+        this.diffAfter.value = Math.min(before + 1, this.tables.length - 1);
+        this.diffSummary.textContent = this.tables.length < 2 ? 'Paste a second table below to compare against.' : '';
+        this.renderDiffKeys();
+    }
 
-            if (headers.length > 0 && data.length > 0) {
-                tables.push({
-                    name: `Table ${tables.length + 1}`,
-                    headers,
-                    data
-                });
-            }
+    // Key checkboxes for the headers both tables share; the first column
+    // with unique values in both is picked to start with
+    renderDiffKeys() {
+        const before = this.tables[Number(this.diffBefore.value)];
+        const after = this.tables[Number(this.diffAfter.value)];
+        if (!before || !after) {
+            this.diffKeys.innerHTML = '';
+            return;
         }
-        return tables;
+        const common = before.headers.filter(h => after.headers.includes(h));
+        const [suggested] = this.tableDiff.candidateKeys(before, after);
+        this.diffKeys.innerHTML = common.length === 0
+            ? '<span class="diff-hint">No shared columns - rows are compared by position</span>'
+            : `<span>Key:</span>${common.map(h => `
+                <label><input type="checkbox" value="${this.escapeAttribute(h)}" ${h === suggested ? 'checked' : ''}> ${this.escapeHtml(h)}</label>
+            `).join('')}`;
     }
 
-    // Detect JSON array of objects
-    isJSONArray(text) {
-        const trimmed = text.trimStart();
-        if (!trimmed.startsWith('[')) return false;
+    runDiff() {
+        const beforeIndex = Number(this.diffBefore.value);
+        const afterIndex = Number(this.diffAfter.value);
+        const before = this.tables[beforeIndex];
+        const after = this.tables[afterIndex];
+        if (!before || !after || beforeIndex === afterIndex) {
+            this.showToast('Pick two different tables to compare');
+            return;
+        }
+
+        const keys = [...this.diffKeys.querySelectorAll('input:checked')].map(input => input.value);
+        let result;
         try {
-            const parsed = JSON.parse(trimmed);
-            return Array.isArray(parsed) && parsed.length > 0 &&
-                typeof parsed[0] === 'object' && parsed[0] !== null && !Array.isArray(parsed[0]);
-        } catch {
-            return false;
+            result = this.tableDiff.diff(before, after, keys);
+        } catch (err) {
+            this.showToast(err.message);
+            return;
         }
+
+        const name = `Diff: ${before.name} → ${after.name}`;
+        const table = this.tableDiff.toTable(result, name, this.diffUnchanged.checked);
+        const summary = this.tableDiff.describe(result);
+        this.diffSummary.textContent = `${keys.length > 0 ? `By ${keys.join(' + ')}` : 'By row position'}: ${summary}`;
+        this.showTable(this.addTables([table]));
+        this.showToast(summary);
     }
 
-    // Parse JSON array of objects
-    parseJSONArray(text) {
-        const arr = JSON.parse(text.trimStart());
-        // Collect all keys preserving insertion order
-        const keySet = new Set();
-        for (const obj of arr) {
-            if (typeof obj === 'object' && obj !== null && !Array.isArray(obj)) {
-                Object.keys(obj).forEach(k => keySet.add(k));
-            }
+    // Parse the diff panel's paste box and add its tables alongside the loaded ones
+    addPastedTable() {
+        const text = this.diffPasteInput.value.trim();
+        if (!text) {
+            this.showToast('Paste a table first');
+            return;
         }
-        const headers = [...keySet];
-        const data = arr.filter(obj => typeof obj === 'object' && obj !== null && !Array.isArray(obj))
-            .map(obj => headers.map(h => {
-                const val = obj[h];
-                if (val === undefined || val === null) return '';
-                if (typeof val === 'object') return JSON.stringify(val);
-                return String(val);
-            }));
-        return { name: 'JSON Data', headers, data };
-    }
-
-    // Detect fixed-width / space-aligned table
-    isFixedWidthTable(text) {
-        const lines = text.split('\n').filter(l => l.trim());
-        if (lines.length < 3) return false;
-
-        // Find column boundaries: positions where 2+ spaces appear across most lines
-        const maxLen = Math.max(...lines.map(l => l.length));
-        if (maxLen < 5) return false;
-
-        // Skip obvious underline rows for boundary detection
-        const contentLines = lines.filter(l => !/^[\s\-=]+$/.test(l));
-        if (contentLines.length < 2) return false;
-
-        const spaceCount = new Array(maxLen).fill(0);
-        for (const line of contentLines) {
-            for (let i = 0; i < maxLen; i++) {
-                const ch = i < line.length ? line[i] : ' ';
-                if (ch === ' ') spaceCount[i]++;
-            }
+        let result;
+        try {
+            result = this.parser.parse(text, this.getParseOptions());
+        } catch (err) {
+            this.showToast(`Could not parse: ${err.message}`);
+            return;
         }
-
-        // Find positions that are spaces in 80%+ of lines and form 2+ wide gaps
-        const threshold = contentLines.length * 0.8;
-        let boundaries = 0;
-        let inGap = false;
-        let gapWidth = 0;
-        for (let i = 0; i < maxLen; i++) {
-            if (spaceCount[i] >= threshold) {
-                gapWidth++;
-                if (gapWidth >= 2 && !inGap) {
-                    boundaries++;
-                    inGap = true;
-                }
-            } else {
-                inGap = false;
-                gapWidth = 0;
-            }
+        if (result.tables.length === 0) {
+            this.showToast('No table found in the pasted text');
+            return;
         }
 
-        // Need at least 1 column boundary to be a fixed-width table
-        return boundaries >= 1;
+        const first = this.addTables(result.tables.map((t, i) => ({ ...t, name: `Pasted ${i + 1}` })));
+        this.diffPasteInput.value = '';
+        this.renderDiffPanel();
+        this.diffAfter.value = first;
+        this.renderDiffKeys();
+        this.showToast(`Added ${result.tables.length} table(s) to compare`);
     }
 
-    // Parse fixed-width / space-aligned table
-    parseFixedWidthTable(text) {
-        const lines = text.split('\n').filter(l => l.trim());
-        if (lines.length < 2) return null;
-
-        // Pad all lines to the same length
-        const maxLen = Math.max(...lines.map(l => l.length));
-        const padded = lines.map(l => l.padEnd(maxLen));
+    toggleCombinePanel() {
+        const show = this.combinePanel.classList.contains('hidden');
+        this.combinePanel.classList.toggle('hidden', !show);
+        if (!show) return;
+
+        const options = this.tables.map((t, i) => `<option value="${i}">${this.escapeHtml(t.name)}</option>`).join('');
+        this.combineFirst.innerHTML = options;
+        this.combineSecond.innerHTML = options;
+        const first = Math.max(0, this.currentTableIndex);
+        this.combineFirst.value = first;
+        this.combineSecond.value = first + 1 < this.tables.length ? first + 1 : 0;
+        this.renderCombineOptions();
+    }
 
-        // Detect underline rows (--- or === rows)
-        const isUnderline = (l) => /^[\s\-=]+$/.test(l) && /[-=]{2,}/.test(l);
+    // Join: key column on each side and join type. Append: where each of
+    // the second table's columns goes.
+    renderCombineOptions() {
+        const first = this.tables[Number(this.combineFirst.value)];
+        const second = this.tables[Number(this.combineSecond.value)];
+        if (!first || !second) return;
+        const columnOptions = (headers, selected) => headers.map((h, i) =>
+            `<option value="${i}" ${h === selected ? 'selected' : ''}>${this.escapeHtml(h)}</option>`
+        ).join('');
+
+        if (this.combineMode.value === 'join') {
+            // Start from a column both sides share, if there is one
+            const shared = first.headers.find(h => second.headers.includes(h));
+            const types = Object.entries(TableCombiner.JOIN_TYPES)
+                .map(([type, label]) => `<option value="${type}">${label}</option>`).join('');
+            this.combineOptions.innerHTML = `
+                <label>On <select data-part="left-key">${columnOptions(first.headers, shared)}</select></label>
+                <span>=</span>
+                <select data-part="right-key">${columnOptions(second.headers, shared)}</select>
+                <select data-part="join-type">${types}</select>
+            `;
+            return;
+        }
 
-        // Use only content lines for boundary detection
-        const contentLines = padded.filter(l => !isUnderline(l));
-        if (contentLines.length < 2) return null;
+        const mapping = this.combiner.suggestMapping(first, second);
+        const targets = (selected) => [
+            ...first.headers.map((h, i) => `<option value="${i}" ${h === selected ? 'selected' : ''}>→ ${this.escapeHtml(h)}</option>`),
+            `<option value="new" ${selected === '' ? 'selected' : ''}>→ add as new column</option>`,
+            '<option value="skip">leave out</option>'
+        ].join('');
+        this.combineOptions.innerHTML = `
+            <div class="column-mapping">
+                ${second.headers.map((h, i) => `
+                    <label><span>${this.escapeHtml(h)}</span><select data-column="${i}">${targets(mapping[i])}</select></label>
+                `).join('')}
+            </div>
+        `;
+    }
 
-        // Build space map
-        const spaceCount = new Array(maxLen).fill(0);
-        for (const line of contentLines) {
-            for (let i = 0; i < maxLen; i++) {
-                if (line[i] === ' ') spaceCount[i]++;
-            }
+    runCombine() {
+        const first = this.tables[Number(this.combineFirst.value)];
+        const second = this.tables[Number(this.combineSecond.value)];
+        if (!first || !second || first === second) {
+            this.showToast('Pick two different tables');
+            return;
         }
+        const part = (name) => this.combineOptions.querySelector(`[data-part="${name}"]`);
 
-        // Find column boundary ranges (2+ consecutive spaces in 80%+ of lines)
-        const threshold = contentLines.length * 0.8;
-        const cuts = []; // split positions
-        let inGap = false;
-        let gapStart = -1;
-        for (let i = 0; i < maxLen; i++) {
-            if (spaceCount[i] >= threshold) {
-                if (!inGap) { gapStart = i; inGap = true; }
+        let table;
+        try {
+            if (this.combineMode.value === 'join') {
+                table = this.combiner.join(first, second, {
+                    leftKey: first.headers[Number(part('left-key').value)],
+                    rightKey: second.headers[Number(part('right-key').value)],
+                    type: part('join-type').value
+                });
             } else {
-                if (inGap) {
-                    const gapWidth = i - gapStart;
-                    if (gapWidth >= 2) {
-                        // Cut at the middle of the gap
-                        cuts.push(Math.floor((gapStart + i) / 2));
-                    }
-                    inGap = false;
-                }
+                const mapping = [...this.combineOptions.querySelectorAll('select[data-column]')].map(select => {
+                    if (select.value === 'skip') return null;
+                    if (select.value === 'new') return '';
+                    return first.headers[Number(select.value)];
+                });
+                table = this.combiner.append(first, second, mapping);
             }
+        } catch (err) {
+            this.showToast(err.message);
+            return;
         }
 
-        if (cuts.length === 0) return null;
-
-        // Slice each line into cells
-        const sliceLine = (line) => {
-            const cells = [];
-            let prev = 0;
-            for (const cut of cuts) {
-                cells.push(line.slice(prev, cut).trim());
-                prev = cut;
-            }
-            cells.push(line.slice(prev).trim());
-            return cells;
-        };
+        this.showTable(this.addTables([table]));
+        this.combinePanel.classList.add('hidden');
+        this.showToast(`Created "${table.name}" with ${table.data.length} rows`);
+    }
 
-        // First content line is headers, rest are data
-        const headers = sliceLine(contentLines[0]);
-        const data = [];
-        for (let i = 1; i < contentLines.length; i++) {
-            const row = sliceLine(contentLines[i]);
-            // Skip rows that are all empty
-            if (row.some(c => c !== '')) {
-                data.push(row);
-            }
-        }
+    toggleTransformsPanel() {
+        const show = this.transformsPanel.classList.contains('hidden');
+        this.transformsPanel.classList.toggle('hidden', !show);
+        if (!show) return;
+        this.renderTransformOptions();
+        this.renderTransformSteps();
+        this.renderSavedPipelines();
+    }
 
-        if (data.length === 0) return null;
-        return { name: 'Table 1', headers, data };
+    // Inputs for the chosen operation, from the current table's columns
+    renderTransformOptions() {
+        const op = this.transformOp.value;
+        const columns = (hint) => `
+            <div class="field-list"><span>Columns:</span>${this.headers.map(h => `
+                <label><input type="checkbox" data-role="columns" value="${this.escapeAttribute(h)}"> ${this.escapeHtml(h)}</label>
+            `).join('')}<span class="diff-hint">${hint}</span></div>
+        `;
+        const all = '(none ticked = all)';
+        const columnSelect = this.headers.map(h => `<option value="${this.escapeAttribute(h)}">${this.escapeHtml(h)}</option>`).join('');
+        const options = {
+            trim: () => `${columns(all)}<div class="diff-controls"><label><input type="checkbox" data-part="collapse" checked> Collapse runs of spaces inside values</label></div>`,
+            case: () => `${columns(all)}<div class="diff-controls"><select data-part="mode">${Object.entries(TableTransforms.CASES)
+                .map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('')}</select></div>`,
+            replace: () => `${columns(all)}<div class="diff-controls">
+                <label>Find <input type="text" data-part="pattern" placeholder="regex, e.g. \\s*\\(.*\\)"></label>
+                <label>Replace with <input type="text" data-part="replacement" placeholder="$1 for groups"></label>
+                <label><input type="checkbox" data-part="ignore-case" checked> Ignore case</label>
+            </div>`,
+            split: () => `<div class="diff-controls">
+                <label>Column <select data-part="column">${columnSelect}</select></label>
+                <label>On <input type="text" data-part="delimiter" value=" " title="Use \\t for tab"></label>
+                <label>Into <input type="text" data-part="names" placeholder="first, last"></label>
+                <label><input type="checkbox" data-part="keep-original"> Keep the original</label>
+            </div>`,
+            merge: () => `${columns('(in the order shown)')}<div class="diff-controls">
+                <label>Separator <input type="text" data-part="separator" value=" "></label>
+                <label>Name <input type="text" data-part="name" placeholder="merged column"></label>
+            </div>`,
+            fillDown: () => columns('(blank cells take the value above)'),
+            dedupe: () => columns('(none ticked = compare whole rows)'),
+            dropEmpty: () => `<div class="diff-controls">
+                <label><input type="checkbox" data-part="drop-rows" checked> Empty rows</label>
+                <label><input type="checkbox" data-part="drop-columns" checked> Empty columns</label>
+            </div>`,
+            nullTokens: () => columns(`${all} - NULL, None, N/A, NaN, - and the like`)
+        };
+        this.transformOptions.innerHTML = options[op]();
     }
 
-    // Switch to a different table (for multi-table support)
-    switchToTable(index) {
-        // index -1 means "All Tables"
-        if (index === -1) {
-            this.currentTableIndex = -1;
-            // Combine all tables into one view with table name as first column
-            this.headers = ['Table', ...this.getCommonHeaders()];
-            this.data = [];
-            for (const table of this.tables) {
-                for (const row of table.data) {
-                    // Pad row to match common headers length
-                    const paddedRow = this.padRowToHeaders(row, table.headers);
-                    this.data.push([table.name, ...paddedRow]);
-                }
-            }
-            this.filteredData = [...this.data];
-            this.sortColumn = -1;
-            this.renderTable();
-        } else if (index >= 0 && index < this.tables.length) {
-            this.currentTableIndex = index;
-            const table = this.tables[index];
-            this.headers = table.headers;
-            this.data = table.data;
-            this.filteredData = [...this.data];
-            this.sortColumn = -1;
-            this.renderTable();
+    // The step described by the option inputs
+    readTransformStep() {
+        const op = this.transformOp.value;
+        const part = (name) => this.transformOptions.querySelector(`[data-part="${name}"]`);
+        const columns = [...this.transformOptions.querySelectorAll('input[data-role="columns"]:checked')].map(input => input.value);
+        const text = (name) => part(name).value.replace(/\\t/g, '\t');
+        switch (op) {
+            case 'trim': return { op, columns, collapse: part('collapse').checked };
+            case 'case': return { op, columns, mode: part('mode').value };
+            case 'replace': return { op, columns, pattern: part('pattern').value, replacement: part('replacement').value, ignoreCase: part('ignore-case').checked };
+            case 'split': return {
+                op,
+                column: part('column').value,
+                delimiter: text('delimiter'),
+                names: part('names').value.split(',').map(n => n.trim()).filter(Boolean),
+                keepOriginal: part('keep-original').checked
+            };
+            case 'merge': return { op, columns, separator: text('separator'), name: part('name').value.trim() };
+            case 'dropEmpty': return { op, dropRows: part('drop-rows').checked, dropColumns: part('drop-columns').checked };
+            default: return { op, columns };
         }
     }
 
-    // Get common headers across all tables (union of all headers)
-    getCommonHeaders() {
-        if (this.tables.length === 0) return [];
-
-        // Check if all tables have the same headers
-        const firstHeaders = this.tables[0].headers;
-        const allSame = this.tables.every(t =>
-            t.headers.length === firstHeaders.length &&
-            t.headers.every((h, i) => h === firstHeaders[i])
-        );
+    addTransformStep() {
+        if (!this.canEditData()) return;
+        const pipeline = this.pipelines[this.currentTableIndex];
+        const step = { ...this.readTransformStep(), enabled: true };
+        this.updatePipeline(this.transforms.describe(step), [...(pipeline ? pipeline.steps : []), step]);
+    }
 
-        if (allSame) {
-            return firstHeaders;
+    // Re-run the current table's steps from the data as it was before the
+    // first of them, as one undoable edit. Column settings follow their
+    // columns by name, and JSON types their cells.
+    updatePipeline(label, steps) {
+        const index = this.currentTableIndex;
+        const { headers, data } = this;
+        const previous = this.pipelines[index];
+        let pipeline;
+        let result;
+        try {
+            const cellTypes = data.some(row => this.jsonCellTypes.has(row))
+                ? data.map(row => this.jsonCellTypes.get(row) || null)
+                : null;
+            ({ pipeline, result } = this.transforms.record(previous, steps, { headers, data, cellTypes }));
+        } catch (err) {
+            this.showToast(err.message);
+            return;
         }
-
-        // If headers differ, collect unique headers in order
-        const seen = new Set();
-        const allHeaders = [];
-        for (const table of this.tables) {
-            for (const header of table.headers) {
-                if (!seen.has(header)) {
-                    seen.add(header);
-                    allHeaders.push(header);
-                }
-            }
+        if (result.cellTypes) {
+            result.data.forEach((row, r) => {
+                if (result.cellTypes[r]) this.jsonCellTypes.set(row, result.cellTypes[r]);
+            });
         }
-        return allHeaders;
-    }
 
-    // Pad a row to match the common headers
-    padRowToHeaders(row, tableHeaders) {
-        const commonHeaders = this.getCommonHeaders();
-        const result = new Array(commonHeaders.length).fill('');
+        const before = { headers: [...headers], data: [...data] };
+        const replace = (table) => {
+            headers.length = 0;
+            table.headers.forEach(h => headers.push(h));
+            data.length = 0;
+            table.data.forEach(row => data.push(row));
+        };
+        let saved = null;
+        const apply = () => {
+            saved = this.saveColumnState();
+            replace(result);
+            this.pipelines[index] = pipeline;
+            this.remapColumnState(i => result.headers.indexOf(before.headers[i]));
+        };
+        const revert = () => {
+            replace(before);
+            if (previous) this.pipelines[index] = previous;
+            else delete this.pipelines[index];
+            this.restoreColumnState(saved);
+        };
+        this.runEdit(label, apply, revert, true);
+    }
 
-        tableHeaders.forEach((header, i) => {
-            const commonIndex = commonHeaders.indexOf(header);
-            if (commonIndex !== -1 && i < row.length) {
-                result[commonIndex] = row[i];
-            }
-        });
+    // Steps of the current table, each with a toggle, move and remove
+    // buttons; settled steps are listed first and can't be changed
+    renderTransformSteps() {
+        const pipeline = this.pipelines[this.currentTableIndex];
+        const settled = pipeline ? pipeline.settled : [];
+        const steps = pipeline ? pipeline.steps : [];
+        this.transformSteps.innerHTML = settled.map(step => `
+            <li class="settled ${step.enabled === false ? 'disabled' : ''}" title="Settled into the data by a later edit">
+                <label>${this.escapeHtml(this.transforms.describe(step))}</label>
+            </li>
+        `).join('') + steps.map((step, i) => `
+            <li class="${step.enabled === false ? 'disabled' : ''}">
+                <label><input type="checkbox" ${step.enabled === false ? '' : 'checked'} onchange="app.toggleTransformStep(${i})"> ${this.escapeHtml(this.transforms.describe(step))}</label>
+                <button class="btn small" onclick="app.moveTransformStep(${i}, -1)" title="Run earlier" ${i === 0 ? 'disabled' : ''}>↑</button>
+                <button class="btn small" onclick="app.moveTransformStep(${i}, 1)" title="Run later" ${i === steps.length - 1 ? 'disabled' : ''}>↓</button>
+                <button class="btn small" onclick="app.removeTransformStep(${i})" title="Remove step">×</button>
+            </li>
+        `).join('');
+    }
 
-        return result;
+    toggleTransformStep(i) {
+        const { settled, steps: current } = this.pipelines[this.currentTableIndex];
+        const steps = current.map((step, n) => (n === i ? { ...step, enabled: step.enabled === false } : step));
+        this.updatePipeline(`${steps[i].enabled ? 'enable' : 'disable'} step ${settled.length + i + 1}`, steps);
     }
 
-    // Update table selector dropdown
-    updateTableSelector() {
-        if (!this.tableSelector || !this.tableSelectorContainer) return;
+    moveTransformStep(i, delta) {
+        const { settled, steps: current } = this.pipelines[this.currentTableIndex];
+        const steps = [...current];
+        const [step] = steps.splice(i, 1);
+        steps.splice(i + delta, 0, step);
+        this.updatePipeline(`move step ${settled.length + i + 1}`, steps);
+    }
 
-        if (this.tables.length > 1) {
-            this.tableSelectorContainer.classList.remove('hidden');
-            const totalRows = this.tables.reduce((sum, t) => sum + t.data.length, 0);
-            const options = [
-                `<option value="-1">All Tables (${totalRows} rows)</option>`,
-                ...this.tables.map((table, i) =>
-                    `<option value="${i}">${table.name} (${table.data.length} rows)</option>`
-                )
-            ];
-            this.tableSelector.innerHTML = options.join('');
-        } else {
-            this.tableSelectorContainer.classList.add('hidden');
-        }
+    removeTransformStep(i) {
+        const { settled, steps: current } = this.pipelines[this.currentTableIndex];
+        this.updatePipeline(`remove step ${settled.length + i + 1}`, current.filter((_, n) => n !== i));
     }
 
-    parseCSV(text, delimiter) {
-        const rows = [];
-        let currentRow = [];
-        let currentCell = '';
-        let inQuotes = false;
-
-        for (let i = 0; i < text.length; i++) {
-            const char = text[i];
-            const nextChar = text[i + 1];
-
-            if (inQuotes) {
-                if (char === '"' && nextChar === '"') {
-                    currentCell += '"';
-                    i++;
-                } else if (char === '"') {
-                    inQuotes = false;
-                } else {
-                    currentCell += char;
-                }
-            } else {
-                if (char === '"') {
-                    inQuotes = true;
-                } else if (char === delimiter) {
-                    currentRow.push(currentCell.trim());
-                    currentCell = '';
-                } else if (char === '\n' || (char === '\r' && nextChar === '\n')) {
-                    currentRow.push(currentCell.trim());
-                    if (currentRow.some(cell => cell !== '')) {
-                        rows.push(currentRow);
-                    }
-                    currentRow = [];
-                    currentCell = '';
-                    if (char === '\r') i++;
-                } else if (char !== '\r') {
-                    currentCell += char;
-                }
-            }
+    // Saved pipelines: [{ name, headers, steps }], headers being the columns
+    // they were recorded on
+    savedPipelines() {
+        try {
+            return JSON.parse(localStorage.getItem('formatKing.pipelines')) || [];
+        } catch (err) {
+            return [];
         }
+    }
 
-        // Push last row if exists
-        if (currentCell || currentRow.length > 0) {
-            currentRow.push(currentCell.trim());
-            if (currentRow.some(cell => cell !== '')) {
-                rows.push(currentRow);
-            }
+    storePipelines(pipelines) {
+        try {
+            localStorage.setItem('formatKing.pipelines', JSON.stringify(pipelines));
+            return true;
+        } catch (err) {
+            this.showToast('Could not save - browser storage is unavailable');
+            return false;
         }
-
-        return rows;
     }
 
-    formatFromText() {
-        const text = this.pasteInput.value.trim();
-        if (!text) {
-            this.showToast('Please enter some data first');
+    savePipeline() {
+        const pipeline = this.pipelines[this.currentTableIndex];
+        const steps = pipeline ? [...pipeline.settled, ...pipeline.steps] : [];
+        if (steps.length === 0) {
+            this.showToast('Add some steps first');
             return;
         }
+        const name = this.pipelineName.value.trim() || this.currentTableName();
+        const saved = this.savedPipelines().filter(p => p.name !== name);
+        saved.push({ name, headers: pipeline.headers, steps });
+        if (!this.storePipelines(saved)) return;
+        this.pipelineName.value = '';
+        this.renderSavedPipelines();
+        this.showToast(`Saved "${name}" - it's offered again for tables with the same columns`);
+    }
 
-        // Check if it's Databricks/SQL ASCII table format
-        if (this.isDatabricksFormat(text)) {
-            const tables = this.parseDatabricksFormat(text);
-            if (tables.length > 0) {
-                this.tables = tables;
-                this.updateTableSelector();
-                // Default to "All Tables" view (-1) when multiple tables
-                const defaultView = tables.length > 1 ? -1 : 0;
-                this.switchToTable(defaultView);
-                if (this.tableSelector) {
-                    this.tableSelector.value = defaultView.toString();
-                }
-                const totalRows = tables.reduce((sum, t) => sum + t.data.length, 0);
-                this.showToast(`Loaded ${tables.length} table(s), ${totalRows} total rows`);
-                return;
-            }
-        }
+    // Saved pipelines, those recorded on these columns first
+    renderSavedPipelines() {
+        const saved = this.savedPipelines().map((pipeline, i) => ({ pipeline, i, fits: this.transforms.fits(pipeline, this.headers) }));
+        saved.sort((a, b) => b.fits - a.fits);
+        this.savedPipelinesList.innerHTML = saved.map(({ pipeline, i, fits }) => `
+            <span title="${this.escapeAttribute(pipeline.steps.map(s => this.transforms.describe(s)).join('\n'))}">
+                <button class="btn small ${fits ? 'primary-small' : ''}" onclick="app.applySavedPipeline(${i})">Apply "${this.escapeHtml(pipeline.name)}"${fits ? ' (fits)' : ''}</button>
+                <button class="btn small" onclick="app.deleteSavedPipeline(${i})" title="Forget these steps">×</button>
+            </span>
+        `).join('');
+    }
 
-        // Check for Markdown tables
-        if (this.isMarkdownTable(text)) {
-            const tables = this.parseMarkdownTable(text);
-            if (tables.length > 0) {
-                this.tables = tables;
-                this.updateTableSelector();
-                const defaultView = tables.length > 1 ? -1 : 0;
-                this.switchToTable(defaultView);
-                if (this.tableSelector) this.tableSelector.value = defaultView.toString();
-                const totalRows = tables.reduce((sum, t) => sum + t.data.length, 0);
-                this.showToast(`Loaded ${tables.length} Markdown table(s), ${totalRows} total rows`);
+    // Replay saved steps, on the first table they fit when "All Tables" is shown
+    applySavedPipeline(i) {
+        const pipeline = this.savedPipelines()[i];
+        if (!pipeline) return;
+        if (this.currentTableIndex === -1) {
+            const fitting = this.tables.findIndex(t => this.transforms.fits(pipeline, t.headers));
+            if (fitting === -1) {
+                this.showToast('Pick a single table to apply the steps to');
                 return;
             }
+            this.showTable(fitting);
         }
+        const current = this.pipelines[this.currentTableIndex];
+        this.updatePipeline(`apply "${pipeline.name}"`, [...(current ? current.steps : []), ...pipeline.steps]);
+    }
 
-        // Check for JSON array
-        if (this.isJSONArray(text)) {
-            const table = this.parseJSONArray(text);
-            if (table) {
-                this.tables = [table];
-                this.updateTableSelector();
-                this.switchToTable(0);
-                this.showToast(`Loaded JSON data: ${table.data.length} rows`);
-                return;
-            }
-        }
+    deleteSavedPipeline(i) {
+        const saved = this.savedPipelines();
+        saved.splice(i, 1);
+        if (this.storePipelines(saved)) this.renderSavedPipelines();
+    }
 
-        // Check for fixed-width tables
-        if (this.isFixedWidthTable(text)) {
-            const table = this.parseFixedWidthTable(text);
-            if (table) {
-                this.tables = [table];
-                this.updateTableSelector();
-                this.switchToTable(0);
-                this.showToast(`Loaded fixed-width table: ${table.data.length} rows`);
-                return;
-            }
+    // The profile and transforms panels describe the table shown, so they
+    // follow table switches and edits
+    refreshPanels() {
+        this.refreshProfile();
+        if (this.transformsPanel.classList.contains('hidden')) return;
+        this.renderTransformOptions();
+        this.renderTransformSteps();
+        this.renderSavedPipelines();
+    }
+
+    toggleProfilePanel() {
+        if (this.profilePanel.classList.contains('hidden')) {
+            this.showTableProfile();
+        } else {
+            this.closeProfile();
         }
+    }
+
+    closeProfile() {
+        this.profilePanel.classList.add('hidden');
+    }
 
-        // Fall back to CSV parsing
-        let delimiter = this.delimiterSelect.value;
-        if (delimiter === 'auto') {
-            delimiter = this.detectDelimiter(text);
-        } else if (delimiter === '\\t') {
-            delimiter = '\t';
+    // Re-profile after the data or table changed, if the panel is open
+    refreshProfile() {
+        if (this.profilePanel.classList.contains('hidden')) return;
+        const view = this.profileView;
+        if (view && view.column < this.headers.length) {
+            this.showColumnProfile(view.column);
+        } else {
+            this.showTableProfile();
         }
+    }
 
-        const rows = this.parseCSV(text, delimiter);
-        this.tables = []; // Clear multi-table mode
-        this.updateTableSelector();
-        this.processData(rows);
+    // One line per visible column; clicking a line opens that column's profile
+    showTableProfile() {
+        this.profileView = null;
+        const columns = this.visibleColumns();
+        const lines = columns.map(i => {
+            const p = this.profiler.profile(this.data, i, this.columnTypes[i], 1);
+            let range = '';
+            if (p.min !== undefined) range = `${p.min} – ${p.max}`;
+            else if (p.earliest !== undefined) range = `${p.earliest} – ${p.latest}`;
+            else if (p.minLength !== undefined) range = `${p.minLength}–${p.maxLength} chars`;
+            const common = p.top[0] && p.distinct < p.nonEmpty ? `${p.top[0].value} (${p.top[0].count})` : '';
+            const cells = [this.headers[i], p.type, p.nonEmpty, p.empty + p.nulls, p.distinct, range, p.mean ?? '', common];
+            return `<tr onclick="app.showColumnProfile(${i})">${cells.map(c => `<td>${this.escapeHtml(String(c))}</td>`).join('')}</tr>`;
+        });
+
+        this.profilePanel.innerHTML = `
+            <div class="profile-header">
+                <strong>${this.escapeHtml(this.currentTableName())}: ${this.data.length} rows × ${columns.length} columns</strong>
+                <button class="btn small" onclick="app.closeProfile()">Close</button>
+            </div>
+            <table class="profile-summary">
+                <thead><tr><th>Column</th><th>Type</th><th>Non-empty</th><th>Empty/null</th><th>Distinct</th><th>Range</th><th>Mean</th><th>Most common</th></tr></thead>
+                <tbody>${lines.join('')}</tbody>
+            </table>
+        `;
+        this.profilePanel.classList.remove('hidden');
     }
 
-    handleFileSelect(e) {
-        const file = e.target.files[0];
-        if (file) this.processFile(file);
+    // Stats for one column and its most frequent values as a bar chart
+    showColumnProfile(column) {
+        const p = this.profiler.profile(this.data, column, this.columnTypes[column]);
+        this.profileView = { column, values: p.top.map(t => t.value) };
+        const header = this.headers[column];
+        const stats = [
+            ['Type', p.type],
+            ['Rows', p.rows],
+            ['Non-empty', p.nonEmpty],
+            ['Empty', p.empty],
+            ['Null', p.nulls],
+            ['Distinct', p.distinct],
+            ...(p.min !== undefined ? [['Min', p.min], ['Max', p.max], ['Mean', p.mean], ['Median', p.median]] : []),
+            ...(p.earliest !== undefined ? [['Earliest', p.earliest], ['Latest', p.latest]] : []),
+            ...(p.minLength !== undefined ? [['Shortest', `${p.minLength} char${p.minLength === 1 ? '' : 's'}`], ['Longest', `${p.maxLength} chars`]] : []),
+            ...(p.unparsed ? [[`Not ${p.type}`, p.unparsed]] : [])
+        ];
+        const most = p.top.length > 0 ? p.top[0].count : 1;
+
+        this.profilePanel.innerHTML = `
+            <div class="profile-header">
+                <strong>${this.escapeHtml(header)}</strong>
+                <button class="btn small" onclick="app.showTableProfile()">All columns</button>
+                <button class="btn small" onclick="app.closeProfile()">Close</button>
+            </div>
+            <dl class="profile-stats">
+                ${stats.map(([label, value]) => `<div><dt>${this.escapeHtml(label)}</dt><dd>${this.escapeHtml(String(value))}</dd></div>`).join('')}
+            </dl>
+            <div class="profile-top">
+                <span>${p.top.length > 0 ? `Top ${p.top.length} values (click one to filter to it)` : 'No values'}</span>
+                ${p.top.map((t, n) => `
+                    <button class="profile-value" onclick="app.filterToProfileValue(${n})" title="${this.escapeAttribute(t.value)}">
+                        <span class="profile-label">${this.escapeHtml(t.value)}</span>
+                        <span class="profile-bar"><span style="width: ${(t.count / most * 100).toFixed(1)}%"></span></span>
+                        <span class="profile-count">${t.count} (${(t.count / p.rows * 100).toFixed(1)}%)</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+        this.profilePanel.classList.remove('hidden');
     }
 
-    processFile(file) {
-        this.fileNameDisplay.textContent = `Selected: ${file.name}`;
+    // Filter the profiled column to one of its top values
+    filterToProfileValue(n) {
+        const { column, values } = this.profileView;
+        this.columnFilters[column] = { op: 'equals', value: values[n] };
+        this.renderFilterRow();
+        this.filterTable();
+        this.showToast(`Showing rows where ${this.headers[column]} is "${values[n]}"`);
+    }
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const text = e.target.result;
-            const delimiter = this.detectDelimiter(text);
-            const rows = this.parseCSV(text, delimiter);
-            this.processData(rows);
-        };
-        reader.readAsText(file);
+    togglePivotPanel() {
+        const show = this.pivotPanel.classList.contains('hidden');
+        this.pivotPanel.classList.toggle('hidden', !show);
+        if (show) this.renderPivotOptions();
     }
 
-    processData(rows) {
-        if (rows.length === 0) {
-            this.showToast('No data found');
+    // Fields of the current view (visible columns, filtered rows). Pivot starts
+    // with the first text column as rows and the first numeric one summed;
+    // unpivot starts with the numeric columns picked.
+    renderPivotOptions() {
+        const { headers, rows, columnTypes } = this.visibleView();
+        this.pivotSource.textContent = `from ${this.currentTableName()} (${rows.length} rows)`;
+        const numeric = headers.map((_, i) => i).filter(i => RowFilter.isNumericType(columnTypes[i].type));
+        const firstText = columnTypes.findIndex(t => t.type === 'text');
+        const checkboxes = (role, checked) => headers.map((h, i) => `
+            <label><input type="checkbox" data-role="${role}" value="${i}" ${checked(i) ? 'checked' : ''}> ${this.escapeHtml(h)}</label>
+        `).join('');
+
+        if (this.pivotMode.value === 'melt') {
+            this.pivotOptions.innerHTML = `
+                <div class="field-list"><span>Unpivot:</span>${checkboxes('values', i => numeric.includes(i))}</div>
+                <div class="diff-controls">
+                    <label>Name column <input type="text" data-part="name-header" value="Column"></label>
+                    <label>Value column <input type="text" data-part="value-header" value="Value"></label>
+                    <label><input type="checkbox" data-part="drop-empty" checked> Skip empty values</label>
+                </div>
+            `;
             return;
         }
 
-        // Normalize row lengths
-        const maxCols = Math.max(...rows.map(r => r.length));
-        rows = rows.map(row => {
-            while (row.length < maxCols) row.push('');
-            return row;
-        });
+        const value = numeric.find(i => i !== firstText);
+        const aggregates = Object.entries(TablePivot.AGGREGATES).map(([id, label]) =>
+            `<option value="${id}" ${id === (value === undefined ? 'count' : 'sum') ? 'selected' : ''}>${label}</option>`
+        ).join('');
+        this.pivotOptions.innerHTML = `
+            <div class="field-list"><span>Rows:</span>${checkboxes('rows', i => i === Math.max(firstText, 0))}</div>
+            <div class="field-list"><span>Columns:</span>${checkboxes('columns', () => false)}</div>
+            <div class="diff-controls">
+                <label>Value <select data-part="value">
+                    <option value="">(rows)</option>
+                    ${headers.map((h, i) => `<option value="${i}" ${i === value ? 'selected' : ''}>${this.escapeHtml(h)}</option>`).join('')}
+                </select></label>
+                <select data-part="aggregate">${aggregates}</select>
+                <label><input type="checkbox" data-part="subtotals"> Subtotals</label>
+                <label><input type="checkbox" data-part="grand-totals" checked> Grand totals</label>
+            </div>
+        `;
+    }
 
-        if (this.firstRowHeader.checked && rows.length > 0) {
-            this.headers = rows[0];
-            this.data = rows.slice(1);
-        } else {
-            this.headers = rows[0].map((_, i) => `Column ${i + 1}`);
-            this.data = rows;
+    runPivot() {
+        const { headers, rows, columnTypes } = this.visibleView();
+        const source = { name: this.currentTableName(), headers, data: rows };
+        const part = (name) => this.pivotOptions.querySelector(`[data-part="${name}"]`);
+        const picked = (role) => [...this.pivotOptions.querySelectorAll(`input[data-role="${role}"]:checked`)].map(input => Number(input.value));
+
+        let table;
+        try {
+            if (this.pivotMode.value === 'melt') {
+                const valueColumns = picked('values');
+                table = this.pivoter.melt(source, {
+                    idColumns: headers.map((_, i) => i).filter(i => !valueColumns.includes(i)),
+                    valueColumns,
+                    nameHeader: part('name-header').value.trim() || 'Column',
+                    valueHeader: part('value-header').value.trim() || 'Value',
+                    dropEmpty: part('drop-empty').checked
+                });
+            } else {
+                table = this.pivoter.pivot(source, {
+                    rows: picked('rows'),
+                    columns: picked('columns'),
+                    value: part('value').value === '' ? null : Number(part('value').value),
+                    aggregate: part('aggregate').value,
+                    subtotals: part('subtotals').checked,
+                    grandTotals: part('grand-totals').checked
+                }, columnTypes);
+            }
+        } catch (err) {
+            this.showToast(err.message);
+            return;
         }
 
-        this.filteredData = [...this.data];
-        this.sortColumn = -1;
-        this.renderTable();
-        this.showToast(`Loaded ${this.data.length} rows`);
+        this.showTable(this.addTables([table]));
+        this.pivotPanel.classList.add('hidden');
+        this.showToast(`Created "${table.name}" with ${table.data.length} rows`);
     }
 
-    renderTable() {
-        // Update counts
-        this.rowCount.textContent = `${this.filteredData.length} rows`;
-        this.colCount.textContent = `${this.headers.length} columns`;
-
-        // Render headers
-        this.tableHead.innerHTML = `
-            <tr>
-                ${this.headers.map((h, i) => `
-                    <th onclick="app.sortTable(${i})" class="${this.sortColumn === i ? 'sorted' : ''}">
-                        ${this.escapeHtml(h)}
-                        <span class="sort-indicator">${this.sortColumn === i ? (this.sortDirection === 'asc' ? '▲' : '▼') : '⇅'}</span>
-                    </th>
-                `).join('')}
-            </tr>
-        `;
-
-        // Render body
-        const searchTerm = this.searchInput.value.toLowerCase();
-        this.tableBody.innerHTML = this.filteredData.map(row => `
-            <tr>
-                ${row.map(cell => `<td>${this.highlightText(this.escapeHtml(cell), searchTerm)}</td>`).join('')}
-            </tr>
-        `).join('');
-
-        // Show table, hide empty state
-        this.dataTable.classList.add('visible');
-        this.emptyState.classList.add('hidden');
+    toggleQueryPanel() {
+        const show = this.queryPanel.classList.contains('hidden');
+        this.queryPanel.classList.toggle('hidden', !show);
+        if (!show) return;
+        this.renderQueryTables();
+        this.queryInput.focus();
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    // The tables by the names a query can use, with their columns on hover
+    renderQueryTables() {
+        const sqlName = (name) => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `"${name.replace(/"/g, '')}"`);
+        this.queryTables.innerHTML = this.tables.map(table => {
+            const name = QueryEngine.relationName(table.name) || sqlName(table.name);
+            const columns = table.headers.map(h => QueryEngine.relationName(h) === h ? h : sqlName(h));
+            return `<button data-insert="${this.escapeAttribute(name)}" title="${this.escapeAttribute(columns.join(', '))}">${this.escapeHtml(name)}</button>`;
+        }).join('');
     }
 
-    highlightText(text, searchTerm) {
-        if (!searchTerm) return text;
-        const regex = new RegExp(`(${searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-        return text.replace(regex, '<span class="highlight">$1</span>');
+    insertQueryText(text) {
+        const input = this.queryInput;
+        const start = input.selectionStart;
+        input.value = input.value.slice(0, start) + text + input.value.slice(input.selectionEnd);
+        input.focus();
+        input.setSelectionRange(start + text.length, start + text.length);
     }
 
-    sortTable(columnIndex) {
-        if (this.sortColumn === columnIndex) {
-            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
-        } else {
-            this.sortColumn = columnIndex;
-            this.sortDirection = 'asc';
+    // Run the query over every loaded table (with their column types, overrides
+    // included) and show the result as a new table
+    runQuery() {
+        const sql = this.queryInput.value;
+        if (!sql.trim()) {
+            this.showToast('Write a query first');
+            return;
+        }
+        const relations = this.tables.map((table, i) => ({ ...table, columnTypes: this.tableColumnTypes(i) }));
+        let result;
+        try {
+            result = this.queryEngine.run(sql, relations);
+        } catch (err) {
+            this.showQueryError(sql, err);
+            return;
         }
 
-        this.filteredData.sort((a, b) => {
-            let valA = a[columnIndex] || '';
-            let valB = b[columnIndex] || '';
-
-            // Try numeric sort
-            const numA = parseFloat(valA);
-            const numB = parseFloat(valB);
+        this.queryError.classList.add('hidden');
+        this.showTable(this.addTables([{ name: 'Query result', headers: result.headers, data: result.data }]));
+        this.renderQueryTables();
+        this.showToast(`Query returned ${result.data.length} rows`);
+    }
 
-            if (!isNaN(numA) && !isNaN(numB)) {
-                return this.sortDirection === 'asc' ? numA - numB : numB - numA;
-            }
+    // The error with the line of the query it points at and a caret under the spot
+    showQueryError(sql, err) {
+        this.queryError.classList.remove('hidden');
+        if (!(err instanceof QueryError)) {
+            this.queryError.textContent = err.message;
+            return;
+        }
+        const lineStart = sql.lastIndexOf('\n', err.position - 1) + 1;
+        const lineEnd = sql.indexOf('\n', err.position);
+        const line = sql.slice(lineStart, lineEnd === -1 ? sql.length : lineEnd).replace(/\t/g, ' ');
+        const lineNumber = sql.slice(0, lineStart).split('\n').length;
+        const column = err.position - lineStart;
+        this.queryError.textContent = `${err.message} (line ${lineNumber}, column ${column + 1})\n${line}\n${' '.repeat(column)}^`;
+        this.queryInput.focus();
+        this.queryInput.setSelectionRange(err.position, Math.min(err.position + 1, sql.length));
+    }
 
-            // String sort
-            valA = valA.toLowerCase();
-            valB = valB.toLowerCase();
+    // Add tables next to the loaded ones, keeping names unique.
+    // Returns the index of the first one added.
+    addTables(tables) {
+        const first = this.tables.length;
+        const names = new Set(this.tables.map(t => t.name));
+        for (const table of tables) {
+            let name = table.name;
+            for (let n = 2; names.has(name); n++) name = `${table.name} (${n})`;
+            names.add(name);
+            this.tables.push({ ...table, name });
+        }
+        this.updateTableSelector();
+        if (this.tableSelector) this.tableSelector.value = this.currentTableIndex.toString();
+        // "All Tables" is built from the tables, so it has to be rebuilt
+        if (this.currentTableIndex === -1) this.switchToTable(-1);
+        return first;
+    }
 
-            if (valA < valB) return this.sortDirection === 'asc' ? -1 : 1;
-            if (valA > valB) return this.sortDirection === 'asc' ? 1 : -1;
-            return 0;
-        });
+    // Switch to a table and select it in the table dropdown
+    showTable(index) {
+        this.switchToTable(index);
+        if (this.tableSelector) this.tableSelector.value = index.toString();
+    }
 
-        this.renderTable();
+    // Word/OneNote rich copy and CSV text, then the TableExporter targets
+    copyTargets() {
+        return {
+            word: { label: 'Word / OneNote' },
+            csv: { label: 'CSV text' },
+            ...TableExporter.COPY_TARGETS
+        };
     }
 
-    filterTable() {
-        const searchTerm = this.searchInput.value.toLowerCase();
+    renderCopyTargetMenu() {
+        this.copyTargetPanel.innerHTML = Object.entries(this.copyTargets()).map(([id, target]) => `
+            <button class="copy-target${id === this.copyTarget ? ' active' : ''}" data-target="${id}">${this.escapeHtml(target.label)}</button>
+        `).join('');
+    }
 
-        if (!searchTerm) {
-            this.filteredData = [...this.data];
-        } else {
-            this.filteredData = this.data.filter(row =>
-                row.some(cell => cell.toLowerCase().includes(searchTerm))
-            );
-        }
+    setCopyTarget(targetId) {
+        this.copyTarget = targetId;
+        this.copyBtn.textContent = targetId === 'word' ? 'Copy for Word' : `Copy as ${this.copyTargets()[targetId].label}`;
+        this.copyBtn.title = targetId === 'word' ? 'Copy formatted table for Word/OneNote' : 'Copy for the last target picked from the menu';
+        this.renderCopyTargetMenu();
+    }
 
-        this.renderTable();
+    copyAs(targetId) {
+        if (targetId === 'word') return this.copyRichTable();
+        if (targetId === 'csv') return this.copyToClipboard();
+
+        const target = TableExporter.COPY_TARGETS[targetId];
+        const { headers, rows, columnTypes } = this.visibleView();
+        const text = this.exporter.copyText(targetId, headers, rows, { columnTypes });
+        const copied = target.html && typeof ClipboardItem !== 'undefined'
+            ? navigator.clipboard.write([
+                new ClipboardItem({
+                    'text/html': new Blob([text], { type: 'text/html' }),
+                    'text/plain': new Blob([text], { type: 'text/plain' })
+                })
+            ])
+            : navigator.clipboard.writeText(text);
+        copied.then(() => {
+            this.showToast(`Copied as ${target.label}!`);
+        }).catch(() => {
+            this.showToast('Failed to copy');
+        });
     }
 
     copyToClipboard() {
@@ -911,10 +2589,14 @@ class FormatKing {
             return this.generateMultiTableHTML();
         }
 
-        return this.generateSingleTableHTML(this.headers, this.filteredData);
+        const { headers, rows } = this.visibleView();
+        const diff = this.currentDiff();
+        const background = diff ? this.diffBackground(diff, this.filteredData, this.visibleColumns()) : null;
+        return this.generateSingleTableHTML(headers, rows, null, background);
     }
 
-    generateSingleTableHTML(headers, data, tableName = null) {
+    // cellBackground(rowIndex, columnIndex) can color cells, e.g. to keep diff highlights
+    generateSingleTableHTML(headers, data, tableName = null, cellBackground = null) {
         const tableStyle = `
             border-collapse: collapse;
             font-family: Calibri, Arial, sans-serif;
@@ -963,9 +2645,10 @@ class FormatKing {
         // Build data rows with alternating colors
         const dataRows = data.map((row, index) => {
             const style = index % 2 === 0 ? cellStyle : altRowStyle;
-            return `<tr>${row.map(cell =>
-                `<td style="${style}">${this.escapeHtml(cell)}</td>`
-            ).join('')}</tr>`;
+            return `<tr>${row.map((cell, i) => {
+                const background = cellBackground && cellBackground(index, i);
+                return `<td style="${style}${background ? ` background-color: ${background};` : ''}">${this.escapeHtml(cell)}</td>`;
+            }).join('')}</tr>`;
         }).join('');
 
         const titleHTML = tableName ? `<div style="${tableTitleStyle}">TABLE: ${this.escapeHtml(tableName)}</div>` : '';
@@ -982,7 +2665,11 @@ class FormatKing {
     generateMultiTableHTML() {
         // Generate HTML with each table clearly separated
         const tablesHTML = this.tables.map(table => {
-            return this.generateSingleTableHTML(table.headers, table.data, table.name);
+            const columns = this.visibleTableColumns(table);
+            const headers = columns.map(i => table.headers[i]);
+            const data = table.data.map(row => columns.map(i => row[i] ?? ''));
+            const background = table.diff ? this.diffBackground(table.diff, table.data, columns) : null;
+            return this.generateSingleTableHTML(headers, data, table.name, background);
         }).join('<br><br>');
 
         return `
@@ -1027,8 +2714,9 @@ class FormatKing {
             return cell;
         };
 
-        const headerRow = this.headers.map(escape).join(',');
-        const dataRows = this.filteredData.map(row => row.map(escape).join(','));
+        const { headers, rows } = this.visibleView();
+        const headerRow = headers.map(escape).join(',');
+        const dataRows = rows.map(row => row.map(escape).join(','));
 
         return [headerRow, ...dataRows].join('\n');
     }
@@ -1039,20 +2727,88 @@ class FormatKing {
         this.showToast('CSV exported!');
     }
 
+    // Cells read from JSON go back out as the numbers, booleans and nulls they were
     exportJSON() {
-        const json = this.filteredData.map(row => {
-            const obj = {};
-            this.headers.forEach((header, i) => {
-                obj[header] = row[i];
-            });
-            return obj;
+        const { headers, rows } = this.visibleView();
+        const columns = this.visibleColumns();
+        const types = this.filteredData.map(row => this.jsonCellTypes.get(row));
+        const jsonStr = this.exporter.toJSON(headers, rows, {
+            cellType: (r, c) => (types[r] ? types[r][columns[c]] ?? null : null)
         });
-
-        const jsonStr = JSON.stringify(json, null, 2);
         this.downloadFile(jsonStr, 'data.json', 'application/json');
         this.showToast('JSON exported!');
     }
 
+    // Excel workbook: in "All Tables" every table gets its own sheet,
+    // otherwise the current view (filtered and sorted) is the only sheet
+    exportXLSX() {
+        let sheets;
+        if (this.currentTableIndex === -1) {
+            sheets = this.tables.map((table, i) => {
+                const columns = this.visibleTableColumns(table);
+                const columnTypes = this.tableColumnTypes(i);
+                return {
+                    name: table.name,
+                    headers: columns.map(c => table.headers[c]),
+                    data: table.data.map(row => columns.map(c => row[c] ?? '')),
+                    columnTypes: columns.map(c => columnTypes[c])
+                };
+            });
+        } else {
+            const { headers, rows, columnTypes } = this.visibleView();
+            sheets = [{ name: this.currentTableName(), headers, data: rows, columnTypes }];
+        }
+
+        this.downloadFile(this.xlsxWriter.write(sheets), 'data.xlsx', XlsxWriter.MIME_TYPE);
+        this.showToast(sheets.length > 1 ? `Excel exported with ${sheets.length} sheets!` : 'Excel exported!');
+    }
+
+    renderExportMenu() {
+        this.exportFormatList.innerHTML = Object.entries(TableExporter.FORMATS).map(([id, format]) => `
+            <div class="export-option" data-format="${id}">
+                <span>${this.escapeHtml(format.label)}</span>
+                <button class="btn small" data-action="copy">Copy</button>
+                <button class="btn small" data-action="download">Download</button>
+            </div>
+        `).join('');
+    }
+
+    // Current view rendered as one of the TableExporter formats
+    renderExport(formatId) {
+        const tableName = formatId === 'sql'
+            ? (this.sqlTableName.value.trim() || 'my_table')
+            : this.currentTableName();
+        const { headers, rows, columnTypes } = this.visibleView();
+        const diff = this.currentDiff();
+        return this.exporter.export(formatId, headers, rows, {
+            columnTypes,
+            cellBackground: diff ? this.diffBackground(diff, this.filteredData, this.visibleColumns()) : null,
+            tableName,
+            quoteStyle: this.sqlQuoteStyle.value
+        });
+    }
+
+    currentTableName() {
+        if (this.currentTableIndex === -1) return 'All Tables';
+        const table = this.tables[this.currentTableIndex];
+        return table ? table.name : 'Table';
+    }
+
+    copyExport(formatId) {
+        const { label } = TableExporter.FORMATS[formatId];
+        navigator.clipboard.writeText(this.renderExport(formatId)).then(() => {
+            this.showToast(`${label} copied to clipboard!`);
+        }).catch(() => {
+            this.showToast('Failed to copy');
+        });
+    }
+
+    downloadExport(formatId) {
+        const { label, extension, mimeType } = TableExporter.FORMATS[formatId];
+        this.downloadFile(this.renderExport(formatId), `data.${extension}`, mimeType);
+        this.showToast(`${label} exported!`);
+    }
+
     downloadFile(content, filename, mimeType) {
         const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
@@ -0,0 +1,85 @@
+// Format King - Column Profiles
+// What a column holds at a glance: counts, distinct values, ranges by type
+// and the most frequent values. No DOM access.
+class ColumnProfiler {
+    // typeInference is a ColumnTypes instance, used to read values by column type
+    constructor(typeInference) {
+        this.types = typeInference;
+    }
+
+    // Profile one column of rows under its { type, decimal, dayFirst }.
+    // Returns { type, rows, nonEmpty, empty, nulls, distinct, top, ... } with
+    // top the `limit` most frequent values as [{ value, count }], plus
+    // { min, max, mean, median, unparsed } for numbers, { earliest, latest,
+    // unparsed } for dates and { minLength, maxLength } for text. min, max,
+    // earliest and latest are the original cell text.
+    profile(rows, columnIndex, columnType, limit = 10) {
+        const values = [];
+        let empty = 0;
+        let nulls = 0;
+        for (const row of rows) {
+            const text = String(row[columnIndex] ?? '').trim();
+            if (!text) empty++;
+            else if (this.types.isNullToken(text)) nulls++;
+            else values.push(text);
+        }
+
+        const counts = new Map();
+        for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+        const top = [...counts]
+            .sort((a, b) => b[1] - a[1] || this.types.collator.compare(a[0], b[0]))
+            .slice(0, limit)
+            .map(([value, count]) => ({ value, count }));
+
+        const result = {
+            type: columnType.type,
+            rows: rows.length,
+            nonEmpty: values.length,
+            empty,
+            nulls,
+            distinct: counts.size,
+            top
+        };
+
+        const isDate = columnType.type === 'date' || columnType.type === 'datetime';
+        const isNumber = ['integer', 'decimal', 'currency', 'percent', 'size'].includes(columnType.type);
+        if (isNumber || isDate) {
+            const keyed = values
+                .map(value => ({ value, key: this.types.sortKey(value, columnType) }))
+                .filter(entry => typeof entry.key === 'number')
+                .sort((a, b) => a.key - b.key);
+            result.unparsed = values.length - keyed.length;
+            if (keyed.length > 0 && isDate) {
+                result.earliest = keyed[0].value;
+                result.latest = keyed[keyed.length - 1].value;
+            } else if (keyed.length > 0) {
+                const keys = keyed.map(entry => entry.key);
+                const middle = Math.floor(keys.length / 2);
+                result.min = keyed[0].value;
+                result.max = keyed[keyed.length - 1].value;
+                result.mean = this.formatNumber(keys.reduce((sum, k) => sum + k, 0) / keys.length, columnType.type);
+                result.median = this.formatNumber(keys.length % 2 ? keys[middle] : (keys[middle - 1] + keys[middle]) / 2, columnType.type);
+            }
+        } else if (columnType.type === 'text' && values.length > 0) {
+            const lengths = values.map(value => [...value].length);
+            result.minLength = lengths.reduce((a, b) => Math.min(a, b));
+            result.maxLength = lengths.reduce((a, b) => Math.max(a, b));
+        }
+        return result;
+    }
+
+    // Profiles of every column, in header order
+    profileTable(headers, rows, columnTypes, limit = 10) {
+        return headers.map((header, i) => ({ header, ...this.profile(rows, i, columnTypes[i], limit) }));
+    }
+
+    // Mean and median for display; percents are stored as fractions
+    formatNumber(n, type) {
+        const rounded = (x) => String(Number(x.toFixed(4)));
+        return type === 'percent' ? `${rounded(n * 100)}%` : rounded(n);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ColumnProfiler };
+}
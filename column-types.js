@@ -0,0 +1,285 @@
+// Format King - Column Type Inference
+// Works out what each column holds (numbers, money, dates, ...) so sorting can
+// compare real values instead of strings. No DOM access.
+class ColumnTypes {
+    static get TYPES() {
+        return ['integer', 'decimal', 'currency', 'percent', 'size', 'date', 'datetime', 'boolean', 'text'];
+    }
+
+    // Short names for header badges
+    static get LABELS() {
+        return {
+            integer: 'int',
+            decimal: 'dec',
+            currency: 'cur',
+            percent: '%',
+            size: 'size',
+            date: 'date',
+            datetime: 'datetime',
+            boolean: 'bool',
+            text: 'text'
+        };
+    }
+
+    constructor() {
+        this.collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+        // Numbers with "," thousands and "." decimals (1,234.56), or the
+        // European way round (1.234,56 or 1 234,56)
+        const number = {
+            '.': '(?:\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.\\d+)?(?:[eE][+-]?\\d+)?|\\.\\d+',
+            ',': '(?:\\d{1,3}(?:[.\\s\\u00a0]\\d{3})+|\\d+)(?:,\\d+)?|,\\d+'
+        };
+        const symbol = '[$€£¥₹]|R\\$|USD|EUR|GBP|JPY|CHF|CAD|AUD|INR|CNY';
+        const unit = '[KMGTP]i?B|B|bytes?';
+
+        this.patterns = {};
+        for (const [sep, num] of Object.entries(number)) {
+            this.patterns[sep] = {
+                core: new RegExp(`^(?:${num})$`),
+                plain: new RegExp(`^([+-]?)(${num})$`),
+                accounting: new RegExp(`^\\(\\s*(${num})\\s*\\)$`),
+                percent: new RegExp(`^([+-]?)(${num})\\s?%$`),
+                currency: [
+                    new RegExp(`^(-|\\()?\\s*(?:${symbol})\\s?([+-]?)(${num})\\)?$`, 'i'),
+                    new RegExp(`^(-|\\()?([+-]?)(${num})\\s?(?:${symbol})\\)?$`, 'i')
+                ],
+                size: new RegExp(`^([+-]?)(${num})\\s?(${unit})$`, 'i')
+            };
+        }
+    }
+
+    // Infer a column's type from the rows holding it.
+    // Returns { type, decimal, dayFirst }: decimal is the decimal separator
+    // and dayFirst whether dates read 05/01 as 5 January, both detected from
+    // the values so they still apply if the type is overridden by hand.
+    inferColumn(rows, columnIndex, sampleSize = 1000) {
+        const sample = [];
+        for (const row of rows) {
+            const value = String(row[columnIndex] ?? '').trim();
+            if (value && !this.isNullToken(value)) sample.push(value);
+            if (sample.length >= sampleSize) break;
+        }
+        return this.infer(sample);
+    }
+
+    // Infer the type of a list of non-empty values
+    infer(values) {
+        const decimal = this.detectDecimalSeparator(values);
+        const dayFirst = this.detectDayFirst(values);
+        const result = (type) => ({ type, decimal, dayFirst });
+        if (values.length === 0) return result('text');
+
+        if (values.every(v => this.isBoolean(v))) return result('boolean');
+
+        const kinds = values.map(v => this.classifyNumber(v, decimal));
+        if (kinds.every(k => k && k.kind === 'number')) {
+            return result(kinds.every(k => Number.isInteger(k.value)) ? 'integer' : 'decimal');
+        }
+        // Symbols may be left off some cells (e.g. "0"), but most must carry one
+        for (const kind of ['percent', 'currency', 'size']) {
+            const matching = kinds.filter(k => k && k.kind === kind).length;
+            const plain = kinds.filter(k => k && k.kind === 'number').length;
+            if (matching + plain === kinds.length && matching >= kinds.length / 2) return result(kind);
+        }
+
+        const dates = values.map(v => this.parseDate(v, dayFirst));
+        if (dates.every(d => d !== null)) {
+            return result(dates.some(d => d.hasTime) ? 'datetime' : 'date');
+        }
+
+        return result('text');
+    }
+
+    isNullToken(value) {
+        return /^(null|none|nil|nan|n\/a|na|-|—)$/i.test(value);
+    }
+
+    isBoolean(value) {
+        return /^(true|false|yes|no|y|n|t|f)$/i.test(value);
+    }
+
+    // "." unless some value can only be read with a decimal comma
+    detectDecimalSeparator(values) {
+        let commaOnly = 0;
+        let dotOnly = 0;
+        for (const value of values) {
+            const core = value.replace(/[^\d.,\s]/g, '').trim();
+            if (!/\d/.test(core)) continue;
+            const dot = this.patterns['.'].core.test(core);
+            const comma = this.patterns[','].core.test(core);
+            if (comma && !dot) commaOnly++;
+            if (dot && !comma) dotOnly++;
+        }
+        return commaOnly > dotOnly ? ',' : '.';
+    }
+
+    // Day-first if some n/n/yyyy date can only be read that way, or dates use dots
+    detectDayFirst(values) {
+        for (const value of values) {
+            const match = /^(\d{1,2})([/.-])(\d{1,2})\2\d{2,4}\b/.exec(value);
+            if (!match) continue;
+            if (Number(match[1]) > 12 || match[2] === '.') return true;
+            if (Number(match[3]) > 12) return false;
+        }
+        return false;
+    }
+
+    // Read a numeric-looking value: { kind: 'number'|'percent'|'currency'|'size', value } or null
+    classifyNumber(value, decimal = '.') {
+        const p = this.patterns[decimal];
+        const toNumber = (sign, digits) => {
+            const normalized = decimal === ','
+                ? digits.replace(/[.\s]/g, '').replace(',', '.')
+                : digits.replace(/,/g, '');
+            const n = parseFloat(normalized);
+            return sign === '-' ? -n : n;
+        };
+
+        let m = p.plain.exec(value);
+        if (m) return { kind: 'number', value: toNumber(m[1], m[2]) };
+
+        // Accounting style "(5.00)" is negative, with or without a currency symbol
+        m = p.accounting.exec(value);
+        if (m) return { kind: 'number', value: toNumber('-', m[1]) };
+
+        m = p.percent.exec(value);
+        if (m) return { kind: 'percent', value: toNumber(m[1], m[2]) / 100 };
+
+        for (const pattern of p.currency) {
+            m = pattern.exec(value);
+            if (m) {
+                // Accounting style "(5.00)" and a leading "-" before the symbol are negative
+                const negative = m[1] === '-' || m[1] === '(' || m[2] === '-';
+                return { kind: 'currency', value: toNumber(negative ? '-' : '', m[3]) };
+            }
+        }
+
+        m = p.size.exec(value);
+        if (m) {
+            const unit = m[3].toUpperCase();
+            const power = 'BKMGTP'.indexOf(unit[0] === 'B' ? 'B' : unit[0]);
+            const base = unit.includes('I') ? 1024 : 1000;
+            return { kind: 'size', value: toNumber(m[1], m[2]) * Math.pow(base, Math.max(power, 0)) };
+        }
+
+        return null;
+    }
+
+    // Parse a date or date-time: { time, hasTime } with time in ms since epoch (UTC), or null
+    parseDate(value, dayFirst = false) {
+        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        const monthIndex = (name) => months.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+        const time = '(?:(?:[T ]|,? )(\\d{1,2}):(\\d{2})(?::(\\d{2})(?:[.,](\\d+))?)?\\s*([AaPp][Mm])?\\s*(Z|UTC|[+-]\\d{2}:?\\d{2})?)?';
+
+        let year;
+        let month;
+        let day;
+        let rest;
+        let m;
+        if ((m = new RegExp(`^(\\d{4})[-/.](\\d{1,2})[-/.](\\d{1,2})${time}$`).exec(value))) {
+            [year, month, day] = [m[1], m[2], m[3]].map(Number);
+            rest = m.slice(4);
+        } else if ((m = new RegExp(`^(\\d{1,2})([-/.])(\\d{1,2})\\2(\\d{2}|\\d{4})${time}$`).exec(value))) {
+            [day, month] = dayFirst ? [Number(m[1]), Number(m[3])] : [Number(m[3]), Number(m[1])];
+            year = Number(m[4]);
+            rest = m.slice(5);
+        } else if ((m = new RegExp(`^(\\d{1,2})[ -]([A-Za-z]{3,9})\\.?[ -,]+(\\d{4})${time}$`).exec(value))) {
+            [day, month, year] = [Number(m[1]), monthIndex(m[2]), Number(m[3])];
+            rest = m.slice(4);
+        } else if ((m = new RegExp(`^([A-Za-z]{3,9})\\.? (\\d{1,2})(?:st|nd|rd|th)?,? (\\d{4})${time}$`).exec(value))) {
+            [month, day, year] = [monthIndex(m[1]), Number(m[2]), Number(m[3])];
+            rest = m.slice(4);
+        } else {
+            return null;
+        }
+
+        if (year < 100) year += year < 50 ? 2000 : 1900;
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+        // Date.UTC rolls 31 February over into March; such dates don't exist
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+        const [hh, mm, ss, fraction, ampm, zone] = rest;
+        let hours = Number(hh || 0);
+        if (ampm) {
+            if (hours > 12) return null;
+            hours = (hours % 12) + (/p/i.test(ampm) ? 12 : 0);
+        }
+        if (hours > 23 || Number(mm || 0) > 59) return null;
+
+        let ms = Date.UTC(year, month - 1, day, hours, Number(mm || 0), Number(ss || 0),
+            fraction ? Math.round(Number(`0.${fraction}`) * 1000) : 0);
+        if (zone && /^[+-]/.test(zone)) {
+            const offset = zone.replace(':', '');
+            const minutes = Number(offset.slice(1, 3)) * 60 + Number(offset.slice(3, 5));
+            ms -= (offset[0] === '-' ? -1 : 1) * minutes * 60000;
+        }
+        return { time: ms, hasTime: hh !== undefined };
+    }
+
+    // Comparable value of a cell under a column type: a number for everything
+    // but text, or null when the cell is empty or doesn't fit the type
+    sortKey(value, columnType) {
+        const text = String(value ?? '').trim();
+        if (!text || this.isNullToken(text)) return null;
+
+        switch (columnType.type) {
+            case 'integer':
+            case 'decimal':
+            case 'currency':
+            case 'percent':
+            case 'size': {
+                const parsed = this.classifyNumber(text, columnType.decimal);
+                return parsed ? parsed.value : null;
+            }
+            case 'date':
+            case 'datetime': {
+                const parsed = this.parseDate(text, columnType.dayFirst);
+                return parsed ? parsed.time : null;
+            }
+            case 'boolean':
+                if (!this.isBoolean(text)) return null;
+                return /^(true|yes|y|t)$/i.test(text) ? 1 : 0;
+            default:
+                return text;
+        }
+    }
+
+    // The number in an integer/decimal cell, if writing it back bare keeps
+    // the text: "1,200" gives 1200, but "007" or "1.50" would lose digits
+    // and give null
+    exactNumber(value, columnType) {
+        if (!columnType || (columnType.type !== 'integer' && columnType.type !== 'decimal')) return null;
+        const text = String(value ?? '').trim();
+        const parsed = this.classifyNumber(text, columnType.decimal);
+        if (!parsed || parsed.kind !== 'number' || !Number.isFinite(parsed.value)) return null;
+        const digits = columnType.decimal === ','
+            ? text.replace(/[.\s]/g, '').replace(',', '.')
+            : text.replace(/,/g, '');
+        return String(parsed.value) === digits.replace(/^\+/, '') ? parsed.value : null;
+    }
+
+    // Compare two sort keys; empty and unparseable cells go last
+    // whichever way the column is sorted
+    compareKeys(a, b, direction = 'asc') {
+        if (a === null || b === null) {
+            if (a === b) return 0;
+            return a === null ? 1 : -1;
+        }
+        let result;
+        if (typeof a === 'number' && typeof b === 'number') {
+            result = a - b;
+        } else if (typeof a === 'number' || typeof b === 'number') {
+            // Numbers before text that failed to parse
+            result = typeof a === 'number' ? -1 : 1;
+        } else {
+            result = this.collator.compare(a, b);
+        }
+        return direction === 'asc' ? result : -result;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ColumnTypes };
+}
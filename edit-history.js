@@ -0,0 +1,56 @@
+// Format King - Edit History
+// Undo/redo stacks of edits. Each edit is a command { label, apply(), revert() }
+// and the history doesn't need to know what it changes. No DOM access.
+class EditHistory {
+    constructor(limit = 200) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    // Apply a command and make it the latest undo step. A new edit
+    // drops whatever could have been redone.
+    execute(command) {
+        command.apply();
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+        return command;
+    }
+
+    // Revert the latest command; returns it, or null when there's nothing to undo
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        command.revert();
+        this.redoStack.push(command);
+        return command;
+    }
+
+    // Re-apply the latest undone command; returns it, or null
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        command.apply();
+        this.undoStack.push(command);
+        return command;
+    }
+
+    // The commands undo() and redo() would act on next, or null
+    get nextUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    get nextRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EditHistory };
+}
@@ -0,0 +1,386 @@
+// Format King - Text Exporters
+// Renders a table (headers + rows of strings) as developer-friendly text:
+// Markdown, ASCII and Unicode box tables, SQL INSERTs, LaTeX and HTML, plus
+// the clipboard targets for spreadsheets, Jira, Confluence and Slack. No DOM access.
+class TableExporter {
+    static get FORMATS() {
+        return {
+            markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+            ascii: { label: 'ASCII table (+---+)', extension: 'txt', mimeType: 'text/plain' },
+            unicode: { label: 'Unicode box table (┌─┐)', extension: 'txt', mimeType: 'text/plain' },
+            sql: { label: 'SQL INSERT', extension: 'sql', mimeType: 'application/sql' },
+            latex: { label: 'LaTeX tabular', extension: 'tex', mimeType: 'application/x-tex' },
+            html: { label: 'HTML page', extension: 'html', mimeType: 'text/html' }
+        };
+    }
+
+    // Clipboard targets, each escaped for where it gets pasted.
+    // html: the text is also put on the clipboard as text/html
+    static get COPY_TARGETS() {
+        return {
+            tsv: { label: 'TSV (Google Sheets, Excel)' },
+            jira: { label: 'Jira wiki markup' },
+            confluence: { label: 'Confluence storage format', html: true },
+            slack: { label: 'Slack code block' },
+            github: { label: 'GitHub Markdown' }
+        };
+    }
+
+    // typeInference is a ColumnTypes instance, used to align numbers and
+    // write numeric SQL values
+    constructor(typeInference) {
+        this.types = typeInference;
+    }
+
+    // Render with one of the FORMATS. Options:
+    //   columnTypes  per-column { type, decimal } (numbers are right-aligned)
+    //   tableName    SQL table name / HTML title
+    //   quoteStyle   SQL identifier quoting: 'ansi' "x", 'mysql' `x`, 'mssql' [x], 'none'
+    //   cellBackground(rowIndex, columnIndex)  HTML cell color or null, e.g. diff highlights
+    export(formatId, headers, rows, options = {}) {
+        const renderers = {
+            markdown: () => this.toMarkdown(headers, rows, options),
+            ascii: () => this.toAsciiTable(headers, rows, options),
+            unicode: () => this.toUnicodeTable(headers, rows, options),
+            sql: () => this.toSQLInsert(headers, rows, options),
+            latex: () => this.toLatex(headers, rows, options),
+            html: () => this.toHTML(headers, rows, options)
+        };
+        if (!renderers[formatId]) throw new Error(`Unknown export format: ${formatId}`);
+        return renderers[formatId]();
+    }
+
+    // Render for one of the COPY_TARGETS
+    copyText(targetId, headers, rows, options = {}) {
+        const renderers = {
+            tsv: () => this.toTSV(headers, rows),
+            jira: () => this.toJira(headers, rows),
+            confluence: () => this.toConfluence(headers, rows, options),
+            slack: () => this.toSlack(headers, rows, options),
+            github: () => this.toMarkdown(headers, rows, options)
+        };
+        if (!renderers[targetId]) throw new Error(`Unknown copy target: ${targetId}`);
+        return renderers[targetId]();
+    }
+
+    static isNumericType(type) {
+        return ['integer', 'decimal', 'currency', 'percent', 'size'].includes(type);
+    }
+
+    // 'right' for numeric columns, 'left' for everything else
+    alignments(headers, columnTypes = []) {
+        return headers.map((_, i) => {
+            const columnType = columnTypes[i];
+            return columnType && TableExporter.isNumericType(columnType.type) ? 'right' : 'left';
+        });
+    }
+
+    // Display width of a string, counting code points rather than UTF-16
+    // units and skipping zero-width spaces
+    textWidth(text) {
+        return [...text.replace(/\u200b/g, '')].length;
+    }
+
+    pad(text, width, align) {
+        const gap = width - this.textWidth(text);
+        if (gap <= 0) return text;
+        if (align === 'right') return ' '.repeat(gap) + text;
+        if (align === 'center') {
+            const left = Math.floor(gap / 2);
+            return ' '.repeat(left) + text + ' '.repeat(gap - left);
+        }
+        return text + ' '.repeat(gap);
+    }
+
+    // Width of each column across the header and every row
+    columnWidths(headers, rows, minWidth = 1) {
+        return headers.map((h, i) => rows.reduce(
+            (max, row) => Math.max(max, this.textWidth(row[i] ?? '')),
+            Math.max(minWidth, this.textWidth(h))
+        ));
+    }
+
+    toMarkdown(headers, rows, options = {}) {
+        const escape = (cell) => String(cell ?? '')
+            .replace(/\|/g, '\\|')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/\r?\n/g, '<br>');
+        const head = headers.map(escape);
+        const body = rows.map(row => headers.map((_, i) => escape(row[i])));
+        const align = this.alignments(headers, options.columnTypes);
+        const widths = this.columnWidths(head, body, 3);
+
+        const line = (cells) => `| ${cells.map((c, i) => this.pad(c, widths[i], align[i])).join(' | ')} |`;
+        const separator = `|${widths.map((w, i) => {
+            if (align[i] === 'right') return `${'-'.repeat(w + 1)}:`;
+            if (align[i] === 'center') return `:${'-'.repeat(w)}:`;
+            return '-'.repeat(w + 2);
+        }).join('|')}|`;
+
+        return [line(head), separator, ...body.map(line)].join('\n');
+    }
+
+    // Box table drawn with the given characters:
+    // [top, header separator, bottom] rows of [left, fill, join, right], plus the vertical bar
+    drawBox(headers, rows, options, chars) {
+        const clean = (cell) => String(cell ?? '').replace(/\r?\n/g, ' ');
+        const head = headers.map(clean);
+        const body = rows.map(row => headers.map((_, i) => clean(row[i])));
+        const align = this.alignments(headers, options.columnTypes);
+        const widths = this.columnWidths(head, body);
+
+        const rule = ([left, fill, join, right]) => left + widths.map(w => fill.repeat(w + 2)).join(join) + right;
+        const line = (cells, alignments) =>
+            `${chars.bar} ${cells.map((c, i) => this.pad(c, widths[i], alignments[i])).join(` ${chars.bar} `)} ${chars.bar}`;
+
+        return [
+            rule(chars.top),
+            line(head, headers.map(() => 'left')),
+            rule(chars.middle),
+            ...body.map(cells => line(cells, align)),
+            rule(chars.bottom)
+        ].join('\n');
+    }
+
+    toAsciiTable(headers, rows, options = {}) {
+        const border = ['+', '-', '+', '+'];
+        return this.drawBox(headers, rows, options, { top: border, middle: border, bottom: border, bar: '|' });
+    }
+
+    toUnicodeTable(headers, rows, options = {}) {
+        return this.drawBox(headers, rows, options, {
+            top: ['┌', '─', '┬', '┐'],
+            middle: ['├', '─', '┼', '┤'],
+            bottom: ['└', '─', '┴', '┘'],
+            bar: '│'
+        });
+    }
+
+    // Tab-separated, quoted the way Sheets and Excel expect on paste:
+    // cells holding tabs, newlines or quotes go in "..." with quotes doubled
+    toTSV(headers, rows) {
+        const cell = (value) => {
+            const text = String(value ?? '');
+            return /[\t\r\n"]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const line = (cells) => headers.map((_, i) => cell(cells[i])).join('\t');
+        return [line(headers), ...rows.map(line)].join('\n');
+    }
+
+    // Array of objects keyed by header. cellType(rowIndex, columnIndex)
+    // gives the JSON type a cell was read as (see FormatParser.jsonToTable),
+    // or null for none, and the cell is written back as that type.
+    toJSON(headers, rows, options = {}) {
+        const json = rows.map((row, r) => {
+            const obj = {};
+            headers.forEach((header, c) => {
+                const value = this.jsonValue(String(row[c] ?? ''), options.cellType ? options.cellType(r, c) : null);
+                if (value !== undefined) obj[header] = value;
+            });
+            return obj;
+        });
+        return JSON.stringify(json, null, 2);
+    }
+
+    // A cell as its JSON type, as long as the text still fits that type (it
+    // may have been edited since); otherwise a string. Keys a row never had
+    // stay out while they're empty.
+    jsonValue(text, type) {
+        switch (type) {
+            case 'number':
+                return /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text) ? Number(text) : text;
+            case 'boolean':
+                return text === 'true' || text === 'false' ? text === 'true' : text;
+            case 'null':
+                return text === '' ? null : text;
+            case 'absent':
+                return text === '' ? undefined : text;
+            case 'object':
+            case 'array':
+                try {
+                    const value = JSON.parse(text);
+                    if (typeof value === 'object' && value !== null && Array.isArray(value) === (type === 'array')) return value;
+                } catch {
+                    // Not JSON any more
+                }
+                return text;
+            default:
+                return text;
+        }
+    }
+
+    // ||heading||heading|| then |cell|cell|. Markup characters are
+    // backslash-escaped, and empty cells get a space so Jira keeps them.
+    toJira(headers, rows) {
+        const escape = (value) => {
+            const text = String(value ?? '')
+                .replace(/\\/g, '&#92;')
+                .replace(/[|*_+^~?!{}[\]-]/g, '\\$&')
+                .replace(/\r?\n/g, ' \\\\ ')
+                .trim();
+            return text || ' ';
+        };
+        return [
+            `||${headers.map(escape).join('||')}||`,
+            ...rows.map(row => `|${headers.map((_, i) => escape(row[i])).join('|')}|`)
+        ].join('\n');
+    }
+
+    // Confluence storage format (XHTML)
+    toConfluence(headers, rows, options = {}) {
+        const align = this.alignments(headers, options.columnTypes);
+        const cell = (tag, value, i) => {
+            const style = tag === 'td' && align[i] === 'right' ? ' style="text-align: right;"' : '';
+            const text = this.escapeHtml(value).replace(/\r?\n/g, '<br />');
+            return `<${tag}${style}><p>${text}</p></${tag}>`;
+        };
+        return [
+            '<table><tbody>',
+            `<tr>${headers.map((h, i) => cell('th', h, i)).join('')}</tr>`,
+            ...rows.map(row => `<tr>${headers.map((_, i) => cell('td', row[i], i)).join('')}</tr>`),
+            '</tbody></table>'
+        ].join('\n');
+    }
+
+    // Aligned columns inside a ``` block so Slack shows them monospaced.
+    // Runs of backticks are broken up so they can't close the block early.
+    toSlack(headers, rows, options = {}) {
+        const clean = (cell) => String(cell ?? '')
+            .replace(/\r?\n|\t/g, ' ')
+            .replace(/`{3,}/g, ticks => ticks.split('').join('\u200b'));
+        const head = headers.map(clean);
+        const body = rows.map(row => headers.map((_, i) => clean(row[i])));
+        const align = this.alignments(headers, options.columnTypes);
+        const widths = this.columnWidths(head, body);
+
+        const line = (cells, alignments) =>
+            cells.map((c, i) => this.pad(c, widths[i], alignments[i])).join('  ').trimEnd();
+        return [
+            '```',
+            line(head, headers.map(() => 'left')),
+            widths.map(w => '-'.repeat(w)).join('  '),
+            ...body.map(cells => line(cells, align)),
+            '```'
+        ].join('\n');
+    }
+
+    quoteIdentifier(name, quoteStyle = 'ansi') {
+        switch (quoteStyle) {
+            case 'mysql': return `\`${name.replace(/`/g, '``')}\``;
+            case 'mssql': return `[${name.replace(/]/g, ']]')}]`;
+            case 'none': return name.replace(/\W+/g, '_');
+            default: return `"${name.replace(/"/g, '""')}"`;
+        }
+    }
+
+    // One INSERT per batch of rows. Integer/decimal cells are written as
+    // numbers when that keeps their text (so "02134" stays a string), empty
+    // cells as NULL, everything else as a quoted string (backslashes doubled
+    // as well for MySQL).
+    toSQLInsert(headers, rows, options = {}) {
+        const { tableName = 'my_table', quoteStyle = 'ansi', columnTypes = [], batchSize = 500 } = options;
+        const table = tableName.split('.').map(part => this.quoteIdentifier(part.trim(), quoteStyle)).join('.');
+        const columns = headers.map((h, i) => this.quoteIdentifier(h || `column_${i + 1}`, quoteStyle)).join(', ');
+
+        const value = (cell, i) => {
+            const text = String(cell ?? '').trim();
+            if (text === '') return 'NULL';
+            const number = this.types ? this.types.exactNumber(text, columnTypes[i]) : null;
+            if (number !== null) return String(number);
+            const escaped = quoteStyle === 'mysql' ? String(cell).replace(/\\/g, '\\\\') : String(cell);
+            return `'${escaped.replace(/'/g, "''")}'`;
+        };
+
+        if (rows.length === 0) return `-- No rows to insert into ${table}`;
+
+        const statements = [];
+        for (let start = 0; start < rows.length; start += batchSize) {
+            const values = rows.slice(start, start + batchSize)
+                .map(row => `  (${headers.map((_, i) => value(row[i], i)).join(', ')})`);
+            statements.push(`INSERT INTO ${table} (${columns}) VALUES\n${values.join(',\n')};`);
+        }
+        return statements.join('\n\n');
+    }
+
+    escapeLatex(text) {
+        const replacements = {
+            '\\': '\\textbackslash{}',
+            '&': '\\&',
+            '%': '\\%',
+            '$': '\\$',
+            '#': '\\#',
+            '_': '\\_',
+            '{': '\\{',
+            '}': '\\}',
+            '~': '\\textasciitilde{}',
+            '^': '\\textasciicircum{}'
+        };
+        return String(text ?? '').replace(/[\\&%$#_{}~^]/g, ch => replacements[ch]).replace(/\r?\n/g, ' ');
+    }
+
+    toLatex(headers, rows, options = {}) {
+        const spec = this.alignments(headers, options.columnTypes).map(a => a[0]).join('|');
+        const line = (cells) => `${cells.join(' & ')} \\\\`;
+        return [
+            `\\begin{tabular}{|${spec}|}`,
+            '\\hline',
+            line(headers.map(h => `\\textbf{${this.escapeLatex(h)}}`)),
+            '\\hline',
+            ...rows.map(row => line(headers.map((_, i) => this.escapeLatex(row[i])))),
+            '\\hline',
+            '\\end{tabular}'
+        ].join('\n');
+    }
+
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Standalone page with its own styles
+    toHTML(headers, rows, options = {}) {
+        const title = this.escapeHtml(options.tableName || 'Table');
+        const align = this.alignments(headers, options.columnTypes);
+        const background = options.cellBackground || (() => null);
+        const cell = (tag, text, i, r) => {
+            const color = tag === 'td' ? background(r, i) : null;
+            const attrs = (align[i] === 'right' ? ' class="num"' : '') + (color ? ` style="background: ${color}"` : '');
+            return `<${tag}${attrs}>${this.escapeHtml(text).replace(/\r?\n/g, '<br>')}</${tag}>`;
+        };
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+<style>
+    body { font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #ddd; padding: 6px 10px; text-align: left; }
+    th { background: #f3f4f6; }
+    tbody tr:nth-child(even) { background: #fafafa; }
+    .num { text-align: right; font-variant-numeric: tabular-nums; }
+</style>
+</head>
+<body>
+<table>
+<thead>
+<tr>${headers.map((h, i) => cell('th', h, i)).join('')}</tr>
+</thead>
+<tbody>
+${rows.map((row, r) => `<tr>${headers.map((_, i) => cell('td', row[i], i, r)).join('')}</tr>`).join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TableExporter };
+}
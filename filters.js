@@ -0,0 +1,229 @@
+// Format King - Row Filtering
+// Per-column filters and the search box query language. No DOM access.
+//
+// Query syntax (terms are ANDed together):
+//   word            some cell contains "word"
+//   "two words"     some cell contains the phrase
+//   col:value       the column contains value
+//   col=value       the column equals value (col!=value for not equal, col="" for empty)
+//   col>10 col<=5   compares using the column's type (numbers, dates, ...)
+//   col:/regex/     the column matches the regular expression
+//   -term           negates any of the above
+// Column names match case-insensitively; quote names with spaces: "order id"=42.
+// A term whose name isn't a column is searched for as plain text (e.g. 10:30).
+class RowFilter {
+    // typeInference is a ColumnTypes instance, used to compare typed values
+    constructor(typeInference) {
+        this.types = typeInference;
+    }
+
+    static get OPERATORS() {
+        return {
+            contains: 'contains',
+            equals: 'equals',
+            regex: 'regex',
+            range: 'between',
+            empty: 'is empty',
+            notEmpty: 'not empty'
+        };
+    }
+
+    static isNumericType(type) {
+        return ['integer', 'decimal', 'currency', 'percent', 'size'].includes(type);
+    }
+
+    static isDateType(type) {
+        return type === 'date' || type === 'datetime';
+    }
+
+    // Per-column filter operators that make sense for a column type, default first
+    operatorsFor(type) {
+        if (RowFilter.isNumericType(type) || RowFilter.isDateType(type)) {
+            return ['range', 'equals', 'contains', 'empty', 'notEmpty'];
+        }
+        return ['contains', 'equals', 'regex', 'empty', 'notEmpty'];
+    }
+
+    // Split a query into tokens on whitespace, keeping "quoted parts" together
+    tokenize(query) {
+        const tokens = [];
+        let token = '';
+        let inQuotes = false;
+        for (const char of query) {
+            if (char === '"') inQuotes = !inQuotes;
+            if (/\s/.test(char) && !inQuotes) {
+                if (token) tokens.push(token);
+                token = '';
+            } else {
+                token += char;
+            }
+        }
+        if (token) tokens.push(token);
+        return tokens;
+    }
+
+    // Parse the search box query into filter terms:
+    // [{ column, op, value, negate }] where column is null for free text
+    parseQuery(query, headers) {
+        const unquote = (s) => s.length >= 2 && s.startsWith('"') && s.endsWith('"') ? s.slice(1, -1) : s;
+        const lowerHeaders = headers.map(h => String(h).toLowerCase());
+        const ops = { ':': 'contains', '=': 'equals', '!=': 'notEquals', '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' };
+
+        return this.tokenize(query).map(token => {
+            const negate = token.length > 1 && token.startsWith('-');
+            if (negate) token = token.slice(1);
+
+            const match = /^("[^"]*"|[^:=<>!"]+)(:|!=|>=|<=|=|>|<)(.*)$/.exec(token);
+            const column = match ? lowerHeaders.indexOf(unquote(match[1]).toLowerCase()) : -1;
+            if (!match || column === -1 || (match[2] === ':' && !match[3])) {
+                return { column: null, op: 'contains', value: unquote(token), negate };
+            }
+
+            const value = match[3];
+            const regex = /^\/(.+)\/([a-z]*)$/.exec(value);
+            if (match[2] === ':' && regex && this.isValidRegex(regex[1], regex[2])) {
+                return { column, op: 'regex', value: regex[1], flags: regex[2], negate };
+            }
+            return { column, op: ops[match[2]], value: unquote(value), negate };
+        }).filter(term => term.column !== null || term.value !== '');
+    }
+
+    isValidRegex(pattern, flags = '') {
+        try {
+            new RegExp(pattern, flags);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    // Turn a per-column filter { op, value, min, max } into a term,
+    // or null when it has nothing to filter on (or an invalid regex)
+    columnFilterTerm(column, filter) {
+        if (!filter || !filter.op) return null;
+        const { op, value = '', min = '', max = '' } = filter;
+
+        if (op === 'empty' || op === 'notEmpty') return { column, op, negate: false };
+        if (op === 'range') {
+            if (!min.trim() && !max.trim()) return null;
+            return { column, op, min: min.trim(), max: max.trim(), negate: false };
+        }
+        if (!value) return null;
+        if (op === 'regex' && !this.isValidRegex(value)) return null;
+        return { column, op, value, negate: false };
+    }
+
+    // Build a matcher for the terms. It returns null when a row fails, or a
+    // Map of column index to the RegExps to highlight in that cell.
+    createMatcher(terms, columnTypes) {
+        const compiled = terms.map(term => this.compileTerm(term, columnTypes[term.column] || { type: 'text' }));
+
+        return (row) => {
+            const highlights = new Map();
+            for (const term of compiled) {
+                const matched = term.column === null
+                    ? row.map((_, i) => i).filter(i => term.test(row[i] ?? ''))
+                    : [term.column].filter(i => term.test(row[i] ?? ''));
+
+                if (term.negate) {
+                    if (matched.length > 0) return null;
+                    continue;
+                }
+                if (matched.length === 0) return null;
+                if (!term.highlight) continue;
+                for (const i of matched) {
+                    if (!highlights.has(i)) highlights.set(i, []);
+                    highlights.get(i).push(term.highlight);
+                }
+            }
+            return highlights;
+        };
+    }
+
+    // Compile a term into { column, negate, test(cell), highlight }
+    compileTerm(term, columnType) {
+        const escaped = String(term.value ?? '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const wholeCell = /^[\s\S]+$/;
+        const compiled = { column: term.column, negate: term.negate };
+        const text = (cell) => String(cell).trim();
+        const isEmpty = (cell) => text(cell) === '' || this.types.isNullToken(text(cell));
+
+        // Typed key of a cell or bound; a bound typed the US way still works
+        // in a decimal-comma column
+        const key = (value) => {
+            let k = this.types.sortKey(value, columnType);
+            if (k === null && columnType.decimal === ',') k = this.types.sortKey(value, { ...columnType, decimal: '.' });
+            return k;
+        };
+        const compare = (a, b) => this.types.compareKeys(a, b);
+
+        switch (term.op) {
+            case 'contains': {
+                const needle = String(term.value).toLowerCase();
+                compiled.test = (cell) => String(cell).toLowerCase().includes(needle);
+                compiled.highlight = new RegExp(escaped, 'gi');
+                break;
+            }
+            case 'equals':
+            case 'notEquals': {
+                const needle = text(term.value).toLowerCase();
+                const typed = columnType.type !== 'text' ? key(term.value) : null;
+                const equals = (cell) => {
+                    if (needle === '') return isEmpty(cell);
+                    if (text(cell).toLowerCase() === needle) return true;
+                    return typed !== null && key(cell) === typed;
+                };
+                compiled.test = term.op === 'equals' ? equals : (cell) => !equals(cell);
+                compiled.highlight = term.op === 'equals' && needle !== '' ? wholeCell : null;
+                break;
+            }
+            case 'regex': {
+                const regex = new RegExp(term.value, (term.flags || 'i').replace('g', ''));
+                compiled.test = (cell) => regex.test(String(cell));
+                compiled.highlight = new RegExp(term.value, `${(term.flags || 'i').replace('g', '')}g`);
+                break;
+            }
+            case 'gt':
+            case 'gte':
+            case 'lt':
+            case 'lte': {
+                const bound = key(term.value);
+                const accept = { gt: r => r > 0, gte: r => r >= 0, lt: r => r < 0, lte: r => r <= 0 }[term.op];
+                compiled.test = (cell) => {
+                    const k = key(cell);
+                    return k !== null && bound !== null && typeof k === typeof bound && accept(compare(k, bound));
+                };
+                compiled.highlight = wholeCell;
+                break;
+            }
+            case 'range': {
+                const min = term.min ? key(term.min) : null;
+                const max = term.max ? key(term.max) : null;
+                compiled.test = (cell) => {
+                    const k = key(cell);
+                    if (k === null) return false;
+                    if (term.min && (min === null || typeof k !== typeof min || compare(k, min) < 0)) return false;
+                    if (term.max && (max === null || typeof k !== typeof max || compare(k, max) > 0)) return false;
+                    return true;
+                };
+                compiled.highlight = wholeCell;
+                break;
+            }
+            case 'empty':
+                compiled.test = isEmpty;
+                compiled.highlight = null;
+                break;
+            case 'notEmpty':
+                compiled.test = (cell) => !isEmpty(cell);
+                compiled.highlight = null;
+                break;
+            default:
+                throw new Error(`Unknown filter operator: ${term.op}`);
+        }
+        return compiled;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RowFilter };
+}
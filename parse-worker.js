@@ -0,0 +1,146 @@
+// Format King - Parse Worker
+// Reads an uploaded file in chunks and parses it off the UI thread.
+// Large delimited files are parsed as they stream in, so the first rows can
+// be shown before the whole file has been read; anything else is parsed once
+// it has been read in full.
+//
+// In:  { type: 'parse-file', file, options }
+// Out: { type: 'progress', loaded, total }
+//      { type: 'rows', headers, rows, meta }   (streaming only)
+//      { type: 'done', result, text, width }   (result.tables is empty when rows were streamed)
+//      { type: 'error', message }
+importScripts('parser.js');
+
+const parser = new FormatParser();
+
+const SAMPLE_SIZE = 64 * 1024;              // Text to look at before deciding whether to stream
+const STREAM_THRESHOLD = 2 * 1024 * 1024;   // Smaller files are simply parsed whole
+const RETURN_TEXT_LIMIT = 20 * 1024 * 1024; // Up to this size the text comes back for "Parse as"
+const BATCH_INTERVAL = 250;                 // ms between row batches / progress updates
+
+self.onmessage = (e) => {
+    const { type, file, options } = e.data;
+    if (type !== 'parse-file') return;
+    parseFile(file, options).catch(err => {
+        self.postMessage({ type: 'error', message: err.message });
+    });
+};
+
+async function parseFile(file, options) {
+    const reader = file.stream().getReader();
+    const decoder = new TextDecoder();
+    const total = file.size;
+    let loaded = 0;
+    let lastPost = 0;
+
+    let text = '';          // Whole text, while not streaming
+    let decided = file.size <= STREAM_THRESHOLD;
+    let streaming = null;   // Row stream state once we've decided to stream
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        loaded += value.byteLength;
+        const chunk = decoder.decode(value, { stream: true });
+
+        if (streaming) {
+            streaming.push(chunk);
+        } else {
+            text += chunk;
+            if (!decided && text.length >= SAMPLE_SIZE) {
+                decided = true;
+                streaming = startStreaming(text, file.name, options);
+                if (streaming) {
+                    streaming.push(text);
+                    text = '';
+                }
+            }
+        }
+
+        const now = Date.now();
+        if (now - lastPost >= BATCH_INTERVAL) {
+            lastPost = now;
+            if (streaming) streaming.flush();
+            self.postMessage({ type: 'progress', loaded, total });
+        }
+    }
+
+    const tail = decoder.decode();
+    self.postMessage({ type: 'progress', loaded: total, total });
+
+    if (streaming) {
+        streaming.push(tail);
+        streaming.end();
+        self.postMessage({ type: 'done', result: { ...streaming.meta, tables: [] }, text: null, width: streaming.width });
+        return;
+    }
+
+    text = (text + tail).trim();
+    const result = parser.parseFile(file.name, text, options);
+    self.postMessage({
+        type: 'done',
+        result,
+        text: text.length <= RETURN_TEXT_LIMIT ? text : null,
+        width: null
+    });
+}
+
+// Decide from the first part of the file whether it's delimited text we can
+// parse as it streams. Returns a stream state, or null to read the file whole.
+function startStreaming(sample, fileName, options) {
+    const hint = parser.formatForFileName(fileName);
+    if (hint && hint.format !== 'csv') return null;
+    if (/^\s*[[{]/.test(sample)) return null;
+
+    // Only whole lines, so a row cut off mid-way doesn't skew detection
+    const lines = sample.slice(0, sample.lastIndexOf('\n')).trim();
+    const opts = { ...options };
+    if (hint && hint.delimiter && options.delimiter === 'auto') opts.delimiter = hint.delimiter;
+
+    const candidates = parser.detect(lines, opts);
+    const best = candidates[0];
+    if (!hint && (!best || best.id !== 'csv' || best.confidence < 0.6)) return null;
+
+    const csv = candidates.find(c => c.id === 'csv');
+    const meta = { format: csv.id, label: csv.label, confidence: csv.confidence, candidates };
+    return createRowStream(parser.resolveDelimiter(lines, opts.delimiter), opts.firstRowHeader, meta);
+}
+
+// Collects parsed rows and posts them to the page in batches
+function createRowStream(delimiter, firstRowHeader, meta) {
+    const csv = parser.createCSVStream(delimiter);
+    let headers = null;
+    let pending = [];
+    let width = 0;
+
+    const take = (rows) => {
+        for (const row of rows) {
+            width = Math.max(width, row.length);
+            if (!headers) {
+                headers = firstRowHeader ? row : row.map((_, i) => `Column ${i + 1}`);
+                if (firstRowHeader) continue;
+            }
+            pending.push(row);
+        }
+    };
+
+    const state = {
+        meta,
+        get width() {
+            return width;
+        },
+        push(chunk) {
+            take(csv.push(chunk));
+        },
+        flush() {
+            if (!headers || pending.length === 0) return;
+            self.postMessage({ type: 'rows', headers, rows: pending, meta });
+            pending = [];
+        },
+        end() {
+            take(csv.end());
+            state.flush();
+        }
+    };
+    return state;
+}
@@ -0,0 +1,1489 @@
+// Format King - Parsing Engine
+// Detection and parsing with no DOM access, so it can run in Node scripts and tests.
+// Every parser returns normalized tables: { name, headers, data }
+class FormatParser {
+    constructor(options = {}) {
+        this.options = {
+            delimiter: 'auto',      // 'auto' or the delimiter character itself
+            firstRowHeader: true,
+            format: 'auto',         // 'auto' or a registered format id to force
+            jsonPath: null,         // where the rows are in JSON, e.g. '$.data.items'; null picks one
+            flattenJSON: true,      // nested JSON objects become dot-path columns
+            explodeArrays: false,   // nested JSON arrays become one row per item
+            dataFrameIndex: 'auto', // pandas index: 'keep', 'drop', or 'auto' to drop an unnamed 0, 1, 2, ...
+            logPattern: '',         // regex with named groups for the custom pattern format; '' turns it off
+            ...options
+        };
+        this.formats = [];
+        this.registerDefaultFormats();
+    }
+
+    // Register a detector/parser pair.
+    // detect(text, options) returns a confidence between 0 and 1,
+    // parse(text, options) returns an array of tables.
+    // Formats registered earlier win ties.
+    registerFormat({ id, label, detect, parse }) {
+        this.formats = this.formats.filter(f => f.id !== id);
+        this.formats.push({ id, label, detect, parse });
+    }
+
+    getFormat(id) {
+        return this.formats.find(f => f.id === id) || null;
+    }
+
+    registerDefaultFormats() {
+        this.registerFormat({
+            id: 'databricks',
+            label: 'SQL box table',
+            detect: (text) => this.scoreDatabricksFormat(text),
+            parse: (text) => this.parseDatabricksFormat(text)
+        });
+        this.registerFormat({
+            id: 'markdown',
+            label: 'Markdown table',
+            detect: (text) => this.scoreMarkdownTable(text),
+            parse: (text) => this.parseMarkdownTable(text)
+        });
+        this.registerFormat({
+            id: 'dataframe',
+            label: 'DataFrame printout (pandas, Polars)',
+            detect: (text) => this.scoreDataFrame(text),
+            parse: (text, opts) => this.parseDataFrame(text, opts)
+        });
+        this.registerFormat({
+            id: 'vertical',
+            label: 'Expanded records (psql \\x, MySQL \\G, Spark)',
+            detect: (text) => this.scoreVerticalRecords(text),
+            parse: (text) => this.parseVerticalRecords(text)
+        });
+        this.registerFormat({
+            id: 'access-log',
+            label: 'Access log (Common/Combined)',
+            detect: (text) => this.scoreAccessLog(text),
+            parse: (text) => this.parseAccessLog(text)
+        });
+        this.registerFormat({
+            id: 'logfmt',
+            label: 'logfmt (key=value)',
+            detect: (text) => this.scoreLogfmt(text),
+            parse: (text) => this.parseLogfmt(text)
+        });
+        this.registerFormat({
+            id: 'log-pattern',
+            label: 'Custom pattern',
+            detect: (text, opts) => this.scoreLogPattern(text, opts.logPattern),
+            parse: (text, opts) => this.parseLogPattern(text, opts.logPattern)
+        });
+        this.registerFormat({
+            id: 'json',
+            label: 'JSON',
+            detect: (text) => this.scoreJSON(this.readJSON(text)),
+            parse: (text, opts) => [this.parseJSON(text, opts)]
+        });
+        this.registerFormat({
+            id: 'ndjson',
+            label: 'JSON Lines',
+            detect: (text) => this.scoreJSON(this.readJSONLines(text)) * 0.99,
+            parse: (text, opts) => [this.parseJSONLines(text, opts)]
+        });
+        this.registerFormat({
+            id: 'fixed-width',
+            label: 'Fixed-width table',
+            detect: (text) => this.isFixedWidthTable(text) ? 0.5 : 0,
+            parse: (text) => [this.parseFixedWidthTable(text)].filter(Boolean)
+        });
+        this.registerFormat({
+            id: 'csv',
+            label: 'Delimited text',
+            detect: (text, opts) => this.scoreDelimited(text, this.resolveDelimiter(text, opts.delimiter)),
+            parse: (text, opts) => {
+                const delimiter = this.resolveDelimiter(text, opts.delimiter);
+                return [this.rowsToTable(this.parseCSV(text, delimiter), opts.firstRowHeader)].filter(Boolean);
+            }
+        });
+    }
+
+    // Score every registered format against the text, best first.
+    // Returns [{ id, label, confidence }]
+    detect(text, options = {}) {
+        const opts = { ...this.options, ...options };
+        text = text.trim();
+        if (!text) return [];
+
+        return this.formats.map(format => {
+            let confidence = 0;
+            try {
+                confidence = format.detect(text, opts);
+            } catch {
+                confidence = 0;
+            }
+            return { id: format.id, label: format.label, confidence };
+        }).sort((a, b) => b.confidence - a.confidence);
+    }
+
+    // Detect the format of the text and parse it into tables.
+    // Returns { format, label, confidence, tables, candidates }; the best
+    // scoring format that yields at least one table wins, unless
+    // options.format names a format to use regardless of its score.
+    parse(text, options = {}) {
+        const opts = { ...this.options, ...options };
+        text = text.trim();
+        const candidates = this.detect(text, opts);
+        const empty = { format: null, label: null, confidence: 0, tables: [], candidates };
+        if (!text) return empty;
+
+        if (opts.format && opts.format !== 'auto') {
+            const candidate = candidates.find(c => c.id === opts.format);
+            if (!candidate) throw new Error(`Unknown format: ${opts.format}`);
+            const tables = this.parseAs(candidate.id, text, opts);
+            return { format: candidate.id, label: candidate.label, confidence: candidate.confidence, tables, candidates };
+        }
+
+        for (const candidate of candidates) {
+            if (candidate.confidence <= 0) continue;
+            let tables;
+            try {
+                tables = this.parseAs(candidate.id, text, opts);
+            } catch {
+                continue;
+            }
+            if (tables.length > 0) {
+                return { format: candidate.id, label: candidate.label, confidence: candidate.confidence, tables, candidates };
+            }
+        }
+        return empty;
+    }
+
+    // Parse the contents of a file. An unambiguous extension picks the format
+    // (and for .tsv the delimiter); detection takes over if that finds nothing
+    parseFile(fileName, text, options = {}) {
+        const opts = { ...this.options, ...options };
+        const hint = this.formatForFileName(fileName);
+
+        if (hint && (!opts.format || opts.format === 'auto')) {
+            const hinted = { ...opts, format: hint.format };
+            if (hint.delimiter && opts.delimiter === 'auto') hinted.delimiter = hint.delimiter;
+            try {
+                const result = this.parse(text, hinted);
+                if (result.tables.length > 0) return result;
+            } catch {
+                // Content doesn't match the extension; detect instead
+            }
+        }
+        return this.parse(text, opts);
+    }
+
+    // Format implied by a file name's extension, or null when it could be anything
+    formatForFileName(fileName) {
+        const match = /\.([^.]+)$/.exec(fileName || '');
+        const extension = match ? match[1].toLowerCase() : '';
+        const formats = {
+            csv: { format: 'csv' },
+            tsv: { format: 'csv', delimiter: '\t' },
+            json: { format: 'json' },
+            ndjson: { format: 'ndjson' },
+            jsonl: { format: 'ndjson' },
+            md: { format: 'markdown' },
+            markdown: { format: 'markdown' }
+        };
+        return formats[extension] || null;
+    }
+
+    // Parse the text with one specific format, skipping detection
+    parseAs(formatId, text, options = {}) {
+        const format = this.getFormat(formatId);
+        if (!format) throw new Error(`Unknown format: ${formatId}`);
+        return format.parse(text.trim(), { ...this.options, ...options });
+    }
+
+    // Resolve the 'auto' delimiter option against the text
+    resolveDelimiter(text, delimiter) {
+        return !delimiter || delimiter === 'auto' ? this.detectDelimiter(text) : delimiter;
+    }
+
+    // Non-empty, trimmed lines of the text
+    contentLines(text) {
+        return text.split('\n').map(l => l.trim()).filter(l => l);
+    }
+
+    detectDelimiter(text) {
+        const lines = text.trim().split('\n').slice(0, 5);
+        const delimiters = [',', ';', '\t', '|'];
+        const counts = {};
+
+        delimiters.forEach(d => {
+            counts[d] = lines.map(line => (line.match(new RegExp(d === '|' ? '\\|' : d, 'g')) || []).length);
+        });
+
+        // Find delimiter with most consistent count across lines
+        let bestDelimiter = ',';
+        let bestScore = 0;
+
+        delimiters.forEach(d => {
+            const avg = counts[d].reduce((a, b) => a + b, 0) / counts[d].length;
+            const variance = counts[d].reduce((sum, val) => sum + Math.pow(val - avg, 2), 0) / counts[d].length;
+            const score = avg > 0 ? avg / (variance + 1) : 0;
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestDelimiter = d;
+            }
+        });
+
+        return bestDelimiter;
+    }
+
+    // Detect if text is Databricks/SQL ASCII table format or Unicode box table
+    isDatabricksFormat(text) {
+        // Look for patterns like +----+----+ and |value|value|
+        // Use \s* to handle leading whitespace
+        const hasBorderLines = /^\s*\+[-+]+\+/m.test(text);
+        const hasDataLines = /^\s*\|.+\|/m.test(text);
+        const hasTableHeader = /^=+\s*\n\s*TABLE:/m.test(text) || hasBorderLines;
+
+        // Also check for Unicode box-drawing characters (Claude terminal output)
+        // Use \s* to handle leading whitespace
+        const hasUnicodeBorders = /[┌┐└┘├┤┬┴┼─│]/m.test(text);
+        const hasUnicodeDataLines = /^\s*│.+│/m.test(text);
+
+        return (hasBorderLines && hasDataLines) || hasTableHeader || (hasUnicodeBorders && hasUnicodeDataLines);
+    }
+
+    // Confidence that the text is a box table: the share of lines that
+    // belong to the table, so a box drawn around prose scores low
+    scoreDatabricksFormat(text) {
+        if (!this.isDatabricksFormat(text)) return 0;
+        if (/^=+\s*\n\s*TABLE:/m.test(text)) return 0.95;
+
+        const lines = this.contentLines(text);
+        const hasAsciiBorders = lines.some(l => /^\+[-+]+\+?/.test(l));
+        const tableLine = hasAsciiBorders
+            ? (l) => /^[+|]/.test(l) || /^=+$/.test(l) || /^TABLE:/.test(l)
+            : (l) => /^[┌├└│]/.test(l);
+        const share = lines.filter(tableLine).length / lines.length;
+        return 0.5 + 0.45 * share;
+    }
+
+    // Parse Databricks/SQL ASCII table format
+    parseDatabricksFormat(text) {
+        const tables = [];
+        const lines = text.split('\n');
+
+        let currentTableName = null;
+        let currentRows = [];
+        let inTable = false;
+        let headerParsed = false;
+        let currentHeaders = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+
+            // Check for table name header (e.g., "TABLE: blasts")
+            const tableNameMatch = line.match(/^TABLE:\s*(.+)$/);
+            if (tableNameMatch) {
+                // Save previous table if exists
+                if (currentRows.length > 0 && currentHeaders.length > 0) {
+                    tables.push({
+                        name: currentTableName || `Table ${tables.length + 1}`,
+                        headers: currentHeaders,
+                        data: currentRows
+                    });
+                }
+                currentTableName = tableNameMatch[1].trim();
+                currentRows = [];
+                currentHeaders = [];
+                headerParsed = false;
+                inTable = false;
+                continue;
+            }
+
+            // Clean line - remove trailing commas that might be artifacts
+            const cleanLine = line.replace(/,+$/, '').trim();
+
+            // Skip separator lines (====== or +----+ or Unicode borders ┌─┬─┐ ├─┼─┤ └─┴─┘)
+            // Also handle lines that might not have closing characters
+            if (/^=+$/.test(cleanLine) || /^\+[-+]+\+?$/.test(cleanLine) || /^[┌├└][─┬┼┴]+[┐┤┘]?$/.test(cleanLine)) {
+                if (inTable && headerParsed) {
+                    // This might be end of table or just a separator
+                }
+                inTable = true;
+                continue;
+            }
+
+            // Parse data lines (|value|value|value| or │value│value│value│)
+            // Handle lines that might be missing closing | or │
+            const isAsciiDataLine = cleanLine.startsWith('|');
+            const isUnicodeDataLine = cleanLine.startsWith('│');
+
+            if (isAsciiDataLine || isUnicodeDataLine) {
+                const delimiter = isUnicodeDataLine ? '│' : '|';
+                let content = cleanLine;
+
+                // Remove leading delimiter
+                content = content.slice(1);
+
+                // Remove trailing delimiter if present
+                if (content.endsWith(delimiter)) {
+                    content = content.slice(0, -1);
+                }
+
+                const cells = content
+                    .split(delimiter)
+                    .map(cell => cell.trim());
+
+                if (!headerParsed) {
+                    currentHeaders = cells;
+                    headerParsed = true;
+                } else {
+                    currentRows.push(cells);
+                }
+            }
+        }
+
+        // Don't forget the last table
+        if (currentRows.length > 0 && currentHeaders.length > 0) {
+            tables.push({
+                name: currentTableName || `Table ${tables.length + 1}`,
+                headers: currentHeaders,
+                data: currentRows
+            });
+        }
+
+        // If no named tables found, try parsing as single table
+        if (tables.length === 0) {
+            const singleTable = this.parseSingleAsciiTable(text);
+            if (singleTable) {
+                tables.push(singleTable);
+            }
+        }
+
+        return tables;
+    }
+
+    // Parse a single ASCII table without TABLE: headers
+    parseSingleAsciiTable(text) {
+        const lines = text.split('\n');
+        let headers = [];
+        let data = [];
+        let headerParsed = false;
+        let tableName = null;
+
+        // Check for a title line before the table (e.g., "Table Name Decoder" or "Summary")
+        for (let i = 0; i < lines.length; i++) {
+            const trimmed = lines[i].trim();
+            // If we find a non-empty line that's not a border, it might be a title
+            if (trimmed && !/^[┌├└\+]/.test(trimmed) && !/^[│|]/.test(trimmed) && !/^=+$/.test(trimmed)) {
+                // Check if any following line (within next 3 lines) is a border (indicating this is a title)
+                for (let j = 1; j <= 3 && i + j < lines.length; j++) {
+                    const nextLine = lines[i + j]?.trim() || '';
+                    if (/^[┌\+]/.test(nextLine)) {
+                        tableName = trimmed;
+                        break;
+                    }
+                    // Stop if we hit a data line
+                    if (/^[│|]/.test(nextLine)) break;
+                }
+                if (tableName) break;
+            }
+            // Stop looking once we hit the table
+            if (/^[┌\+│|]/.test(trimmed)) break;
+        }
+
+        for (const line of lines) {
+            // Clean line - remove trailing commas that might be artifacts
+            const trimmed = line.trim().replace(/,+$/, '').trim();
+
+            // Skip separator lines (ASCII or Unicode) - handle missing closing chars
+            if (/^\+[-+]+\+?$/.test(trimmed) || /^=+$/.test(trimmed) || /^[┌├└][─┬┼┴]+[┐┤┘]?$/.test(trimmed)) {
+                continue;
+            }
+
+            // Parse data lines (ASCII | or Unicode │) - handle missing closing delimiter
+            const isAsciiDataLine = trimmed.startsWith('|');
+            const isUnicodeDataLine = trimmed.startsWith('│');
+
+            if (isAsciiDataLine || isUnicodeDataLine) {
+                const delimiter = isUnicodeDataLine ? '│' : '|';
+                let content = trimmed;
+
+                // Remove leading delimiter
+                content = content.slice(1);
+
+                // Remove trailing delimiter if present
+                if (content.endsWith(delimiter)) {
+                    content = content.slice(0, -1);
+                }
+
+                const cells = content
+                    .split(delimiter)
+                    .map(cell => cell.trim());
+
+                if (!headerParsed) {
+                    headers = cells;
+                    headerParsed = true;
+                } else {
+                    data.push(cells);
+                }
+            }
+        }
+
+        if (headers.length > 0) {
+            return { name: tableName || 'Table 1', headers, data };
+        }
+        return null;
+    }
+
+    // Detect Markdown table format
+    isMarkdownTable(text) {
+        // Look for separator row with dashes between pipes: | --- | --- |
+        const separatorPattern = /^\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)+\|?\s*$/m;
+        if (!separatorPattern.test(text)) return false;
+        // Must also have at least one data row with | delimiters
+        const lines = text.split('\n').filter(l => l.trim());
+        const dataLines = lines.filter(l => l.includes('|') && !/^[\s|:*-]+$/.test(l.trim()));
+        return dataLines.length >= 1;
+    }
+
+    // Confidence that the text is Markdown: the share of lines that are table rows
+    scoreMarkdownTable(text) {
+        if (!this.isMarkdownTable(text)) return 0;
+        const lines = this.contentLines(text);
+        const share = lines.filter(l => l.includes('|')).length / lines.length;
+        return 0.5 + 0.45 * share;
+    }
+
+    // Parse Markdown table(s)
+    parseMarkdownTable(text) {
+        const tables = [];
+        const blocks = text.split(/\n\s*\n/);
+
+        for (const block of blocks) {
+            const lines = block.split('\n').filter(l => l.trim());
+            const sepPattern = /^\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)+\|?\s*$/;
+            const sepIndex = lines.findIndex(l => sepPattern.test(l.trim()));
+            if (sepIndex < 1) continue;
+
+            // Split on pipes, except escaped ones (\|) which belong to the cell
+            const splitRow = (line) => {
+                let s = line.trim();
+                if (s.startsWith('|')) s = s.slice(1);
+                if (s.endsWith('|') && !s.endsWith('\\|')) s = s.slice(0, -1);
+                return s.split(/(?<!\\)\|/).map(c => c.replace(/\\\|/g, '|').trim());
+            };
+
+            const headers = splitRow(lines[sepIndex - 1]);
+            const data = [];
+            for (let i = sepIndex + 1; i < lines.length; i++) {
+                if (!lines[i].includes('|')) continue;
+                data.push(splitRow(lines[i]));
+            }
+
+            if (headers.length > 0 && data.length > 0) {
+                tables.push({
+                    name: `Table ${tables.length + 1}`,
+                    headers,
+                    data
+                });
+            }
+        }
+        return tables;
+    }
+
+    // A record header of expanded output: psql \x (-[ RECORD 1 ]---, or
+    // +-[ RECORD 1 ]-+---+ with border 2), MySQL \G (*** 1. row ***) and Spark
+    // show(vertical=True) (-RECORD 0---). Returns { number, style } with
+    // style 'pipe' for "name | value" fields and 'colon' for "name: value",
+    // or null for any other line.
+    verticalRecordHeader(line) {
+        let match = /^\+?-\[ RECORD (\d+) \][-+]*$/.exec(line) || /^-RECORD (\d+)-*$/.exec(line);
+        if (match) return { number: Number(match[1]), style: 'pipe' };
+        match = /^\*+ (\d+)\. row \*+$/.exec(line);
+        return match ? { number: Number(match[1]), style: 'colon' } : null;
+    }
+
+    // Row counts and borders printed after expanded output
+    isVerticalFooter(line) {
+        return /^\(\d+ rows?\)$/.test(line) || /^\d+ rows? in set\b/.test(line) || /^Empty set\b/.test(line) ||
+            /^only showing top \d+ rows?$/.test(line) || /^\+[-+]+\+$/.test(line);
+    }
+
+    // Confidence that the text is expanded output: there are record headers
+    // and the share of the lines after the first that are fields
+    scoreVerticalRecords(text) {
+        const lines = this.contentLines(text);
+        const first = lines.findIndex(l => this.verticalRecordHeader(l));
+        if (first === -1) return 0;
+        const style = this.verticalRecordHeader(lines[first]).style;
+        const body = lines.slice(first).filter(l => !this.verticalRecordHeader(l) && !this.isVerticalFooter(l));
+        if (body.length === 0) return 0;
+        const fields = body.filter(l => (style === 'pipe' ? l.includes('|') : /^\S.*?:( |$)/.test(l)));
+        return 0.6 + 0.38 * (fields.length / body.length);
+    }
+
+    // Parse expanded output back into rows, one per record, with the field
+    // names as headers. Fields missing from a record are left empty. The
+    // record numbers starting over (another query's output) start a new table.
+    parseVerticalRecords(text) {
+        const tables = [];
+        let records = null;     // [[name, value]] per record of the current table
+        let record = null;      // { style, lines } of the current record
+        let last = null;        // Number of the current record
+        const finishRecord = () => {
+            if (record) records.push(this.parseVerticalFields(record.lines, record.style));
+            record = null;
+        };
+        const finishTable = () => {
+            if (records && records.length > 0) tables.push(this.recordsToTable(records, `Table ${tables.length + 1}`));
+            records = null;
+            last = null;
+        };
+
+        for (const line of text.split('\n').map(l => l.replace(/\s+$/, ''))) {
+            const header = this.verticalRecordHeader(line.trim());
+            if (header) {
+                finishRecord();
+                if (last !== null && header.number <= last) finishTable();
+                records = records || [];
+                last = header.number;
+                record = { style: header.style, lines: [] };
+            } else if (this.isVerticalFooter(line.trim())) {
+                finishRecord();
+                finishTable();
+            } else if (record) {
+                record.lines.push(line);
+            }
+        }
+        finishRecord();
+        finishTable();
+        return tables;
+    }
+
+    // The [name, value] fields of one record's lines. Names line up, so the
+    // separator sits at the same column on every field line; other lines
+    // continue the value before (psql marks those with a trailing + and an
+    // empty name).
+    parseVerticalFields(lines, style) {
+        while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+        // psql border 2 puts the fields in | ... | as well
+        if (style === 'pipe' && lines.length > 0 && lines.every(l => /^\s*\|.*\|$/.test(l))) {
+            lines = lines.map(l => l.replace(/^\s*\| ?/, '').replace(/ ?\|$/, '').replace(/\s+$/, ''));
+        }
+        const separator = style === 'pipe' ? ' | ' : ': ';
+        const fields = [];
+        let column = -1;    // Where the separator is, from the first field line
+        for (const line of lines) {
+            const padded = `${line} `;
+            if (column <= 0) column = padded.indexOf(separator);
+            const atColumn = column > 0 && padded.slice(column, column + separator.length) === separator;
+            const name = atColumn ? padded.slice(0, column).trim() : '';
+            const value = atColumn ? padded.slice(column + separator.length).trim() : line.trim();
+            if (name) {
+                fields.push([name, value]);
+            } else if (fields.length > 0) {
+                const previous = fields[fields.length - 1];
+                previous[1] = `${atColumn ? previous[1].replace(/\+$/, '').trimEnd() : previous[1]}\n${value}`;
+            }
+        }
+        return fields;
+    }
+
+    // Records of [name, value] fields as a table: headers in the order names
+    // are first seen, a name repeated within a record numbered ("id 2")
+    recordsToTable(records, name) {
+        const headers = [];
+        const rows = records.map(fields => {
+            const row = new Map();
+            for (const [field, value] of fields) {
+                let header = field;
+                for (let n = 2; row.has(header); n++) header = `${field} ${n}`;
+                if (!headers.includes(header)) headers.push(header);
+                row.set(header, value);
+            }
+            return row;
+        });
+        return { name, headers, data: rows.map(row => headers.map(h => row.get(h) ?? '')) };
+    }
+
+    // Polars prints a shape line over a box with ┆ between the cells
+    isPolarsFrame(text) {
+        return /^\s*│.*┆/m.test(text) && (/^shape: \(\d+, \d+\)$/m.test(text) || /^\s*╞[═╪]+╡/m.test(text));
+    }
+
+    // Confidence that the text is print(df) output: Polars' shape and box,
+    // pandas' [N rows x M columns] footer, or an unnamed header cell over an
+    // index of 0, 1, 2, ...
+    scoreDataFrame(text) {
+        if (this.isPolarsFrame(text)) return /^shape: \(/m.test(text) ? 0.99 : 0.97;
+        const frame = this.readPandasFrame(text);
+        if (!frame) return 0;
+        if (frame.total) return 0.97;
+        if (frame.names) return 0.8;
+        const index = frame.data.map(row => row[0]).filter(label => !/^\.{2,3}$/.test(label));
+        const counting = index.length > 1 && index.every((label, i) => /^\d+$/.test(label) && (i === 0 || Number(label) > Number(index[i - 1])));
+        if (frame.indexCount === 1 && counting) return 0.85;
+        return frame.indexCount > 0 ? 0.7 : 0;
+    }
+
+    parseDataFrame(text, opts = {}) {
+        const table = this.isPolarsFrame(text) ? this.parsePolarsFrame(text) : this.parsePandasFrame(text, opts);
+        return table ? [table] : [];
+    }
+
+    // The layout of a pandas printout: { header, names, data, indexCount,
+    // total } with header the column header rows, names the index names
+    // row (or null), data the rows, all cut into cells, and total the
+    // { rows, columns } of the footer. null when the text isn't laid out
+    // that way.
+    readPandasFrame(text) {
+        let lines = text.split('\n').map(l => l.replace(/\s+$/, ''));
+        // Interpreter prompts before the frame
+        while (lines.length > 0 && (!lines[0].trim() || /^(>>>|In \[\d*\]:|Out\[\d*\]:)/.test(lines[0].trim()))) lines.shift();
+        let total = null;
+        const footer = lines.findIndex(l => /^\[\d+ rows x \d+ columns\]$/.test(l.trim()));
+        if (footer !== -1) {
+            const [, rows, columns] = /^\[(\d+) rows x (\d+) columns\]$/.exec(lines[footer].trim());
+            total = { rows: Number(rows), columns: Number(columns) };
+            lines = lines.slice(0, footer);
+        }
+        lines = lines.filter(l => l.trim());
+        if (lines.length < 2) return null;
+
+        // The first line may have lost its leading spaces to trimming
+        lines[0] = this.realignHeaderLine(lines[0], lines.slice(1));
+        const spans = this.columnSpans(lines);
+        if (spans.length < 2) return null;
+        const rows = lines.map(line => spans.map(([start, end]) => line.slice(start, end).trim()));
+
+        // Further header rows (MultiIndex columns) have nothing over the index
+        let headerCount = 1;
+        while (headerCount < rows.length - 1 && rows[headerCount][0] === '' && rows[headerCount].some(Boolean)) headerCount++;
+        const header = rows.slice(0, headerCount);
+        let indexCount = 0;
+        while (indexCount < spans.length - 1 && header.every(row => row[indexCount] === '')) indexCount++;
+
+        // Named index levels get a row of their own under the header
+        let names = null;
+        const next = rows[headerCount];
+        if (indexCount > 0 && rows.length > headerCount + 1 &&
+            next.slice(indexCount).every(c => c === '') && next.slice(0, indexCount).some(Boolean)) {
+            names = next;
+            headerCount++;
+        }
+        return { header, names, data: rows.slice(headerCount), indexCount, total };
+    }
+
+    // Shift a header line that lost its leading spaces so that its labels
+    // end where the columns below do (pandas right-aligns both). A MultiIndex
+    // top row labels the first column of each group, so its first label goes
+    // over the first label of the header row below it; any other header
+    // spans the full width.
+    realignHeaderLine(line, body) {
+        const width = body.reduce((most, l) => Math.max(most, l.length), 0);
+        if (line.length >= width || /^\s/.test(line)) return line;
+        const ends = new Set(this.columnSpans(body).map(([, end]) => end));
+        const labels = [...line.matchAll(/\S+(?: \S+)*/g)];
+        const fits = (shift) => labels.every(match => ends.has(match.index + shift + match[0].length));
+        const below = /^\s+\S+(?: \S+)*/.exec(body[0]);
+        if (below) {
+            const shift = below[0].length - (labels[0].index + labels[0][0].length);
+            if (shift > 0 && fits(shift)) return ' '.repeat(shift) + line;
+        }
+        for (let shift = width - line.length; shift > 0; shift--) {
+            if (fits(shift)) return ' '.repeat(shift) + line;
+        }
+        return line;
+    }
+
+    // Column spans [start, end) of right- or left-aligned text: runs of
+    // characters between gaps of two or more positions that are blank on
+    // every line
+    columnSpans(lines) {
+        const width = lines.reduce((most, l) => Math.max(most, l.length), 0);
+        const blank = Array.from({ length: width }, (_, i) => lines.every(l => i >= l.length || l[i] === ' '));
+        const spans = [];
+        let i = 0;
+        while (i < width) {
+            if (blank[i]) {
+                i++;
+                continue;
+            }
+            const start = i;
+            let end = i;
+            while (i < width && (!blank[i] || (i + 1 < width && !blank[i + 1]))) {
+                if (!blank[i]) end = i + 1;
+                i++;
+            }
+            spans.push([start, end]);
+        }
+        return spans;
+    }
+
+    // pandas print(df) output as a table. The index becomes columns named
+    // after its levels ("index" when unnamed) unless opts.dataFrameIndex is
+    // 'drop'; 'auto' drops only an unnamed 0, 1, 2, ... index. Header rows of
+    // MultiIndex columns are joined ("sales / q1"), blank (sparse) index
+    // labels repeat the one above, and the ... rows and columns of a
+    // truncated printout are left out with a warning.
+    parsePandasFrame(text, opts = {}) {
+        const frame = this.readPandasFrame(text);
+        if (!frame || frame.data.length === 0) return null;
+        const { indexCount, total } = frame;
+        const isEllipsis = (c) => /^\.{2,3}$/.test(c);
+
+        const width = frame.header[0].length;
+        const cutColumns = [];
+        for (let c = indexCount; c < width; c++) {
+            if (frame.header.every(row => row[c] === '' || isEllipsis(row[c])) && frame.data.every(row => row[c] === '' || isEllipsis(row[c]))) {
+                cutColumns.push(c);
+            }
+        }
+        const values = [];
+        for (let c = indexCount; c < width; c++) if (!cutColumns.includes(c)) values.push(c);
+        let data = frame.data.filter(row => !values.every(c => isEllipsis(row[c]) || row[c] === ''));
+        const rowsCut = data.length < frame.data.length;
+
+        // Sparse index labels repeat the label above
+        data = data.map(row => [...row]);
+        for (let c = 0; c < indexCount; c++) {
+            for (let r = 1; r < data.length; r++) if (data[r][c] === '') data[r][c] = data[r - 1][c];
+        }
+
+        // Upper header rows label their first column only; spread them right
+        const header = frame.header.map((row, r) => {
+            if (r === frame.header.length - 1) return row;
+            const filled = [...row];
+            for (const c of values) if (filled[c] === '' && c > indexCount) filled[c] = filled[c - 1];
+            return filled;
+        });
+        const headers = values.map(c => {
+            const parts = [];
+            for (const row of header) if (row[c] && parts[parts.length - 1] !== row[c]) parts.push(row[c]);
+            return parts.join(' / ');
+        });
+
+        const indexNames = Array.from({ length: indexCount }, (_, c) => (frame.names && frame.names[c]) ||
+            (indexCount === 1 ? 'index' : `level_${c}`));
+        const named = Boolean(frame.names) || indexCount > 1;
+        const counting = data.every((row, r) => /^\d+$/.test(row[0]) && (r === 0 || Number(row[0]) > Number(data[r - 1][0])));
+        const mode = opts.dataFrameIndex || 'auto';
+        const keepIndex = mode === 'keep' || (mode === 'auto' && (named || !counting));
+        const columns = keepIndex ? [...Array(indexCount).keys(), ...values] : values;
+
+        const table = {
+            name: 'DataFrame',
+            headers: keepIndex ? [...indexNames, ...headers] : headers,
+            data: data.map(row => columns.map(c => row[c]))
+        };
+        if (rowsCut || cutColumns.length > 0) {
+            table.warnings = [this.truncationWarning(rowsCut, cutColumns.length > 0, { rows: data.length, columns: values.length }, total)];
+        }
+        return table;
+    }
+
+    // Polars print(df) output: a box with ┆ between the cells, the column
+    // names, a --- line and a dtype row above ╞═══╡. Dtypes become
+    // typeHints (ColumnTypes type ids, null where inference should decide),
+    // str values lose their quotes, and … rows and columns of a truncated
+    // printout are left out with a warning.
+    parsePolarsFrame(text) {
+        const lines = this.contentLines(text);
+        const split = lines.findIndex(l => /^╞/.test(l));
+        if (split === -1) return null;
+        const cells = (line) => line.replace(/^│/, '').replace(/│$/, '').split('┆').map(c => c.trim());
+        const headLines = lines.slice(0, split).filter(l => l.startsWith('│')).map(cells);
+        const body = lines.slice(split + 1).filter(l => l.startsWith('│')).map(cells);
+        if (headLines.length === 0) return null;
+
+        const rule = headLines.findIndex(row => row.every(c => /^-+$/.test(c)));
+        const nameLines = rule === -1 ? headLines : headLines.slice(0, rule);
+        const dtypes = rule === -1 ? null : headLines[rule + 1] || null;
+        const width = headLines[0].length;
+        let headers = Array.from({ length: width }, (_, c) => nameLines.map(row => row[c] || '').filter(Boolean).join(' '));
+
+        const cutColumns = headers.map((h, c) => (h === '…' && body.every(row => row[c] === '…') ? c : -1)).filter(c => c !== -1);
+        const keep = headers.map((_, c) => c).filter(c => !cutColumns.includes(c));
+        const rows = body.filter(row => !keep.every(c => row[c] === '…'));
+        const rowsCut = rows.length < body.length;
+
+        headers = keep.map(c => headers[c]);
+        const types = dtypes ? keep.map(c => dtypes[c] || '') : null;
+        const data = rows.map(row => keep.map((c, k) => {
+            const cell = row[c] ?? '';
+            return types && types[k] === 'str' && /^".*"$/.test(cell) ? cell.slice(1, -1) : cell;
+        }));
+
+        const table = { name: 'DataFrame', headers, data };
+        if (types) table.typeHints = types.map(t => this.polarsColumnType(t));
+        const shape = /^shape: \((\d+), (\d+)\)$/m.exec(text);
+        if (rowsCut || cutColumns.length > 0) {
+            const total = shape ? { rows: Number(shape[1]), columns: Number(shape[2]) } : null;
+            table.warnings = [this.truncationWarning(rowsCut, cutColumns.length > 0, { rows: data.length, columns: headers.length }, total)];
+        }
+        return table;
+    }
+
+    // A Polars dtype as a ColumnTypes type id, or null to leave it to inference
+    polarsColumnType(dtype) {
+        if (/^[iu](8|16|32|64|128)$/.test(dtype)) return 'integer';
+        if (/^(f32|f64|decimal\b)/.test(dtype)) return 'decimal';
+        if (dtype === 'bool') return 'boolean';
+        if (dtype === 'date') return 'date';
+        if (/^datetime\b/.test(dtype)) return 'datetime';
+        if (/^(str|cat|enum)\b/.test(dtype)) return 'text';
+        return null;
+    }
+
+    // What a DataFrame printout with rows or columns left out (... or …)
+    // doesn't show; total is the { rows, columns } printed with it, if any
+    truncationWarning(rowsCut, columnsCut, shown, total) {
+        const part = (count, of, noun) => (of ? `${count} of ${of} ${noun}` : `${count} ${noun}`);
+        const parts = [];
+        if (rowsCut) parts.push(part(shown.rows, total && total.rows, 'rows'));
+        if (columnsCut) parts.push(part(shown.columns, total && total.columns, 'columns'));
+        return `Truncated printout: only ${parts.join(' and ')} are shown. The rest was left out where it shows ... or …`;
+    }
+
+    // Share of the content lines that fit a line format, for log detection
+    lineShare(text, fits) {
+        const lines = this.contentLines(text);
+        return lines.length === 0 ? 0 : lines.filter(fits).length / lines.length;
+    }
+
+    // logfmt tokens of a line: [{ key, value }], value null for a bare word.
+    // Quoted values may hold spaces and backslash escapes.
+    logfmtTokens(line) {
+        const token = /\s*([^\s=]+)(?:=("(?:[^"\\]|\\.)*"|[^\s"]*))?/y;
+        const tokens = [];
+        let match;
+        while (token.lastIndex < line.length && (match = token.exec(line))) {
+            let value = match[2] ?? null;
+            if (value !== null && value.startsWith('"')) {
+                try {
+                    value = JSON.parse(value);
+                } catch {
+                    value = value.slice(1, -1);
+                }
+            }
+            tokens.push({ key: match[1], value });
+        }
+        return token.lastIndex >= line.trimEnd().length ? tokens : null;
+    }
+
+    // A logfmt line: at least two key=value pairs, and no fewer pairs than bare words
+    isLogfmtLine(line) {
+        const tokens = this.logfmtTokens(line);
+        if (!tokens) return false;
+        const pairs = tokens.filter(t => t.value !== null).length;
+        return pairs >= 2 && pairs >= tokens.length / 2;
+    }
+
+    scoreLogfmt(text) {
+        const share = this.lineShare(text, l => this.isLogfmtLine(l));
+        return share < 0.5 ? 0 : 0.5 + 0.45 * share;
+    }
+
+    // logfmt (key=value key2="quoted value") lines, one row per line with a
+    // column per key. Bare words (say a timestamp and level before the
+    // pairs) go in a (text) column; lines with no pairs at all are kept
+    // whole in a (line) column.
+    parseLogfmt(text) {
+        const records = this.contentLines(text).map(line => {
+            if (!this.isLogfmtLine(line)) return [['(line)', line]];
+            const tokens = this.logfmtTokens(line);
+            const words = tokens.filter(t => t.value === null).map(t => t.key);
+            const fields = tokens.filter(t => t.value !== null).map(t => [t.key, t.value]);
+            return words.length > 0 ? [['(text)', words.join(' ')], ...fields] : fields;
+        });
+        return records.length > 0 ? [this.recordsToTable(records, 'Log')] : [];
+    }
+
+    // Common Log Format, optionally followed by the referer and user agent of
+    // the Combined format (Apache and Nginx access logs)
+    static get ACCESS_LOG_PATTERN() {
+        const quoted = '"((?:[^"\\\\]|\\\\.)*)"';
+        return new RegExp(`^(\\S+) (\\S+) (\\S+) \\[([^\\]]+)\\] ${quoted} (\\d{3}|-) (\\d+|-)(?: ${quoted} ${quoted})?(.*)$`);
+    }
+
+    scoreAccessLog(text) {
+        const pattern = FormatParser.ACCESS_LOG_PATTERN;
+        const share = this.lineShare(text, l => pattern.test(l));
+        return share < 0.5 ? 0 : 0.6 + 0.39 * share;
+    }
+
+    // Access log lines as rows: the request split into method, path and
+    // protocol, the time as yyyy-mm-dd hh:mm:ss +zone so it sorts as a date,
+    // and "-" (nothing logged) as empty. Referer and user agent columns come
+    // with Combined lines, and anything logged after those goes in extra.
+    parseAccessLog(text) {
+        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const time = (value) => {
+            const match = /^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}:\d{2}:\d{2})(?: ([+-]\d{4}))?$/.exec(value);
+            if (!match || !months.includes(match[2])) return value;
+            const month = String(months.indexOf(match[2]) + 1).padStart(2, '0');
+            return `${match[3]}-${month}-${match[1]} ${match[4]}${match[5] ? ` ${match[5]}` : ''}`;
+        };
+        const logged = (value) => (value === undefined || value === '-' ? '' : value.replace(/\\(["\\])/g, '$1'));
+
+        const records = this.contentLines(text).map(line => {
+            const match = FormatParser.ACCESS_LOG_PATTERN.exec(line);
+            if (!match) return [['(line)', line]];
+            const [, host, ident, user, when, request, status, bytes, referer, agent, rest] = match;
+            const parts = request.split(' ');
+            const [method, path, protocol] = parts.length === 3 ? parts : ['', request, ''];
+            const fields = [
+                ['host', host], ['ident', logged(ident)], ['user', logged(user)], ['time', time(when)],
+                ['method', method], ['path', logged(path)], ['protocol', protocol],
+                ['status', logged(status)], ['bytes', logged(bytes)]
+            ];
+            if (referer !== undefined) fields.push(['referer', logged(referer)], ['user_agent', logged(agent)]);
+            if (rest.trim()) fields.push(['extra', rest.trim()]);
+            return fields;
+        });
+        return records.length > 0 ? [this.recordsToTable(records, 'Access log')] : [];
+    }
+
+    // A custom line pattern as a RegExp; it needs named groups, which become the columns
+    compileLogPattern(pattern) {
+        let regex;
+        try {
+            regex = new RegExp(pattern);
+        } catch (err) {
+            throw new Error(`Invalid pattern: ${err.message}`);
+        }
+        if (!/\(\?<[A-Za-z_$][\w$]*>/.test(pattern)) throw new Error('The pattern needs named groups, like (?<level>\\w+)');
+        return regex;
+    }
+
+    // Only scored when a pattern is given; one that matches every line
+    // beats the built-in formats
+    scoreLogPattern(text, pattern) {
+        if (!pattern) return 0;
+        const regex = this.compileLogPattern(pattern);
+        const share = this.lineShare(text, l => regex.test(l));
+        return share < 0.5 ? 0 : 0.5 + 0.5 * share;
+    }
+
+    // Lines matching the pattern as rows with a column per named group;
+    // other lines are kept whole in a (line) column
+    parseLogPattern(text, pattern) {
+        if (!pattern) throw new Error('No custom pattern given');
+        const regex = this.compileLogPattern(pattern);
+        const records = this.contentLines(text).map(line => {
+            const match = regex.exec(line);
+            if (!match) return [['(line)', line]];
+            return Object.entries(match.groups).map(([name, value]) => [name, value ?? '']);
+        });
+        return records.length > 0 ? [this.recordsToTable(records, 'Log')] : [];
+    }
+
+    // Confidence that a JSON value (undefined when the text wasn't JSON) holds a table
+    scoreJSON(value) {
+        if (value === undefined) return 0;
+        const paths = this.jsonTablePaths(value);
+        if (paths.some(p => p.kind !== 'record')) return 0.99;
+        return paths.length > 0 ? 0.9 : 0;
+    }
+
+    // JSON text as a value, or undefined when it isn't a JSON object or array
+    readJSON(text) {
+        const trimmed = text.trim();
+        if (!/^[[{]/.test(trimmed)) return undefined;
+        try {
+            return JSON.parse(trimmed);
+        } catch {
+            return undefined;
+        }
+    }
+
+    // JSON Lines / NDJSON (one object or array per line) as an array of the
+    // lines' values, or undefined when the text isn't that
+    readJSONLines(text) {
+        const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+        if (lines.length < 2 || !lines.every(line => /^[[{]/.test(line))) return undefined;
+        try {
+            return lines.map(line => JSON.parse(line));
+        } catch {
+            return undefined;
+        }
+    }
+
+    // JSON or JSON Lines text as a value, whichever it is
+    readAnyJSON(text) {
+        const value = this.readJSON(text);
+        return value === undefined ? this.readJSONLines(text) : value;
+    }
+
+    isJSONObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    // Places in a JSON value that can be tabulated, as [{ path, rows, kind }]:
+    // non-empty arrays ('array'), objects keyed by ID whose values are
+    // records sharing keys ('keyed'), and a root object as a single row
+    // ('record'). Paths look like $.data.items or $["odd key"][0].
+    jsonTablePaths(value) {
+        const found = [];
+        const walk = (node, path, depth) => {
+            if (Array.isArray(node)) {
+                if (node.length > 0) found.push({ path, rows: node.length, kind: 'array' });
+                return;
+            }
+            if (!this.isJSONObject(node)) return;
+            const values = Object.values(node);
+            if (values.length >= 2 && values.every(v => this.isJSONObject(v))) {
+                const first = Object.keys(values[0]);
+                if (first.length > 0 && values.every(v => first.some(key => key in v))) {
+                    found.push({ path, rows: values.length, kind: 'keyed' });
+                    return;
+                }
+            }
+            if (depth >= 10) return;
+            for (const [key, child] of Object.entries(node)) walk(child, this.jsonPathJoin(path, key), depth + 1);
+        };
+        walk(value, '$', 0);
+        if (this.isJSONObject(value) && !found.some(f => f.path === '$')) found.push({ path: '$', rows: 1, kind: 'record' });
+        return found;
+    }
+
+    // The path tabulated when none is picked: the root when it's a table,
+    // else the candidate with the most rows (the shallowest on a tie)
+    defaultJSONPath(paths) {
+        if (paths.length === 0) return null;
+        const root = paths.find(p => p.path === '$' && p.kind !== 'record');
+        if (root) return root.path;
+        const depth = (p) => this.jsonPathSegments(p.path).length;
+        const best = [...paths].sort((a, b) =>
+            (a.kind === 'record') - (b.kind === 'record') || b.rows - a.rows || depth(a) - depth(b))[0];
+        return best.path;
+    }
+
+    jsonPathJoin(path, key) {
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+    }
+
+    // A path as its keys and indexes; the leading $ may be left out
+    jsonPathSegments(path) {
+        let text = path.trim().replace(/^\$/, '');
+        if (text && !/^[.[]/.test(text)) text = `.${text}`;
+        const token = /\.([^.[\]]+)|\[(\d+)\]|\[("(?:[^"\\]|\\.)*")\]/y;
+        const segments = [];
+        while (token.lastIndex < text.length) {
+            const match = token.exec(text);
+            if (!match) throw new Error(`Invalid JSON path: ${path}`);
+            if (match[1] !== undefined) segments.push(match[1]);
+            else if (match[2] !== undefined) segments.push(Number(match[2]));
+            else segments.push(JSON.parse(match[3]));
+        }
+        return segments;
+    }
+
+    // The value at a path
+    jsonAt(value, path) {
+        let node = value;
+        for (const segment of this.jsonPathSegments(path)) {
+            if (node === null || typeof node !== 'object' || !(segment in node)) {
+                throw new Error(`Nothing at ${path} in the JSON`);
+            }
+            node = node[segment];
+        }
+        return node;
+    }
+
+    // Parse JSON into one table: the array or keyed object at opts.jsonPath,
+    // or the best one found. See jsonToTable for the options.
+    parseJSON(text, opts = {}) {
+        const value = this.readJSON(text);
+        if (value === undefined) throw new Error('Not valid JSON');
+        return this.jsonToTable(value, opts);
+    }
+
+    parseJSONLines(text, opts = {}) {
+        const value = this.readJSONLines(text);
+        if (value === undefined) throw new Error('Not JSON Lines');
+        return this.jsonToTable(value, opts);
+    }
+
+    // Tabulate a JSON value. Options:
+    //   jsonPath       where the rows are (null picks one, see defaultJSONPath)
+    //   flattenJSON    nested objects become dot-path columns (user.address.city)
+    //   explodeArrays  nested arrays become one row per item
+    //   firstRowHeader for arrays of arrays, whether the first holds the headers
+    // Objects keyed by ID get the key as their first column. Besides
+    // { name, headers, data }, the table has cellTypes: per row, each cell's
+    // JSON type ('string', 'number', 'boolean', 'null', 'object', 'array',
+    // or 'absent' when the row had no such key).
+    jsonToTable(value, opts = {}) {
+        const paths = this.jsonTablePaths(value);
+        const path = opts.jsonPath || this.defaultJSONPath(paths);
+        if (!path) throw new Error('No table found in the JSON');
+        const node = this.jsonAt(value, path);
+        const segments = this.jsonPathSegments(path);
+        const last = segments.filter(s => typeof s === 'string').pop();
+        const name = last || 'JSON Data';
+        const options = { flatten: opts.flattenJSON !== false, explode: Boolean(opts.explodeArrays) };
+
+        let items;
+        let keyHeader = null;
+        const keyed = paths.find(p => p.path === path && p.kind === 'keyed');
+        if (Array.isArray(node)) {
+            if (node.length > 0 && node.every(Array.isArray)) return this.jsonArraysToTable(node, opts.firstRowHeader !== false, name);
+            items = node;
+        } else if (keyed) {
+            keyHeader = Object.values(node).some(v => 'key' in v) ? '(key)' : 'key';
+            items = Object.entries(node);
+        } else {
+            items = [node];
+        }
+
+        const rows = items.flatMap(item => {
+            if (keyHeader) {
+                const [key, record] = item;
+                return this.jsonRows(record, '', options).map(row => new Map([[keyHeader, { text: key, type: 'string' }], ...row]));
+            }
+            return this.jsonRows(item, this.isJSONObject(item) ? '' : 'value', options);
+        });
+
+        const headerSet = new Set();
+        for (const row of rows) for (const header of row.keys()) headerSet.add(header);
+        const headers = [...headerSet];
+        return {
+            name,
+            headers,
+            data: rows.map(row => headers.map(h => (row.has(h) ? row.get(h).text : ''))),
+            cellTypes: rows.map(row => headers.map(h => (row.has(h) ? row.get(h).type : 'absent')))
+        };
+    }
+
+    // One JSON value as rows of Map(header -> { text, type }) under a header
+    // prefix. Exploding several arrays in one object gives every combination.
+    jsonRows(value, prefix, options) {
+        const cell = (text, type) => [new Map([[prefix, { text, type }]])];
+        if (value === null) return cell('', 'null');
+        if (Array.isArray(value)) {
+            if (!options.explode || value.length === 0) return cell(JSON.stringify(value), 'array');
+            return value.flatMap(item => this.jsonRows(item, prefix, options));
+        }
+        if (typeof value === 'object') {
+            const entries = Object.entries(value);
+            if ((prefix && !options.flatten) || entries.length === 0) return cell(JSON.stringify(value), 'object');
+            let rows = [new Map()];
+            for (const [key, child] of entries) {
+                const childRows = this.jsonRows(child, prefix ? `${prefix}.${key}` : key, options);
+                if (rows.length * childRows.length > 100000) throw new Error('Exploding the nested arrays gives too many rows');
+                rows = rows.flatMap(row => childRows.map(childRow => new Map([...row, ...childRow])));
+            }
+            return rows;
+        }
+        return cell(String(value), typeof value);
+    }
+
+    // An array of arrays (rows of cells) as a table
+    jsonArraysToTable(arrays, firstRowHeader, name) {
+        const cellOf = (v) => {
+            if (v === null || v === undefined) return { text: '', type: v === null ? 'null' : 'absent' };
+            if (typeof v === 'object') return { text: JSON.stringify(v), type: Array.isArray(v) ? 'array' : 'object' };
+            return { text: String(v), type: typeof v };
+        };
+        const width = arrays.reduce((most, row) => Math.max(most, row.length), 0);
+        const useHeader = firstRowHeader && arrays.length > 1 && arrays[0].every(v => typeof v === 'string');
+        const body = useHeader ? arrays.slice(1) : arrays;
+        const headers = Array.from({ length: width }, (_, i) => (useHeader && arrays[0][i] ? arrays[0][i] : `Column ${i + 1}`));
+        const cells = body.map(row => headers.map((_, i) => cellOf(row[i])));
+        return {
+            name,
+            headers,
+            data: cells.map(row => row.map(c => c.text)),
+            cellTypes: cells.map(row => row.map(c => c.type))
+        };
+    }
+
+    // Detect fixed-width / space-aligned table
+    isFixedWidthTable(text) {
+        const lines = text.split('\n').filter(l => l.trim());
+        if (lines.length < 3) return false;
+
+        // Find column boundaries: positions where 2+ spaces appear across most lines
+        const maxLen = Math.max(...lines.map(l => l.length));
+        if (maxLen < 5) return false;
+
+        // Skip obvious underline rows for boundary detection
+        const contentLines = lines.filter(l => !/^[\s\-=]+$/.test(l));
+        if (contentLines.length < 2) return false;
+
+        const spaceCount = new Array(maxLen).fill(0);
+        for (const line of contentLines) {
+            for (let i = 0; i < maxLen; i++) {
+                const ch = i < line.length ? line[i] : ' ';
+                if (ch === ' ') spaceCount[i]++;
+            }
+        }
+
+        // Find positions that are spaces in 80%+ of lines and form 2+ wide gaps
+        const threshold = contentLines.length * 0.8;
+        let boundaries = 0;
+        let inGap = false;
+        let gapWidth = 0;
+        for (let i = 0; i < maxLen; i++) {
+            if (spaceCount[i] >= threshold) {
+                gapWidth++;
+                if (gapWidth >= 2 && !inGap) {
+                    boundaries++;
+                    inGap = true;
+                }
+            } else {
+                inGap = false;
+                gapWidth = 0;
+            }
+        }
+
+        // Need at least 1 column boundary to be a fixed-width table
+        return boundaries >= 1;
+    }
+
+    // Parse fixed-width / space-aligned table
+    parseFixedWidthTable(text) {
+        const lines = text.split('\n').filter(l => l.trim());
+        if (lines.length < 2) return null;
+
+        // Pad all lines to the same length
+        const maxLen = Math.max(...lines.map(l => l.length));
+        const padded = lines.map(l => l.padEnd(maxLen));
+
+        // Detect underline rows (--- or === rows)
+        const isUnderline = (l) => /^[\s\-=]+$/.test(l) && /[-=]{2,}/.test(l);
+
+        // Use only content lines for boundary detection
+        const contentLines = padded.filter(l => !isUnderline(l));
+        if (contentLines.length < 2) return null;
+
+        // Build space map
+        const spaceCount = new Array(maxLen).fill(0);
+        for (const line of contentLines) {
+            for (let i = 0; i < maxLen; i++) {
+                if (line[i] === ' ') spaceCount[i]++;
+            }
+        }
+
+        // Find column boundary ranges (2+ consecutive spaces in 80%+ of lines)
+        const threshold = contentLines.length * 0.8;
+        const cuts = []; // split positions
+        let inGap = false;
+        let gapStart = -1;
+        for (let i = 0; i < maxLen; i++) {
+            if (spaceCount[i] >= threshold) {
+                if (!inGap) { gapStart = i; inGap = true; }
+            } else {
+                if (inGap) {
+                    const gapWidth = i - gapStart;
+                    if (gapWidth >= 2) {
+                        // Cut at the middle of the gap
+                        cuts.push(Math.floor((gapStart + i) / 2));
+                    }
+                    inGap = false;
+                }
+            }
+        }
+
+        if (cuts.length === 0) return null;
+
+        // Slice each line into cells
+        const sliceLine = (line) => {
+            const cells = [];
+            let prev = 0;
+            for (const cut of cuts) {
+                cells.push(line.slice(prev, cut).trim());
+                prev = cut;
+            }
+            cells.push(line.slice(prev).trim());
+            return cells;
+        };
+
+        // First content line is headers, rest are data
+        const headers = sliceLine(contentLines[0]);
+        const data = [];
+        for (let i = 1; i < contentLines.length; i++) {
+            const row = sliceLine(contentLines[i]);
+            // Skip rows that are all empty
+            if (row.some(c => c !== '')) {
+                data.push(row);
+            }
+        }
+
+        if (data.length === 0) return null;
+        return { name: 'Table 1', headers, data };
+    }
+
+    parseCSV(text, delimiter) {
+        const stream = this.createCSVStream(delimiter);
+        const rows = stream.push(text);
+        for (const row of stream.end()) rows.push(row);
+        return rows;
+    }
+
+    // Incremental CSV parser for text that arrives in chunks (e.g. a file
+    // being streamed). push(chunk) returns the rows completed by that chunk
+    // and end() returns the last one; chunks may split anywhere.
+    createCSVStream(delimiter) {
+        let currentRow = [];
+        let currentCell = '';
+        let inQuotes = false;
+        let quotePending = false; // A '"' inside quotes ended the last chunk
+
+        const finishRow = (rows) => {
+            currentRow.push(currentCell.trim());
+            if (currentRow.some(cell => cell !== '')) {
+                rows.push(currentRow);
+            }
+            currentRow = [];
+            currentCell = '';
+        };
+
+        return {
+            push(chunk) {
+                const rows = [];
+                let i = 0;
+                if (!chunk) return rows;
+
+                // Whether that '"' was an escaped quote depends on this chunk's first char
+                if (quotePending) {
+                    quotePending = false;
+                    if (chunk[0] === '"') {
+                        currentCell += '"';
+                        i = 1;
+                    } else {
+                        inQuotes = false;
+                    }
+                }
+
+                for (; i < chunk.length; i++) {
+                    const char = chunk[i];
+
+                    if (inQuotes) {
+                        if (char === '"' && i === chunk.length - 1) {
+                            quotePending = true;
+                        } else if (char === '"' && chunk[i + 1] === '"') {
+                            currentCell += '"';
+                            i++;
+                        } else if (char === '"') {
+                            inQuotes = false;
+                        } else {
+                            currentCell += char;
+                        }
+                    } else if (char === '"') {
+                        inQuotes = true;
+                    } else if (char === delimiter) {
+                        currentRow.push(currentCell.trim());
+                        currentCell = '';
+                    } else if (char === '\n') {
+                        finishRow(rows);
+                    } else if (char !== '\r') {
+                        currentCell += char;
+                    }
+                }
+                return rows;
+            },
+
+            end() {
+                const rows = [];
+                quotePending = false;
+                inQuotes = false;
+                // Push last row if exists
+                if (currentCell || currentRow.length > 0) {
+                    finishRow(rows);
+                }
+                return rows;
+            }
+        };
+    }
+
+    // Confidence that the text is delimited by the given character:
+    // how consistently the sample rows split into the same number of cells
+    scoreDelimited(text, delimiter) {
+        const sample = text.split('\n').slice(0, 50).join('\n');
+        const rows = this.parseCSV(sample, delimiter);
+        if (rows.length === 0) return 0;
+
+        const widths = {};
+        rows.forEach(r => { widths[r.length] = (widths[r.length] || 0) + 1; });
+        const [width, count] = Object.entries(widths).sort((a, b) => b[1] - a[1])[0];
+
+        // A single column is what any text splits into; keep it as a last resort
+        if (Number(width) < 2) return 0.1;
+        return 0.3 + 0.6 * (count / rows.length);
+    }
+
+    // An HTML table (as read from the DOM by the page) as a table. rows are
+    // [{ header, cells: [{ text, colspan, rowspan }] }], header marking rows
+    // from <thead> or made only of <th>; without any, the first row is the
+    // header when firstRowHeader is set. Header cells spanning down take the
+    // rows they cover into the header, and header rows are joined per column
+    // ("Q1 / Jan"). Merged cells are expanded: their text is repeated in
+    // every row and column they cover.
+    cellGridToTable(rows, firstRowHeader = true, name = 'Table 1') {
+        rows = rows.filter(row => row.cells.length > 0);
+        if (rows.length === 0) return null;
+        // rowspan="0" spans the rest of the table
+        const rowspan = (cell, r) => (cell.rowspan === 0 ? rows.length - r : Math.max(cell.rowspan || 1, 1));
+
+        let headerCount = 0;
+        while (headerCount < rows.length - 1 && rows[headerCount].header) headerCount++;
+        if (headerCount === 0 && firstRowHeader && rows.length > 1) headerCount = 1;
+        for (let r = 0; r < headerCount; r++) {
+            for (const cell of rows[r].cells) {
+                headerCount = Math.min(Math.max(headerCount, r + rowspan(cell, r)), rows.length - 1);
+            }
+        }
+
+        const grid = rows.map(() => []);
+        rows.forEach((row, r) => {
+            let c = 0;
+            for (const cell of row.cells) {
+                while (grid[r][c] !== undefined) c++;
+                const colspan = Math.min(Math.max(cell.colspan || 1, 1), 1000);
+                for (let dr = 0; dr < rowspan(cell, r) && r + dr < rows.length; dr++) {
+                    for (let dc = 0; dc < colspan; dc++) {
+                        grid[r + dr][c + dc] = cell.text;
+                    }
+                }
+                c += colspan;
+            }
+        });
+        const width = grid.reduce((most, cells) => Math.max(most, cells.length), 0);
+        const lines = grid.map(cells => Array.from({ length: width }, (_, c) => cells[c] ?? ''));
+
+        if (headerCount === 0) {
+            return { name, headers: lines[0].map((_, i) => `Column ${i + 1}`), data: lines };
+        }
+        const headers = lines[0].map((_, c) => {
+            const parts = [];
+            for (const line of lines.slice(0, headerCount)) {
+                const text = line[c].replace(/\s+/g, ' ').trim();
+                if (text && parts[parts.length - 1] !== text) parts.push(text);
+            }
+            return parts.join(' / ');
+        });
+        return { name, headers, data: lines.slice(headerCount) };
+    }
+
+    // Turn raw rows into a table, padding short rows and taking headers
+    // from the first row (or generating "Column N" names)
+    rowsToTable(rows, firstRowHeader = true, name = 'Table 1') {
+        if (rows.length === 0) return null;
+
+        // Normalize row lengths
+        const maxCols = Math.max(...rows.map(r => r.length));
+        rows = rows.map(row => {
+            while (row.length < maxCols) row.push('');
+            return row;
+        });
+
+        if (firstRowHeader) {
+            return { name, headers: rows[0], data: rows.slice(1) };
+        }
+        return { name, headers: rows[0].map((_, i) => `Column ${i + 1}`), data: rows };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FormatParser };
+}
@@ -0,0 +1,1152 @@
+// Format King - SQL Queries
+// Runs a SELECT over the loaded tables. Every table is a relation named after
+// the table, either as written ("Table 1", quoted) or with anything but
+// letters, digits and _ turned into _ (Table_1). Column names work the same way.
+// Cells are read with their column's inferred type, so numbers, money, dates
+// and booleans compare and calculate as values rather than text. No DOM access.
+//
+//   SELECT [DISTINCT] expr [AS name], t.*, ...
+//   FROM table [alias] [INNER | LEFT | RIGHT | FULL | CROSS] JOIN table [alias] ON expr
+//   WHERE expr  GROUP BY expr, ...  HAVING expr
+//   ORDER BY expr [ASC | DESC], ...  LIMIT n [OFFSET m]
+//
+// Expressions: + - * / % || = <> != < <= > >= AND OR NOT, IS [NOT] NULL,
+// [NOT] IN (...), [NOT] BETWEEN x AND y, [NOT] LIKE (case-insensitive),
+// CASE ... END, CAST(x AS type), aggregates and the functions in FUNCTIONS.
+// Errors are QueryErrors carrying the position in the query they refer to.
+class QueryError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.name = 'QueryError';
+        this.position = position;
+    }
+}
+
+// Recursive descent parser from tokens to a query tree
+class SqlParser {
+    constructor(sql, tokens) {
+        this.sql = sql;
+        this.tokens = tokens;
+        this.index = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type !== 'eof') this.index++;
+        return token;
+    }
+
+    isKeyword(...words) {
+        const token = this.peek();
+        return token.type === 'keyword' && words.includes(token.value);
+    }
+
+    isOp(...ops) {
+        const token = this.peek();
+        return token.type === 'op' && ops.includes(token.value);
+    }
+
+    acceptKeyword(word) {
+        return this.isKeyword(word) ? this.next() : null;
+    }
+
+    acceptOp(op) {
+        return this.isOp(op) ? this.next() : null;
+    }
+
+    expectKeyword(word) {
+        if (!this.isKeyword(word)) this.fail(`Expected ${word}`);
+        return this.next();
+    }
+
+    expectOp(op) {
+        if (!this.isOp(op)) this.fail(`Expected "${op}"`);
+        return this.next();
+    }
+
+    expectName(what) {
+        const token = this.peek();
+        if (token.type === 'keyword') this.failKeyword(token);
+        if (token.type !== 'ident') this.fail(`Expected ${what}`);
+        return this.next();
+    }
+
+    // A keyword where a name was expected, e.g. a column called "when"
+    failKeyword(token) {
+        const word = this.sql.slice(token.pos, token.end);
+        throw new QueryError(`${token.value} is a SQL keyword; write "${word}" in double quotes to use it as a name`, token.pos);
+    }
+
+    fail(message, token = this.peek()) {
+        const found = token.type === 'eof' ? 'the end of the query'
+            : token.type === 'string' ? `'${token.value}'`
+                : `"${token.value}"`;
+        throw new QueryError(`${message}, found ${found}`, token.pos);
+    }
+
+    parseList(parseItem) {
+        const items = [parseItem()];
+        while (this.acceptOp(',')) items.push(parseItem());
+        return items;
+    }
+
+    parseQuery() {
+        const query = this.parseSelect();
+        this.acceptOp(';');
+        if (this.peek().type !== 'eof') this.fail('Expected the end of the query');
+        return query;
+    }
+
+    parseSelect() {
+        this.expectKeyword('SELECT');
+        const distinct = Boolean(this.acceptKeyword('DISTINCT'));
+        const columns = this.parseList(() => this.parseSelectItem());
+
+        this.expectKeyword('FROM');
+        const from = this.parseTableRef();
+        const joins = [];
+        for (;;) {
+            if (this.acceptOp(',')) {
+                joins.push({ type: 'cross', table: this.parseTableRef(), on: null });
+                continue;
+            }
+            const type = this.parseJoinType();
+            if (!type) break;
+            const table = this.parseTableRef();
+            let on = null;
+            if (type !== 'cross') {
+                this.expectKeyword('ON');
+                on = this.parseExpression();
+            }
+            joins.push({ type, table, on });
+        }
+
+        const where = this.acceptKeyword('WHERE') ? this.parseExpression() : null;
+        let groupBy = [];
+        if (this.acceptKeyword('GROUP')) {
+            this.expectKeyword('BY');
+            groupBy = this.parseList(() => this.parseExpression());
+        }
+        const having = this.acceptKeyword('HAVING') ? this.parseExpression() : null;
+        let orderBy = [];
+        if (this.acceptKeyword('ORDER')) {
+            this.expectKeyword('BY');
+            orderBy = this.parseList(() => {
+                const expr = this.parseExpression();
+                if (this.acceptKeyword('DESC')) return { expr, direction: 'desc' };
+                this.acceptKeyword('ASC');
+                return { expr, direction: 'asc' };
+            });
+        }
+        let limit = null;
+        let offset = 0;
+        if (this.acceptKeyword('LIMIT')) {
+            limit = this.parseCount('LIMIT');
+            if (this.acceptKeyword('OFFSET')) offset = this.parseCount('OFFSET');
+        }
+        return { distinct, columns, from, joins, where, groupBy, having, orderBy, limit, offset };
+    }
+
+    parseCount(clause) {
+        const token = this.peek();
+        if (token.type !== 'number' || !Number.isInteger(token.value)) this.fail(`${clause} needs a whole number`);
+        return this.next().value;
+    }
+
+    parseJoinType() {
+        if (this.acceptKeyword('JOIN')) return 'inner';
+        for (const word of ['INNER', 'CROSS', 'LEFT', 'RIGHT', 'FULL']) {
+            if (!this.acceptKeyword(word)) continue;
+            if (word !== 'INNER' && word !== 'CROSS') this.acceptKeyword('OUTER');
+            this.expectKeyword('JOIN');
+            return word.toLowerCase();
+        }
+        return null;
+    }
+
+    // table [AS] [alias]; dotted names like sales.orders are one name
+    parseTableRef() {
+        const first = this.expectName('a table name');
+        let name = first.value;
+        while (this.isOp('.') && this.peek(1).type === 'ident') {
+            this.next();
+            name += `.${this.next().value}`;
+        }
+        let alias = null;
+        if (this.acceptKeyword('AS')) alias = this.expectName('an alias').value;
+        else if (this.peek().type === 'ident') alias = this.next().value;
+        return { name, alias, pos: first.pos };
+    }
+
+    parseSelectItem() {
+        const start = this.peek();
+        if (this.acceptOp('*')) return { star: true, table: null, pos: start.pos };
+        if (start.type === 'ident' && this.peek(1).value === '.' && this.peek(2).value === '*' && this.peek(2).type === 'op') {
+            this.index += 3;
+            return { star: true, table: start.value, pos: start.pos };
+        }
+
+        const expr = this.parseExpression();
+        const text = this.sql.slice(start.pos, this.tokens[this.index - 1].end);
+        let alias = null;
+        if (this.acceptKeyword('AS')) {
+            const token = this.peek();
+            if (token.type !== 'ident' && token.type !== 'string') this.fail('Expected a column name');
+            alias = this.next().value;
+        } else if (this.peek().type === 'ident') {
+            alias = this.next().value;
+        }
+        return { expr, alias, text };
+    }
+
+    parseExpression() {
+        return this.parseOr();
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.isKeyword('OR')) {
+            const token = this.next();
+            left = { type: 'binary', op: 'OR', left, right: this.parseAnd(), pos: token.pos };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.isKeyword('AND')) {
+            const token = this.next();
+            left = { type: 'binary', op: 'AND', left, right: this.parseNot(), pos: token.pos };
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.isKeyword('NOT')) {
+            const token = this.next();
+            return { type: 'not', expr: this.parseNot(), pos: token.pos };
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseAdditive();
+        const token = this.peek();
+
+        if (this.isOp('=', '<>', '!=', '<', '<=', '>', '>=')) {
+            this.next();
+            const op = token.value === '!=' ? '<>' : token.value;
+            return { type: 'binary', op, left, right: this.parseAdditive(), pos: token.pos };
+        }
+        if (this.acceptKeyword('IS')) {
+            const negate = Boolean(this.acceptKeyword('NOT'));
+            this.expectKeyword('NULL');
+            return { type: 'isNull', expr: left, negate, pos: token.pos };
+        }
+
+        let negate = false;
+        if (this.isKeyword('NOT') && ['IN', 'BETWEEN', 'LIKE', 'ILIKE'].includes(this.peek(1).value)) {
+            this.next();
+            negate = true;
+        }
+        if (this.acceptKeyword('IN')) {
+            this.expectOp('(');
+            const list = this.parseList(() => this.parseExpression());
+            this.expectOp(')');
+            return { type: 'in', expr: left, list, negate, pos: token.pos };
+        }
+        if (this.acceptKeyword('BETWEEN')) {
+            const low = this.parseAdditive();
+            this.expectKeyword('AND');
+            const high = this.parseAdditive();
+            return { type: 'between', expr: left, low, high, negate, pos: token.pos };
+        }
+        if (this.isKeyword('LIKE', 'ILIKE')) {
+            this.next();
+            return { type: 'like', expr: left, pattern: this.parseAdditive(), negate, pos: token.pos };
+        }
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.isOp('+', '-', '||')) {
+            const token = this.next();
+            left = { type: 'binary', op: token.value, left, right: this.parseMultiplicative(), pos: token.pos };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (this.isOp('*', '/', '%')) {
+            const token = this.next();
+            left = { type: 'binary', op: token.value, left, right: this.parseUnary(), pos: token.pos };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isOp('-', '+')) {
+            const token = this.next();
+            const expr = this.parseUnary();
+            return token.value === '-' ? { type: 'negate', expr, pos: token.pos } : expr;
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+        const callFollows = this.peek(1).type === 'op' && this.peek(1).value === '(';
+
+        if (token.type === 'number' || token.type === 'string') {
+            this.next();
+            return { type: 'literal', value: token.value, pos: token.pos };
+        }
+        if (token.type === 'keyword') {
+            const literals = { NULL: null, TRUE: true, FALSE: false };
+            if (token.value in literals) {
+                this.next();
+                return { type: 'literal', value: literals[token.value], pos: token.pos };
+            }
+            if (token.value === 'CASE') return this.parseCase();
+            if (token.value === 'CAST') return this.parseCast();
+            // LEFT(s, n) and RIGHT(s, n) share their names with joins
+            if ((token.value === 'LEFT' || token.value === 'RIGHT') && callFollows) return this.parseCall();
+        }
+        if (this.acceptOp('(')) {
+            const expr = this.parseExpression();
+            this.expectOp(')');
+            return expr;
+        }
+        if (token.type === 'ident') {
+            if (callFollows && !token.quoted) return this.parseCall();
+            this.next();
+            if (this.isOp('.') && this.peek(1).type === 'ident') {
+                this.next();
+                const column = this.next();
+                return { type: 'column', table: token.value, name: column.value, pos: token.pos };
+            }
+            return { type: 'column', table: null, name: token.value, pos: token.pos };
+        }
+        if (token.type === 'keyword' && !QueryEngine.CLAUSE_KEYWORDS.includes(token.value)) this.failKeyword(token);
+        return this.fail('Expected a value, column or expression');
+    }
+
+    parseCall() {
+        const token = this.next();
+        this.expectOp('(');
+        const call = { type: 'call', name: token.value.toUpperCase(), args: [], distinct: false, star: false, pos: token.pos };
+        if (this.acceptOp('*')) {
+            call.star = true;
+        } else if (!this.isOp(')')) {
+            call.distinct = Boolean(this.acceptKeyword('DISTINCT'));
+            call.args = this.parseList(() => this.parseExpression());
+        }
+        this.expectOp(')');
+        return call;
+    }
+
+    // CASE [operand] WHEN x THEN y ... [ELSE z] END
+    parseCase() {
+        const token = this.next();
+        const operand = this.isKeyword('WHEN') ? null : this.parseExpression();
+        const whens = [];
+        while (this.acceptKeyword('WHEN')) {
+            const when = this.parseExpression();
+            this.expectKeyword('THEN');
+            whens.push({ when, then: this.parseExpression() });
+        }
+        if (whens.length === 0) this.fail('Expected WHEN');
+        const otherwise = this.acceptKeyword('ELSE') ? this.parseExpression() : null;
+        this.expectKeyword('END');
+        return { type: 'case', operand, whens, otherwise, pos: token.pos };
+    }
+
+    // CAST(x AS type), ignoring sizes such as VARCHAR(20) or DECIMAL(10, 2)
+    parseCast() {
+        const token = this.next();
+        this.expectOp('(');
+        const expr = this.parseExpression();
+        this.expectKeyword('AS');
+        const typeToken = this.next();
+        const to = QueryEngine.CAST_TYPES[String(typeToken.value).toUpperCase()];
+        if (!to) throw new QueryError(`Unknown type "${typeToken.value}" (try INTEGER, DECIMAL, TEXT, DATE, TIMESTAMP or BOOLEAN)`, typeToken.pos);
+        if (this.acceptOp('(')) {
+            while (!this.isOp(')') && this.peek().type !== 'eof') this.next();
+            this.expectOp(')');
+        }
+        this.expectOp(')');
+        return { type: 'cast', expr, to, pos: token.pos };
+    }
+}
+
+class QueryEngine {
+    // typeInference is a ColumnTypes instance, used to read typed cell values
+    constructor(typeInference) {
+        this.types = typeInference;
+        this.likeCache = new Map();
+    }
+
+    static get KEYWORDS() {
+        return new Set([
+            'SELECT', 'DISTINCT', 'FROM', 'WHERE', 'GROUP', 'BY', 'HAVING', 'ORDER', 'ASC', 'DESC',
+            'LIMIT', 'OFFSET', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'ON', 'AS',
+            'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'LIKE', 'ILIKE', 'BETWEEN', 'CASE', 'WHEN', 'THEN',
+            'ELSE', 'END', 'TRUE', 'FALSE', 'CAST'
+        ]);
+    }
+
+    // Keywords that start or join clauses, never a misspelt name
+    static get CLAUSE_KEYWORDS() {
+        return ['SELECT', 'FROM', 'WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET', 'JOIN', 'ON', 'AND', 'OR', 'THEN', 'ELSE', 'END'];
+    }
+
+    static get AGGREGATES() {
+        return ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+    }
+
+    static get CAST_TYPES() {
+        return {
+            INT: 'integer', INTEGER: 'integer', BIGINT: 'integer', SMALLINT: 'integer',
+            DECIMAL: 'decimal', NUMERIC: 'decimal', FLOAT: 'decimal', DOUBLE: 'decimal', REAL: 'decimal',
+            TEXT: 'text', VARCHAR: 'text', CHAR: 'text', STRING: 'text',
+            DATE: 'date', DATETIME: 'datetime', TIMESTAMP: 'datetime',
+            BOOLEAN: 'boolean', BOOL: 'boolean'
+        };
+    }
+
+    // Scalar functions: [min args, max args, implementation]. Unless marked
+    // nullable, a function of a NULL argument is NULL.
+    get functions() {
+        if (this.functionTable) return this.functionTable;
+        const text = (v) => this.toText(v);
+        const number = (v, pos) => this.toNumber(v, pos);
+        const date = (v, pos) => this.toDate(v, pos);
+        const utc = (d, fields) => new Date(Date.UTC(...fields(d)));
+
+        this.functionTable = {
+            UPPER: [1, 1, (s) => text(s).toUpperCase()],
+            LOWER: [1, 1, (s) => text(s).toLowerCase()],
+            LENGTH: [1, 1, (s) => [...text(s)].length],
+            LEN: [1, 1, (s) => [...text(s)].length],
+            TRIM: [1, 1, (s) => text(s).trim()],
+            LTRIM: [1, 1, (s) => text(s).trimStart()],
+            RTRIM: [1, 1, (s) => text(s).trimEnd()],
+            SUBSTR: [2, 3, (s, start, length, pos) => this.substring(text(s), number(start, pos), length, pos)],
+            SUBSTRING: [2, 3, (s, start, length, pos) => this.substring(text(s), number(start, pos), length, pos)],
+            LEFT: [2, 2, (s, n, pos) => text(s).slice(0, Math.max(0, number(n, pos)))],
+            RIGHT: [2, 2, (s, n, pos) => (number(n, pos) > 0 ? text(s).slice(-number(n, pos)) : '')],
+            REPLACE: [3, 3, (s, from, to) => text(s).split(text(from)).join(text(to))],
+            CONCAT: [1, Infinity, (...args) => args.slice(0, -1).map(v => (v === null ? '' : text(v))).join(''), true],
+            COALESCE: [1, Infinity, (...args) => args.slice(0, -1).find(v => v !== null) ?? null, true],
+            IFNULL: [2, 2, (a, b) => (a === null ? b : a), true],
+            NULLIF: [2, 2, (a, b) => (this.compare(a, b) === 0 ? null : a), true],
+            ABS: [1, 1, (x, pos) => Math.abs(number(x, pos))],
+            ROUND: [1, 2, (x, digits, pos) => {
+                const factor = Math.pow(10, digits === undefined ? 0 : number(digits, pos));
+                return Math.round(number(x, pos) * factor) / factor;
+            }],
+            FLOOR: [1, 1, (x, pos) => Math.floor(number(x, pos))],
+            CEIL: [1, 1, (x, pos) => Math.ceil(number(x, pos))],
+            CEILING: [1, 1, (x, pos) => Math.ceil(number(x, pos))],
+            DATE: [1, 1, (v, pos) => utc(date(v, pos), d => [d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()])],
+            YEAR: [1, 1, (v, pos) => date(v, pos).getUTCFullYear()],
+            MONTH: [1, 1, (v, pos) => date(v, pos).getUTCMonth() + 1],
+            DAY: [1, 1, (v, pos) => date(v, pos).getUTCDate()],
+            HOUR: [1, 1, (v, pos) => date(v, pos).getUTCHours()],
+            MINUTE: [1, 1, (v, pos) => date(v, pos).getUTCMinutes()],
+            DATE_TRUNC: [2, 2, (unit, v, pos) => this.truncateDate(text(unit).toLowerCase(), date(v, pos), pos)],
+            // Whole days from the second date to the first
+            DATEDIFF: [2, 2, (a, b, pos) => Math.trunc((date(a, pos) - date(b, pos)) / 86400000)]
+        };
+        return this.functionTable;
+    }
+
+    // Run a query over [{ name, headers, data, columnTypes }] (columnTypes
+    // are inferred when missing). Returns { headers, data } of strings.
+    run(sql, tables) {
+        const query = new SqlParser(sql, this.tokenize(sql)).parseQuery();
+        return this.execute(query, tables);
+    }
+
+    tokenize(sql) {
+        const tokens = [];
+        const patterns = {
+            space: /\s+/y,
+            lineComment: /--[^\n]*/y,
+            number: /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y,
+            word: /[A-Za-z_][A-Za-z0-9_$]*/y
+        };
+        const match = (name, at) => {
+            patterns[name].lastIndex = at;
+            const m = patterns[name].exec(sql);
+            return m ? m[0] : null;
+        };
+
+        let i = 0;
+        while (i < sql.length) {
+            const start = i;
+            const ch = sql[i];
+            let m;
+            if ((m = match('space', i)) || (m = match('lineComment', i))) {
+                i += m.length;
+            } else if (sql.startsWith('/*', i)) {
+                const end = sql.indexOf('*/', i + 2);
+                if (end === -1) throw new QueryError('Comment is never closed', start);
+                i = end + 2;
+            } else if ((m = match('number', i))) {
+                tokens.push({ type: 'number', value: Number(m), pos: start, end: i += m.length });
+            } else if (ch === "'") {
+                // 'It''s' holds a quote
+                let value = '';
+                for (i++; ; i++) {
+                    if (i >= sql.length) throw new QueryError('Text is never closed (missing \')', start);
+                    if (sql[i] !== "'") {
+                        value += sql[i];
+                    } else if (sql[i + 1] === "'") {
+                        value += "'";
+                        i++;
+                    } else {
+                        break;
+                    }
+                }
+                tokens.push({ type: 'string', value, pos: start, end: ++i });
+            } else if (ch === '"' || ch === '`' || ch === '[') {
+                const close = ch === '[' ? ']' : ch;
+                const end = sql.indexOf(close, i + 1);
+                if (end === -1) throw new QueryError(`Name is never closed (missing ${close})`, start);
+                tokens.push({ type: 'ident', value: sql.slice(i + 1, end), quoted: true, pos: start, end: i = end + 1 });
+            } else if ((m = match('word', i))) {
+                const upper = m.toUpperCase();
+                const keyword = QueryEngine.KEYWORDS.has(upper);
+                tokens.push({ type: keyword ? 'keyword' : 'ident', value: keyword ? upper : m, pos: start, end: i += m.length });
+            } else {
+                const op = ['<=', '>=', '<>', '!=', '||'].find(o => sql.startsWith(o, i)) || ('=<>+-*/%(),.;'.includes(ch) ? ch : null);
+                if (!op) throw new QueryError(`Unexpected character "${ch}"`, start);
+                tokens.push({ type: 'op', value: op, pos: start, end: i += op.length });
+            }
+        }
+        tokens.push({ type: 'eof', value: '', pos: sql.length, end: sql.length });
+        return tokens;
+    }
+
+    // Name a table can be queried by besides its own, e.g. "Table 1" -> Table_1
+    static relationName(name) {
+        return String(name).trim().replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+    }
+
+    sameName(a, b) {
+        const lower = (s) => String(s).toLowerCase();
+        return lower(a) === lower(b) || lower(QueryEngine.relationName(a)) === lower(QueryEngine.relationName(b));
+    }
+
+    execute(query, tables) {
+        let source = this.relation(query.from, tables);
+        for (const join of query.joins) {
+            source = this.join(source, this.relation(join.table, tables), join);
+        }
+        const { columns } = source;
+        let rows = source.rows;
+
+        if (query.where) {
+            this.bind(query.where, columns, 'WHERE');
+            rows = rows.filter(row => this.truth(this.evaluate(query.where, { row })) === true);
+        }
+
+        const items = this.selectItems(query.columns, columns);
+        const groupBy = query.groupBy.map(expr => {
+            const ref = this.outputReference(expr, items);
+            return ref ? ref.expr : this.bind(expr, columns, 'GROUP BY');
+        });
+        if (query.having) this.bind(query.having, columns, null);
+        const orderBy = query.orderBy.map(({ expr, direction }) => {
+            const ref = this.outputReference(expr, items);
+            return ref ? { output: items.indexOf(ref.item), direction } : { expr: this.bind(expr, columns, null), direction };
+        });
+
+        // One context per output row: a source row, or a group of them
+        const grouped = groupBy.length > 0 || query.having !== null ||
+            items.some(item => this.hasAggregate(item.expr)) ||
+            orderBy.some(o => o.expr && this.hasAggregate(o.expr));
+        let contexts = rows.map(row => ({ row, group: null }));
+        if (grouped) {
+            const groups = new Map();
+            for (const row of rows) {
+                const key = JSON.stringify(groupBy.map(g => this.sortValue(this.evaluate(g, { row }))));
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(row);
+            }
+            // Aggregates without GROUP BY give one row, even over no rows
+            if (groupBy.length === 0 && groups.size === 0) groups.set('', []);
+            contexts = [...groups.values()].map(group => ({ row: group[0] || null, group }));
+        }
+        if (query.having) contexts = contexts.filter(ctx => this.truth(this.evaluate(query.having, ctx)) === true);
+
+        let output = contexts.map(ctx => {
+            const values = items.map(item => this.evaluate(item.expr, ctx));
+            return {
+                cells: items.map((item, i) => this.outputText(item.expr, ctx, values[i])),
+                keys: orderBy.map(o => this.sortValue(o.expr ? this.evaluate(o.expr, ctx) : values[o.output]))
+            };
+        });
+
+        if (orderBy.length > 0) {
+            output = output
+                .map((row, index) => ({ row, index }))
+                .sort((a, b) => {
+                    for (let i = 0; i < orderBy.length; i++) {
+                        const result = this.types.compareKeys(a.row.keys[i], b.row.keys[i], orderBy[i].direction);
+                        if (result !== 0) return result;
+                    }
+                    return a.index - b.index;
+                })
+                .map(entry => entry.row);
+        }
+        if (query.distinct) {
+            const seen = new Set();
+            output = output.filter(row => {
+                const key = JSON.stringify(row.cells);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+        const end = query.limit === null ? undefined : query.offset + query.limit;
+        output = output.slice(query.offset, end);
+
+        return { headers: this.uniqueHeaders(items, columns), data: output.map(row => row.cells) };
+    }
+
+    findTable(ref, tables) {
+        const exact = tables.find(t => t.name.toLowerCase() === ref.name.toLowerCase());
+        const table = exact || tables.find(t => this.sameName(t.name, ref.name));
+        if (!table) {
+            const names = tables.map(t => QueryEngine.relationName(t.name) || t.name).join(', ');
+            throw new QueryError(`Unknown table "${ref.name}" (tables: ${names})`, ref.pos);
+        }
+        return table;
+    }
+
+    // A table as { columns: [{ alias, name, kind }], rows: [{ values, raw }] }
+    // with values read by column type and raw the original text
+    relation(ref, tables) {
+        const table = this.findTable(ref, tables);
+        const alias = ref.alias || table.name;
+        const columnTypes = table.columnTypes || table.headers.map((_, i) => this.types.inferColumn(table.data, i));
+        const kinds = columnTypes.map(t => this.kindOf(t.type));
+        return {
+            columns: table.headers.map((name, i) => ({ alias, name, kind: kinds[i] })),
+            rows: table.data.map(row => ({
+                raw: table.headers.map((_, i) => row[i] ?? ''),
+                values: table.headers.map((_, i) => this.toValue(row[i], columnTypes[i], kinds[i]))
+            }))
+        };
+    }
+
+    kindOf(type) {
+        if (['integer', 'decimal', 'currency', 'percent', 'size'].includes(type)) return 'number';
+        if (type === 'date' || type === 'datetime') return 'date';
+        return type === 'boolean' ? 'boolean' : 'text';
+    }
+
+    // A cell as a number, Date, boolean or string; empty cells (and null
+    // tokens in typed columns) are null. Cells that don't fit stay text.
+    toValue(cell, columnType, kind) {
+        const text = String(cell ?? '').trim();
+        if (!text) return null;
+        if (kind === 'text') return text;
+        if (this.types.isNullToken(text)) return null;
+        const key = this.types.sortKey(text, columnType);
+        if (key === null) return text;
+        if (kind === 'date') return new Date(key);
+        if (kind === 'boolean') return key === 1;
+        return key;
+    }
+
+    join(left, right, join) {
+        const columns = [...left.columns, ...right.columns];
+        if (join.on) this.bind(join.on, columns, 'ON');
+        const combine = (l, r) => ({ values: [...l.values, ...r.values], raw: [...l.raw, ...r.raw] });
+        const blank = (width) => ({ values: new Array(width).fill(null), raw: new Array(width).fill('') });
+
+        // Equality of two same-typed columns is looked up instead of tried on every pair
+        const split = left.columns.length;
+        const on = join.on;
+        let candidates = () => right.rows;
+        let test = (row) => join.type === 'cross' || this.truth(this.evaluate(on, { row })) === true;
+        if (on && on.type === 'binary' && on.op === '=' && on.left.type === 'column' && on.right.type === 'column') {
+            const [l, r] = on.left.index < split ? [on.left.index, on.right.index] : [on.right.index, on.left.index];
+            if (l < split && r >= split && columns[l].kind === columns[r].kind) {
+                const index = new Map();
+                for (const row of right.rows) {
+                    const key = this.hashKey(row.values[r - split]);
+                    if (key === null) continue;
+                    if (!index.has(key)) index.set(key, []);
+                    index.get(key).push(row);
+                }
+                candidates = (row) => index.get(this.hashKey(row.values[l])) || [];
+                test = () => true;
+            }
+        }
+
+        const rows = [];
+        const matchedRight = new Set();
+        for (const l of left.rows) {
+            let matched = false;
+            for (const r of candidates(l)) {
+                const row = combine(l, r);
+                if (!test(row)) continue;
+                rows.push(row);
+                matched = true;
+                matchedRight.add(r);
+            }
+            if (!matched && (join.type === 'left' || join.type === 'full')) rows.push(combine(l, blank(right.columns.length)));
+        }
+        if (join.type === 'right' || join.type === 'full') {
+            for (const r of right.rows) {
+                if (!matchedRight.has(r)) rows.push(combine(blank(split), r));
+            }
+        }
+        return { columns, rows };
+    }
+
+    hashKey(value) {
+        if (value === null) return null;
+        if (value instanceof Date) return `d${value.getTime()}`;
+        return `${typeof value}:${value}`;
+    }
+
+    // Select list with * and t.* expanded: [{ name, expr, alias }]
+    selectItems(selected, columns) {
+        const items = [];
+        for (const item of selected) {
+            if (!item.star) {
+                this.bind(item.expr, columns, null);
+                const name = item.alias || (item.expr.type === 'column' ? columns[item.expr.index].name : item.text);
+                items.push({ name, expr: item.expr, alias: item.alias });
+                continue;
+            }
+            const picked = columns.map((_, i) => i).filter(i => !item.table || this.sameName(columns[i].alias, item.table));
+            if (picked.length === 0) throw new QueryError(`Unknown table "${item.table}"`, item.pos);
+            for (const i of picked) items.push({ name: columns[i].name, expr: { type: 'column', index: i }, alias: null });
+        }
+        return items;
+    }
+
+    // GROUP BY / ORDER BY may name an output column by its alias or position (1-based)
+    outputReference(expr, items) {
+        if (expr.type === 'literal' && Number.isInteger(expr.value)) {
+            const item = items[expr.value - 1];
+            if (!item) throw new QueryError(`There is no output column ${expr.value}`, expr.pos);
+            return { item, expr: item.expr };
+        }
+        if (expr.type === 'column' && !expr.table) {
+            const item = items.find(i => i.alias && i.alias.toLowerCase() === expr.name.toLowerCase());
+            if (item) return { item, expr: item.expr };
+        }
+        return null;
+    }
+
+    // Output headers, with clashing names told apart by their table
+    uniqueHeaders(items, columns) {
+        const names = items.map(item => item.name);
+        return names.map((name, i) => {
+            if (names.indexOf(name) === names.lastIndexOf(name)) return name;
+            const { expr } = items[i];
+            if (expr.type === 'column' && !items[i].alias) return `${columns[expr.index].alias}.${name}`;
+            return `${name} (${names.slice(0, i + 1).filter(n => n === name).length})`;
+        });
+    }
+
+    // Resolve column references and check function calls. clause names where
+    // aggregates aren't allowed (WHERE, ON, GROUP BY), or is null.
+    bind(expr, columns, clause, insideAggregate = false) {
+        const visit = (node) => this.bind(node, columns, clause, insideAggregate);
+        switch (expr.type) {
+            case 'column':
+                expr.index = this.resolveColumn(expr, columns);
+                break;
+            case 'call': {
+                const aggregate = QueryEngine.AGGREGATES.includes(expr.name);
+                if (aggregate) {
+                    if (clause) throw new QueryError(`${expr.name}() can't be used in ${clause}`, expr.pos);
+                    if (insideAggregate) throw new QueryError('Aggregates can\'t be nested', expr.pos);
+                    if (expr.star && expr.name !== 'COUNT') throw new QueryError(`${expr.name}(*) isn't valid; only COUNT(*) is`, expr.pos);
+                    if (!expr.star && expr.args.length !== 1) throw new QueryError(`${expr.name}() takes one value`, expr.pos);
+                    expr.aggregate = true;
+                    expr.args.forEach(arg => this.bind(arg, columns, clause, true));
+                    break;
+                }
+                const fn = this.functions[expr.name];
+                if (!fn) throw new QueryError(`Unknown function ${expr.name}()`, expr.pos);
+                if (expr.star || expr.distinct) throw new QueryError(`${expr.name}() doesn't take ${expr.star ? '*' : 'DISTINCT'}`, expr.pos);
+                const [min, max] = fn;
+                if (expr.args.length < min || expr.args.length > max) {
+                    const expected = min === max ? min : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+                    throw new QueryError(`${expr.name}() takes ${expected} argument${min === 1 && max === 1 ? '' : 's'}`, expr.pos);
+                }
+                expr.args.forEach(visit);
+                break;
+            }
+            case 'binary':
+                visit(expr.left);
+                visit(expr.right);
+                break;
+            case 'not':
+            case 'negate':
+            case 'isNull':
+            case 'cast':
+                visit(expr.expr);
+                break;
+            case 'in':
+                visit(expr.expr);
+                expr.list.forEach(visit);
+                break;
+            case 'between':
+                [expr.expr, expr.low, expr.high].forEach(visit);
+                break;
+            case 'like':
+                visit(expr.expr);
+                visit(expr.pattern);
+                break;
+            case 'case':
+                if (expr.operand) visit(expr.operand);
+                expr.whens.forEach(w => {
+                    visit(w.when);
+                    visit(w.then);
+                });
+                if (expr.otherwise) visit(expr.otherwise);
+                break;
+        }
+        return expr;
+    }
+
+    resolveColumn(ref, columns) {
+        const candidates = columns.map((c, i) => i).filter(i => !ref.table || this.sameName(columns[i].alias, ref.table));
+        if (ref.table && candidates.length === 0) throw new QueryError(`Unknown table "${ref.table}"`, ref.pos);
+
+        let found = candidates.filter(i => columns[i].name.toLowerCase() === ref.name.toLowerCase());
+        if (found.length === 0) found = candidates.filter(i => this.sameName(columns[i].name, ref.name));
+        if (found.length === 1) return found[0];
+
+        const label = ref.table ? `${ref.table}.${ref.name}` : ref.name;
+        if (found.length > 1) throw new QueryError(`Column "${label}" is in more than one table; prefix it with the table name`, ref.pos);
+        const names = candidates.map(i => columns[i].name).join(', ');
+        throw new QueryError(`Unknown column "${label}" (columns: ${names})`, ref.pos);
+    }
+
+    hasAggregate(expr) {
+        if (!expr || typeof expr !== 'object') return false;
+        if (expr.type === 'call' && expr.aggregate) return true;
+        return Object.values(expr).some(value => (Array.isArray(value)
+            ? value.some(v => this.hasAggregate(v))
+            : this.hasAggregate(value)));
+    }
+
+    // ctx is { row, group }: the row being evaluated and, in a grouped
+    // query, all the rows of its group
+    evaluate(expr, ctx) {
+        switch (expr.type) {
+            case 'literal':
+                return expr.value;
+            case 'column':
+                return ctx.row ? ctx.row.values[expr.index] : null;
+            case 'negate': {
+                const value = this.evaluate(expr.expr, ctx);
+                return value === null ? null : -this.toNumber(value, expr.pos);
+            }
+            case 'not': {
+                const value = this.truth(this.evaluate(expr.expr, ctx));
+                return value === null ? null : !value;
+            }
+            case 'binary':
+                return this.evaluateBinary(expr, ctx);
+            case 'isNull': {
+                const isNull = this.evaluate(expr.expr, ctx) === null;
+                return expr.negate ? !isNull : isNull;
+            }
+            case 'in': {
+                const value = this.evaluate(expr.expr, ctx);
+                if (value === null) return null;
+                let unknown = false;
+                for (const item of expr.list) {
+                    const result = this.compare(value, this.evaluate(item, ctx));
+                    if (result === 0) return !expr.negate;
+                    if (result === null) unknown = true;
+                }
+                return unknown ? null : expr.negate;
+            }
+            case 'between': {
+                const value = this.evaluate(expr.expr, ctx);
+                const low = this.compare(value, this.evaluate(expr.low, ctx));
+                const high = this.compare(value, this.evaluate(expr.high, ctx));
+                if (low === null || high === null) return null;
+                return (low >= 0 && high <= 0) !== expr.negate;
+            }
+            case 'like': {
+                const value = this.evaluate(expr.expr, ctx);
+                const pattern = this.evaluate(expr.pattern, ctx);
+                if (value === null || pattern === null) return null;
+                return this.likePattern(this.toText(pattern)).test(this.toText(value)) !== expr.negate;
+            }
+            case 'case': {
+                const operand = expr.operand ? this.evaluate(expr.operand, ctx) : null;
+                for (const { when, then } of expr.whens) {
+                    const value = this.evaluate(when, ctx);
+                    const hit = expr.operand ? this.compare(operand, value) === 0 : this.truth(value) === true;
+                    if (hit) return this.evaluate(then, ctx);
+                }
+                return expr.otherwise ? this.evaluate(expr.otherwise, ctx) : null;
+            }
+            case 'cast':
+                return this.cast(this.evaluate(expr.expr, ctx), expr.to, expr.pos);
+            case 'call':
+                return expr.aggregate ? this.aggregate(expr, ctx) : this.callFunction(expr, ctx);
+            default:
+                throw new QueryError(`Can't evaluate ${expr.type}`, expr.pos);
+        }
+    }
+
+    evaluateBinary(expr, ctx) {
+        const { op } = expr;
+        if (op === 'AND' || op === 'OR') {
+            // Three-valued logic: NULL is "unknown"
+            const decisive = op === 'OR';
+            const left = this.truth(this.evaluate(expr.left, ctx));
+            if (left === decisive) return decisive;
+            const right = this.truth(this.evaluate(expr.right, ctx));
+            if (right === decisive) return decisive;
+            return left === null || right === null ? null : !decisive;
+        }
+
+        const left = this.evaluate(expr.left, ctx);
+        const right = this.evaluate(expr.right, ctx);
+        if (left === null || right === null) return null;
+
+        const comparisons = { '=': r => r === 0, '<>': r => r !== 0, '<': r => r < 0, '<=': r => r <= 0, '>': r => r > 0, '>=': r => r >= 0 };
+        if (comparisons[op]) {
+            const result = this.compare(left, right);
+            return result === null ? null : comparisons[op](result);
+        }
+        if (op === '||') return this.toText(left) + this.toText(right);
+
+        // Date arithmetic: date ± days, and date - date in days
+        if (left instanceof Date && (op === '+' || op === '-')) {
+            if (right instanceof Date && op === '-') return (left - right) / 86400000;
+            const days = this.toNumber(right, expr.pos) * (op === '+' ? 1 : -1);
+            return new Date(left.getTime() + days * 86400000);
+        }
+
+        const a = this.toNumber(left, expr.left.pos);
+        const b = this.toNumber(right, expr.right.pos);
+        switch (op) {
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/': return b === 0 ? null : a / b;
+            case '%': return b === 0 ? null : a % b;
+            default: throw new QueryError(`Unknown operator ${op}`, expr.pos);
+        }
+    }
+
+    callFunction(expr, ctx) {
+        const [, , fn, nullable] = this.functions[expr.name];
+        const args = expr.args.map(arg => this.evaluate(arg, ctx));
+        if (!nullable && args.some(v => v === null)) return null;
+        // Optional arguments left out come through as undefined; the position is last
+        const padded = [...args];
+        while (padded.length < fn.length - 1) padded.push(undefined);
+        return fn(...padded, expr.pos);
+    }
+
+    aggregate(expr, ctx) {
+        const rows = ctx.group || (ctx.row ? [ctx.row] : []);
+        if (expr.star) return rows.length;
+
+        let values = rows.map(row => this.evaluate(expr.args[0], { row, group: null })).filter(v => v !== null);
+        if (expr.distinct) {
+            const seen = new Set();
+            values = values.filter(v => {
+                const key = this.hashKey(v);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+
+        switch (expr.name) {
+            case 'COUNT':
+                return values.length;
+            case 'SUM':
+            case 'AVG': {
+                if (values.length === 0) return null;
+                const sum = values.reduce((total, v) => total + this.toNumber(v, expr.args[0].pos), 0);
+                return expr.name === 'SUM' ? sum : sum / values.length;
+            }
+            case 'MIN':
+            case 'MAX':
+                return values.reduce((best, v) => {
+                    if (best === null) return v;
+                    const result = this.compare(v, best);
+                    return (expr.name === 'MIN' ? result < 0 : result > 0) ? v : best;
+                }, null);
+            default:
+                throw new QueryError(`Unknown aggregate ${expr.name}()`, expr.pos);
+        }
+    }
+
+    truth(value) {
+        if (value === null) return null;
+        if (typeof value === 'string') return !/^(false|0|no|)$/i.test(value.trim());
+        return Boolean(value);
+    }
+
+    // Compare two values: -1, 0 or 1, or null when either is NULL. Text is
+    // read as a number or date when compared with one.
+    compare(a, b) {
+        if (a === null || b === null) return null;
+        [a, b] = [this.coerceTo(a, b), this.coerceTo(b, a)];
+        const order = (x, y) => (x < y ? -1 : x > y ? 1 : 0);
+        if (typeof a === 'number' && typeof b === 'number') return order(a, b);
+        if (a instanceof Date && b instanceof Date) return order(a.getTime(), b.getTime());
+        if (typeof a === 'boolean' && typeof b === 'boolean') return order(Number(a), Number(b));
+        return order(this.toText(a), this.toText(b));
+    }
+
+    // value converted to the type of other where that makes sense
+    coerceTo(value, other) {
+        if (typeof value !== 'string') return value;
+        if (typeof other === 'number') {
+            const number = this.parseNumber(value);
+            return number === null ? value : number;
+        }
+        if (other instanceof Date) {
+            const parsed = this.types.parseDate(value.trim());
+            return parsed ? new Date(parsed.time) : value;
+        }
+        if (typeof other === 'boolean' && this.types.isBoolean(value.trim())) {
+            return /^(true|yes|y|t)$/i.test(value.trim());
+        }
+        return value;
+    }
+
+    parseNumber(text) {
+        const trimmed = text.trim();
+        if (trimmed !== '' && Number.isFinite(Number(trimmed))) return Number(trimmed);
+        const parsed = this.types.classifyNumber(trimmed);
+        return parsed ? parsed.value : null;
+    }
+
+    toNumber(value, pos) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (typeof value === 'string') {
+            const number = this.parseNumber(value);
+            if (number !== null) return number;
+        }
+        throw new QueryError(`"${this.toText(value)}" isn't a number`, pos);
+    }
+
+    toDate(value, pos) {
+        if (value instanceof Date) return value;
+        if (typeof value === 'string') {
+            const parsed = this.types.parseDate(value.trim());
+            if (parsed) return new Date(parsed.time);
+        }
+        throw new QueryError(`"${this.toText(value)}" isn't a date`, pos);
+    }
+
+    toText(value) {
+        if (value === null) return '';
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(12)));
+        }
+        if (value instanceof Date) {
+            const iso = value.toISOString();
+            if (iso.endsWith('T00:00:00.000Z')) return iso.slice(0, 10);
+            return iso.endsWith('.000Z') ? iso.slice(0, 19).replace('T', ' ') : iso.slice(0, 23).replace('T', ' ');
+        }
+        return String(value);
+    }
+
+    // Columns selected as-is keep their original text; anything computed is formatted
+    outputText(expr, ctx, value) {
+        if (expr.type === 'column' && ctx.row) return ctx.row.raw[expr.index];
+        return this.toText(value);
+    }
+
+    // Comparable key for ORDER BY and grouping
+    sortValue(value) {
+        if (value instanceof Date) return value.getTime();
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        return value === undefined ? null : value;
+    }
+
+    cast(value, to, pos) {
+        if (value === null) return null;
+        switch (to) {
+            case 'integer':
+                return Math.trunc(this.toNumber(value, pos));
+            case 'decimal':
+                return this.toNumber(value, pos);
+            case 'date': {
+                const d = this.toDate(value, pos);
+                return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+            }
+            case 'datetime':
+                return this.toDate(value, pos);
+            case 'boolean': {
+                const truth = this.truth(value);
+                return truth === null ? null : truth;
+            }
+            default:
+                return this.toText(value);
+        }
+    }
+
+    // 1-based start like SQL; a negative start counts from the end
+    substring(text, start, length, pos) {
+        const chars = [...text];
+        const from = start > 0 ? start - 1 : Math.max(0, chars.length + start);
+        const count = length === undefined ? chars.length : Math.max(0, this.toNumber(length, pos));
+        return chars.slice(from, from + count).join('');
+    }
+
+    truncateDate(unit, date, pos) {
+        const y = date.getUTCFullYear();
+        const m = date.getUTCMonth();
+        const d = date.getUTCDate();
+        switch (unit) {
+            case 'year': return new Date(Date.UTC(y, 0, 1));
+            case 'quarter': return new Date(Date.UTC(y, m - (m % 3), 1));
+            case 'month': return new Date(Date.UTC(y, m, 1));
+            case 'week': return new Date(Date.UTC(y, m, d - ((date.getUTCDay() + 6) % 7))); // Weeks start on Monday
+            case 'day': return new Date(Date.UTC(y, m, d));
+            case 'hour': return new Date(Date.UTC(y, m, d, date.getUTCHours()));
+            case 'minute': return new Date(Date.UTC(y, m, d, date.getUTCHours(), date.getUTCMinutes()));
+            default: throw new QueryError(`Unknown DATE_TRUNC unit '${unit}' (year, quarter, month, week, day, hour or minute)`, pos);
+        }
+    }
+
+    // LIKE pattern as a RegExp: % is any text, _ any one character
+    likePattern(pattern) {
+        if (!this.likeCache.has(pattern)) {
+            const source = [...pattern].map(ch => {
+                if (ch === '%') return '[\\s\\S]*';
+                if (ch === '_') return '[\\s\\S]';
+                return ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }).join('');
+            this.likeCache.set(pattern, new RegExp(`^${source}$`, 'i'));
+        }
+        return this.likeCache.get(pattern);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QueryEngine, QueryError };
+}
@@ -0,0 +1,125 @@
+// Format King - Spreadsheet Import
+// Reads .xlsx/.xls/.ods workbooks via SheetJS: the global XLSX from
+// vendor/xlsx.full.min.js (0.20.3, loaded deferred), or that file passed in
+// when run in Node. Every worksheet becomes its own { name, headers, data }
+// table.
+class SpreadsheetReader {
+    constructor(xlsx) {
+        this.XLSX = xlsx || (typeof XLSX !== 'undefined' ? XLSX : null);
+    }
+
+    // Spreadsheet files have to be read as binary instead of text
+    static isSpreadsheet(fileName) {
+        return /\.(xlsx|xlsm|xlsb|xls|ods)$/i.test(fileName || '');
+    }
+
+    isAvailable() {
+        return this.XLSX !== null;
+    }
+
+    // Parse workbook bytes (ArrayBuffer) into one table per non-empty worksheet
+    read(arrayBuffer, options = {}) {
+        if (!this.isAvailable()) throw new Error('Spreadsheet support is not loaded');
+        const { firstRowHeader = true } = options;
+
+        const workbook = this.XLSX.read(new Uint8Array(arrayBuffer), { type: 'array' });
+        return workbook.SheetNames
+            .map(name => this.sheetToTable(name, workbook.Sheets[name], firstRowHeader))
+            .filter(Boolean);
+    }
+
+    sheetToTable(name, sheet, firstRowHeader = true) {
+        if (!sheet || !sheet['!ref']) return null;
+
+        // raw: false gives each cell's displayed text, so dates and
+        // formatted numbers come through the way Excel shows them
+        const grid = this.XLSX.utils.sheet_to_json(sheet, {
+            header: 1,
+            raw: false,
+            defval: '',
+            blankrows: true
+        }).map(row => row.map(cell => String(cell).trim()));
+        if (grid.length === 0) return null;
+
+        // Merge ranges are absolute; the grid starts at the sheet's used range
+        const origin = this.XLSX.utils.decode_range(sheet['!ref']).s;
+        const merges = (sheet['!merges'] || []).map(m => ({
+            s: { r: m.s.r - origin.r, c: m.s.c - origin.c },
+            e: { r: m.e.r - origin.r, c: m.e.c - origin.c }
+        }));
+
+        const width = Math.max(...grid.map(r => r.length));
+        grid.forEach(row => { while (row.length < width) row.push(''); });
+
+        let headers = new Array(width).fill('');
+        let data = grid;
+        if (firstRowHeader) {
+            const headerRows = this.countHeaderRows(merges);
+            this.fillMerges(grid, merges.filter(m => m.s.r < headerRows));
+            headers = this.flattenHeaderRows(grid.slice(0, headerRows), width);
+            data = grid.slice(headerRows);
+        }
+
+        // Drop blank rows, and columns with neither a header nor any value
+        data = data.filter(row => row.some(cell => cell !== ''));
+        const keep = headers.map((h, i) => h !== '' || data.some(row => row[i] !== ''));
+        if (!keep.includes(true)) return null;
+
+        headers = headers
+            .map((h, i) => h || `Column ${i + 1}`)
+            .filter((_, i) => keep[i]);
+        data = data.map(row => row.filter((_, i) => keep[i]));
+        return { name, headers, data };
+    }
+
+    // A merge across columns in the header means the row below holds sub-headers,
+    // and a merge down rows stretches the header to its bottom row
+    countHeaderRows(merges, maxHeaderRows = 5) {
+        let headerRows = 1;
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const m of merges) {
+                if (m.s.r >= headerRows) continue;
+                const bottom = m.e.c > m.s.c ? m.e.r + 2 : m.e.r + 1;
+                const rows = Math.min(bottom, maxHeaderRows);
+                if (rows > headerRows) {
+                    headerRows = rows;
+                    changed = true;
+                }
+            }
+        }
+        return headerRows;
+    }
+
+    // Copy each merged range's value into every cell it covers
+    fillMerges(grid, merges) {
+        for (const m of merges) {
+            const value = grid[m.s.r]?.[m.s.c] ?? '';
+            for (let r = m.s.r; r <= m.e.r && r < grid.length; r++) {
+                for (let c = m.s.c; c <= m.e.c; c++) {
+                    grid[r][c] = value;
+                }
+            }
+        }
+    }
+
+    // Join stacked header rows into one name per column, e.g. "Q1 / Revenue".
+    // Columns with no header text come back as ''.
+    flattenHeaderRows(rows, width) {
+        const headers = [];
+        for (let c = 0; c < width; c++) {
+            const parts = [];
+            for (const row of rows) {
+                const part = row[c] || '';
+                if (part && parts[parts.length - 1] !== part) parts.push(part);
+            }
+            headers.push(parts.join(' / '));
+        }
+        return headers;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpreadsheetReader };
+}
@@ -0,0 +1,141 @@
+// Format King - Join and Append
+// Builds a new table out of two loaded ones: a join on a key column, or one
+// table's rows appended under another's columns. Also stacks every table
+// for the "All Tables" view. No DOM access.
+class TableCombiner {
+    static get JOIN_TYPES() {
+        return { inner: 'Inner join', left: 'Left join', full: 'Full outer join' };
+    }
+
+    // Join two { name, headers, data } tables where leftKey equals rightKey
+    // (compared as trimmed text; empty keys never match). The key appears
+    // once, filled from either side; right columns whose names clash with
+    // left ones get the right table's name.
+    join(left, right, { leftKey, rightKey, type = 'inner' }) {
+        if (!TableCombiner.JOIN_TYPES[type]) throw new Error(`Unknown join type: ${type}`);
+        const li = left.headers.indexOf(leftKey);
+        const ri = right.headers.indexOf(rightKey);
+        if (li === -1) throw new Error(`"${leftKey}" isn't a column of ${left.name}`);
+        if (ri === -1) throw new Error(`"${rightKey}" isn't a column of ${right.name}`);
+
+        const rightColumns = right.headers.map((_, i) => i).filter(i => i !== ri);
+        const headers = [...left.headers];
+        for (const i of rightColumns) {
+            const name = right.headers[i];
+            headers.push(headers.includes(name) ? `${name} (${right.name})` : name);
+        }
+
+        const key = (row, i) => String(row[i] ?? '').trim();
+        const byKey = new Map();
+        right.data.forEach(row => {
+            const k = key(row, ri);
+            if (!k) return;
+            if (!byKey.has(k)) byKey.set(k, []);
+            byKey.get(k).push(row);
+        });
+
+        const leftCells = (row) => left.headers.map((_, i) => row[i] ?? '');
+        const rightCells = (row) => rightColumns.map(i => row[i] ?? '');
+        const emptyRight = rightColumns.map(() => '');
+        const matched = new Set();
+        const data = [];
+
+        for (const row of left.data) {
+            const matches = byKey.get(key(row, li)) || [];
+            for (const other of matches) {
+                matched.add(other);
+                data.push([...leftCells(row), ...rightCells(other)]);
+            }
+            if (matches.length === 0 && type !== 'inner') data.push([...leftCells(row), ...emptyRight]);
+        }
+        if (type === 'full') {
+            for (const other of right.data) {
+                if (matched.has(other)) continue;
+                const cells = left.headers.map(() => '');
+                cells[li] = other[ri] ?? '';
+                data.push([...cells, ...rightCells(other)]);
+            }
+        }
+
+        return { name: `${left.name} ⋈ ${right.name}`, headers, data };
+    }
+
+    // Best guess at which base column each of the other table's columns
+    // belongs under: the same name, ignoring case and punctuation, else ''
+    // (a new column)
+    suggestMapping(base, other) {
+        const normalize = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '');
+        const used = new Set();
+        return other.headers.map(name => {
+            const exact = base.headers.find(h => h.toLowerCase() === String(name).toLowerCase() && !used.has(h));
+            const loose = exact || base.headers.find(h => normalize(h) === normalize(name) && !used.has(h));
+            if (!loose) return '';
+            used.add(loose);
+            return loose;
+        });
+    }
+
+    // Append other's rows to base's. mapping gives, for each of other's
+    // columns, the base header it goes under, '' to add it as a new column,
+    // or null to leave it out.
+    append(base, other, mapping) {
+        const targets = mapping.filter(m => m).sort();
+        const duplicate = targets.find((m, i) => targets[i + 1] === m);
+        if (duplicate) throw new Error(`Two columns are mapped to "${duplicate}"`);
+
+        const headers = [...base.headers];
+        const positions = other.headers.map((name, i) => {
+            const target = mapping[i];
+            if (target === null || target === undefined) return -1;
+            if (target) return headers.indexOf(target);
+            let column = name;
+            for (let n = 2; headers.includes(column); n++) column = `${name} (${n})`;
+            headers.push(column);
+            return headers.length - 1;
+        });
+
+        const data = base.data.map(row => headers.map((_, i) => row[i] ?? ''));
+        for (const row of other.data) {
+            const cells = headers.map(() => '');
+            positions.forEach((p, i) => {
+                if (p !== -1) cells[p] = row[i] ?? '';
+            });
+            data.push(cells);
+        }
+
+        return { name: `${base.name} + ${other.name}`, headers, data };
+    }
+
+    // Every table's rows under one set of headers, led by a "Table" column
+    // naming the table each row came from. Tables with the same headers keep
+    // them; otherwise columns are matched by name, in the order first seen.
+    // Tables' cellTypes (see FormatParser.jsonToTable) line up the same way.
+    stack(tables) {
+        const first = tables.length > 0 ? tables[0].headers : [];
+        const allSame = tables.every(t => t.headers.length === first.length && t.headers.every((h, i) => h === first[i]));
+        const headers = allSame ? [...first] : [...new Set(tables.flatMap(t => t.headers))];
+
+        const data = [];
+        const cellTypes = tables.some(t => t.cellTypes) ? [] : null;
+        for (const table of tables) {
+            const positions = table.headers.map((h, i) => (allSame ? i : headers.indexOf(h)));
+            const align = (cells, empty) => {
+                const result = headers.map(() => empty);
+                positions.forEach((p, i) => {
+                    if (i < cells.length) result[p] = cells[i];
+                });
+                return result;
+            };
+            table.data.forEach((row, r) => {
+                data.push([table.name, ...align(row, '')]);
+                const types = table.cellTypes && table.cellTypes[r];
+                if (cellTypes) cellTypes.push(types ? [null, ...align(types, null)] : null);
+            });
+        }
+        return { headers: ['Table', ...headers], data, ...(cellTypes ? { cellTypes } : {}) };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TableCombiner };
+}
@@ -0,0 +1,121 @@
+// Format King - Table Diff
+// Compares a "before" and an "after" table by key columns and reports the
+// added, removed and changed rows. Columns are matched by header name, so
+// they may be in a different order on each side. No DOM access.
+class TableDiff {
+    static get STATUSES() {
+        return ['added', 'removed', 'changed', 'unchanged'];
+    }
+
+    // Light backgrounds for copies to Word/Excel and the HTML export
+    static get COLORS() {
+        return { added: '#E2F0D9', removed: '#FBE5D6', changed: '#FFF8E1', changedCell: '#FFD966' };
+    }
+
+    // Headers that could serve as a key: present in both tables, with a
+    // non-empty, unique value in every row
+    candidateKeys(before, after) {
+        const unique = (table, column) => {
+            const i = table.headers.indexOf(column);
+            const seen = new Set();
+            for (const row of table.data) {
+                const value = String(row[i] ?? '').trim();
+                if (!value || seen.has(value)) return false;
+                seen.add(value);
+            }
+            return true;
+        };
+        return before.headers.filter(h => after.headers.includes(h) && unique(before, h) && unique(after, h));
+    }
+
+    // Diff two { headers, data } tables. keyColumns are header names; with
+    // none, rows are paired by position. Rows sharing a key pair up in order.
+    // Returns { headers, rows, summary, addedColumns, removedColumns } where
+    // each row is { status, key, before, after, changed } with before/after
+    // the values under headers and changed the indexes of differing columns.
+    diff(before, after, keyColumns = []) {
+        const headers = [...before.headers, ...after.headers.filter(h => !before.headers.includes(h))];
+        const addedColumns = after.headers.filter(h => !before.headers.includes(h));
+        const removedColumns = before.headers.filter(h => !after.headers.includes(h));
+        const compared = headers
+            .map((h, i) => (before.headers.includes(h) && after.headers.includes(h) ? i : -1))
+            .filter(i => i !== -1);
+
+        const align = (table) => {
+            const positions = headers.map(h => table.headers.indexOf(h));
+            return table.data.map(row => positions.map(p => (p === -1 ? '' : String(row[p] ?? ''))));
+        };
+        const beforeRows = align(before);
+        const afterRows = align(after);
+
+        const keyIndexes = keyColumns.map(name => {
+            const i = headers.indexOf(name);
+            if (i === -1 || !compared.includes(i)) throw new Error(`Key column "${name}" isn't in both tables`);
+            return i;
+        });
+        const keyOf = (row, position) => (keyIndexes.length === 0
+            ? `#${position + 1}`
+            : JSON.stringify(keyIndexes.map(i => row[i].trim())));
+
+        // Queue the "before" rows by key so duplicate keys pair up in order
+        const pending = new Map();
+        beforeRows.forEach((row, position) => {
+            const key = keyOf(row, position);
+            if (!pending.has(key)) pending.set(key, []);
+            pending.get(key).push(row);
+        });
+
+        const rows = [];
+        afterRows.forEach((row, position) => {
+            const key = keyOf(row, position);
+            const match = pending.get(key);
+            const old = match && match.shift();
+            if (!old) {
+                rows.push({ status: 'added', key, before: null, after: row, changed: [] });
+                return;
+            }
+            const changed = compared.filter(i => old[i].trim() !== row[i].trim());
+            rows.push({ status: changed.length > 0 ? 'changed' : 'unchanged', key, before: old, after: row, changed });
+        });
+        for (const [key, remaining] of pending) {
+            for (const row of remaining) rows.push({ status: 'removed', key, before: row, after: null, changed: [] });
+        }
+
+        const summary = Object.fromEntries(TableDiff.STATUSES.map(s => [s, rows.filter(r => r.status === s).length]));
+        return { headers, rows, summary, addedColumns, removedColumns };
+    }
+
+    // One-line description of a diff's summary, e.g. "2 added, 1 removed, 3 changed, 10 unchanged"
+    describe(result) {
+        const parts = TableDiff.STATUSES.map(s => `${result.summary[s]} ${s}`);
+        if (result.addedColumns.length > 0) parts.push(`new columns: ${result.addedColumns.join(', ')}`);
+        if (result.removedColumns.length > 0) parts.push(`dropped columns: ${result.removedColumns.join(', ')}`);
+        return parts.join(', ');
+    }
+
+    // The diff as a table: a "Change" column, then every column, with changed
+    // cells reading "old → new". table.diff maps each row to { status, changed }
+    // (changed holds column indexes in this table) for highlighting.
+    toTable(result, name, includeUnchanged = false) {
+        const table = {
+            name,
+            headers: ['Change', ...result.headers],
+            data: [],
+            diff: { rows: new Map(), summary: result.summary }
+        };
+        for (const row of result.rows) {
+            if (row.status === 'unchanged' && !includeUnchanged) continue;
+            const values = (row.after || row.before).map((value, i) =>
+                row.changed.includes(i) ? `${row.before[i]} → ${value}` : value
+            );
+            const cells = [row.status, ...values];
+            table.data.push(cells);
+            table.diff.rows.set(cells, { status: row.status, changed: row.changed.map(i => i + 1) });
+        }
+        return table;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TableDiff };
+}
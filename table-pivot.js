@@ -0,0 +1,193 @@
+// Format King - Pivot and Unpivot
+// Summarises a table by row and column fields (a pivot table, or a plain
+// group-by when there are no column fields), and melts wide columns back
+// into name/value rows. Results are new { name, headers, data } tables of
+// strings. No DOM access.
+class TablePivot {
+    // typeInference is a ColumnTypes instance, used to read values by column type
+    constructor(typeInference) {
+        this.types = typeInference;
+    }
+
+    static get AGGREGATES() {
+        return {
+            sum: 'Sum',
+            count: 'Count',
+            avg: 'Average',
+            min: 'Min',
+            max: 'Max',
+            countDistinct: 'Count distinct'
+        };
+    }
+
+    // Pivot { headers, data } by column indexes. value is the column to
+    // aggregate, or null to count rows. columnTypes (one per header) decide
+    // how values, field order and min/max compare. Subtotals are added for
+    // every row field but the last; grand totals add a Total column (when
+    // there are column fields) and a Grand Total row.
+    pivot(table, { rows = [], columns = [], value = null, aggregate = 'sum', subtotals = false, grandTotals = true }, columnTypes) {
+        if (!TablePivot.AGGREGATES[aggregate]) throw new Error(`Unknown aggregate: ${aggregate}`);
+        if (value === null && aggregate !== 'count') throw new Error(`${TablePivot.AGGREGATES[aggregate]} needs a value field`);
+        if (rows.length === 0 && columns.length === 0) throw new Error('Pick at least one row or column field');
+        const overlap = rows.find(i => columns.includes(i));
+        if (overlap !== undefined) throw new Error(`"${table.headers[overlap]}" can't be both a row and a column field`);
+
+        const cell = (row, i) => String(row[i] ?? '').trim();
+        const label = (row, i) => cell(row, i) || '(blank)';
+        const rowKeys = this.distinctKeys(table.data, rows, columnTypes, label);
+        const columnKeys = this.distinctKeys(table.data, columns, columnTypes, label);
+
+        // Source rows by row key, then column key; totals come from the
+        // source rows too so averages and distinct counts stay right
+        const keyOf = (row, fields) => JSON.stringify(fields.map(i => label(row, i)));
+        const groups = new Map();
+        for (const row of table.data) {
+            const rk = keyOf(row, rows);
+            if (!groups.has(rk)) groups.set(rk, new Map());
+            const byColumn = groups.get(rk);
+            const ck = keyOf(row, columns);
+            if (!byColumn.has(ck)) byColumn.set(ck, []);
+            byColumn.get(ck).push(row);
+        }
+        const summarise = (sourceRows) => this.aggregate(sourceRows, value, aggregate, value === null ? null : columnTypes[value]);
+        const withTotal = grandTotals && columns.length > 0;
+        const line = (labels, sourceRowsByColumn) => {
+            const all = [...sourceRowsByColumn.values()].flat();
+            const cells = columnKeys.map(ck => summarise(sourceRowsByColumn.get(JSON.stringify(ck)) || []));
+            return [...labels, ...cells, ...(withTotal ? [summarise(all)] : [])];
+        };
+        // Source rows of several row keys merged, per column key
+        const merge = (keys) => {
+            const merged = new Map();
+            for (const rk of keys) {
+                for (const [ck, sourceRows] of groups.get(JSON.stringify(rk))) {
+                    if (!merged.has(ck)) merged.set(ck, []);
+                    const list = merged.get(ck);
+                    for (const row of sourceRows) list.push(row);
+                }
+            }
+            return merged;
+        };
+
+        const valueName = value === null ? 'rows' : table.headers[value];
+        const valueLabel = `${TablePivot.AGGREGATES[aggregate]} of ${valueName}`;
+        const headers = [
+            ...(rows.length > 0 ? rows.map(i => table.headers[i]) : ['Value']),
+            ...(columns.length > 0 ? columnKeys.map(ck => ck.join(' / ')) : [valueLabel]),
+            ...(withTotal ? ['Total'] : [])
+        ];
+
+        const data = [];
+        const rowLabels = (rk) => (rows.length > 0 ? rk : [valueLabel]);
+        // Row keys sharing a prefix are next to each other, so each level's
+        // members run from where that level's value last changed
+        const starts = rows.map(() => 0);
+        rowKeys.forEach((rk, n) => {
+            data.push(line(rowLabels(rk), groups.get(JSON.stringify(rk))));
+            if (!subtotals) return;
+            // Close every row-field level whose value changes after this row, innermost first
+            const next = rowKeys[n + 1];
+            for (let level = rows.length - 2; level >= 0; level--) {
+                if (next && next.slice(0, level + 1).every((v, i) => v === rk[i])) continue;
+                const labels = rows.map((_, i) => (i < level ? rk[i] : i === level ? `${rk[i]} Total` : ''));
+                data.push(line(labels, merge(rowKeys.slice(starts[level], n + 1))));
+                starts[level] = n + 1;
+            }
+        });
+        if (grandTotals && rows.length > 0) {
+            data.push(line(rows.map((_, i) => (i === 0 ? 'Grand Total' : '')), merge(rowKeys)));
+        }
+
+        return { name: `Pivot of ${table.name}`, headers, data };
+    }
+
+    // Distinct value combinations of fields, in each field's sort order.
+    // Labels that sort the same (1 and 1.0) are told apart before the next
+    // field, so keys with the same leading labels stay together.
+    distinctKeys(data, fields, columnTypes, label) {
+        const keys = new Map();
+        for (const row of data) {
+            const key = fields.map(i => label(row, i));
+            keys.set(JSON.stringify(key), { key, sort: fields.map(i => this.types.sortKey(row[i], columnTypes[i])) });
+        }
+        return [...keys.values()]
+            .sort((a, b) => {
+                for (let i = 0; i < fields.length; i++) {
+                    const result = this.types.compareKeys(a.sort[i], b.sort[i]);
+                    if (result !== 0) return result;
+                    if (a.key[i] !== b.key[i]) return a.key[i] < b.key[i] ? -1 : 1;
+                }
+                return 0;
+            })
+            .map(entry => entry.key);
+    }
+
+    // One aggregate as text; '' when there's nothing to aggregate. Sums and
+    // averages skip values that aren't numbers; min and max return the
+    // original text of the smallest or largest value.
+    aggregate(rows, value, aggregate, columnType) {
+        if (value === null) return rows.length > 0 ? String(rows.length) : '';
+        const cells = rows.map(row => String(row[value] ?? '').trim()).filter(v => v && !this.types.isNullToken(v));
+        switch (aggregate) {
+            case 'count':
+                return rows.length > 0 ? String(cells.length) : '';
+            case 'countDistinct':
+                return rows.length > 0 ? String(new Set(cells).size) : '';
+            case 'sum':
+            case 'avg': {
+                const numbers = cells.map(v => this.number(v, columnType)).filter(n => n !== null);
+                if (numbers.length === 0) return '';
+                const sum = numbers.reduce((total, n) => total + n, 0);
+                return this.formatNumber(aggregate === 'sum' ? sum : sum / numbers.length);
+            }
+            default: {
+                if (cells.length === 0) return '';
+                const direction = aggregate === 'min' ? 'asc' : 'desc';
+                return cells.reduce((best, v) => (
+                    this.types.compareKeys(this.types.sortKey(v, columnType), this.types.sortKey(best, columnType), direction) < 0 ? v : best
+                ));
+            }
+        }
+    }
+
+    // A cell as a number: by its column's type, else read as a plain number
+    number(value, columnType) {
+        const key = columnType ? this.types.sortKey(value, columnType) : null;
+        if (typeof key === 'number' && !['date', 'datetime', 'boolean'].includes(columnType.type)) return key;
+        const parsed = this.types.classifyNumber(value, columnType ? columnType.decimal : '.');
+        return parsed ? parsed.value : null;
+    }
+
+    formatNumber(n) {
+        return Number.isInteger(n) ? String(n) : String(Number(n.toPrecision(12)));
+    }
+
+    // Unpivot: each row becomes one row per value column, keeping the id
+    // columns and adding a column naming the melted column and one holding
+    // its value. Empty values are left out when dropEmpty is set.
+    melt(table, { idColumns = [], valueColumns, nameHeader = 'Column', valueHeader = 'Value', dropEmpty = false }) {
+        if (!valueColumns || valueColumns.length === 0) throw new Error('Pick the columns to unpivot');
+        const clash = [nameHeader, valueHeader].find(h => idColumns.some(i => table.headers[i] === h));
+        if (clash) throw new Error(`"${clash}" is already a column name`);
+        if (nameHeader === valueHeader) throw new Error('The name and value columns need different names');
+
+        const data = [];
+        for (const row of table.data) {
+            const ids = idColumns.map(i => row[i] ?? '');
+            for (const i of valueColumns) {
+                const cell = row[i] ?? '';
+                if (dropEmpty && !String(cell).trim()) continue;
+                data.push([...ids, table.headers[i], cell]);
+            }
+        }
+        return {
+            name: `Unpivot of ${table.name}`,
+            headers: [...idColumns.map(i => table.headers[i]), nameHeader, valueHeader],
+            data
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TablePivot };
+}
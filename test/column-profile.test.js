@@ -0,0 +1,57 @@
+// Format King - ColumnProfiler tests
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ColumnTypes } = require('../column-types.js');
+const { ColumnProfiler } = require('../column-profile.js');
+
+const types = new ColumnTypes();
+const profiler = new ColumnProfiler(types);
+const rows = [
+    ['$10', '2024-03-01', 'apple', '50%'],
+    ['$2.50', '2023-12-31', 'fig', '25%'],
+    ['', 'N/A', 'apple', '100%'],
+    ['$7', '2024-01-15', 'kiwi fruit', ''],
+    ['null', '2024-13-01', 'apple', '25%']
+];
+const profile = (column, type) => profiler.profile(rows, column, { type, decimal: '.', dayFirst: false });
+
+test('counts empty, null and distinct values, most frequent first', () => {
+    const result = profile(2, 'text');
+    assert.deepEqual(result, {
+        type: 'text',
+        rows: 5,
+        nonEmpty: 5,
+        empty: 0,
+        nulls: 0,
+        distinct: 3,
+        top: [{ value: 'apple', count: 3 }, { value: 'fig', count: 1 }, { value: 'kiwi fruit', count: 1 }],
+        minLength: 3,
+        maxLength: 10
+    });
+});
+
+test('numbers get a range, mean and median in their own notation', () => {
+    const result = profile(0, 'currency');
+    assert.equal(result.empty, 1);
+    assert.equal(result.nulls, 1);
+    assert.deepEqual([result.min, result.max, result.mean, result.median, result.unparsed], ['$2.50', '$10', '6.5', '7', 0]);
+    const percents = profile(3, 'percent');
+    assert.deepEqual([percents.mean, percents.median], ['50%', '37.5%']);
+});
+
+test('dates get the earliest and latest, and a count of what did not parse', () => {
+    const result = profile(1, 'date');
+    assert.deepEqual([result.earliest, result.latest, result.unparsed, result.nulls], ['2023-12-31', '2024-03-01', 1, 1]);
+});
+
+test('profiles every column of a table', () => {
+    const headers = ['price', 'day', 'fruit', 'share'];
+    const columnTypes = headers.map((_, i) => types.inferColumn(rows, i));
+    const profiles = profiler.profileTable(headers, rows, columnTypes, 1);
+    assert.deepEqual(profiles.map(p => [p.header, p.type, p.top.length]), [
+        ['price', 'currency', 1],
+        ['day', 'text', 1],
+        ['fruit', 'text', 1],
+        ['share', 'percent', 1]
+    ]);
+});
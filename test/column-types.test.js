@@ -0,0 +1,56 @@
+// Format King - ColumnTypes tests
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ColumnTypes } = require('../column-types.js');
+
+const types = new ColumnTypes();
+const typeOf = (values) => types.infer(values).type;
+
+test('infers column types from their values', () => {
+    assert.equal(typeOf(['1', '-20', '3,000']), 'integer');
+    assert.equal(typeOf(['1.5', '2', '.25']), 'decimal');
+    assert.equal(typeOf(['$1,200.00', '€3', '0']), 'currency');
+    assert.equal(typeOf(['12%', '7.5 %']), 'percent');
+    assert.equal(typeOf(['1.5 GB', '200 MB', '12 KiB']), 'size');
+    assert.equal(typeOf(['2024-01-05', '2024-12-31']), 'date');
+    assert.equal(typeOf(['2024-01-05 10:30', '2024-01-06T08:00:00Z']), 'datetime');
+    assert.equal(typeOf(['yes', 'No', 'Y']), 'boolean');
+    assert.equal(typeOf(['1', 'two']), 'text');
+    assert.equal(typeOf([]), 'text');
+});
+
+test('detects decimal commas and day-first dates', () => {
+    assert.deepEqual(types.infer(['1.234,5', '2,75']), { type: 'decimal', decimal: ',', dayFirst: false });
+    assert.equal(types.infer(['25/12/2024', '01/02/2024']).dayFirst, true);
+    assert.equal(types.infer(['12/25/2024', '01/02/2024']).dayFirst, false);
+});
+
+test('reads accounting negatives with or without a currency symbol', () => {
+    assert.deepEqual(types.classifyNumber('($5.00)'), { kind: 'currency', value: -5 });
+    assert.deepEqual(types.classifyNumber('(5.00)'), { kind: 'number', value: -5 });
+    assert.deepEqual(types.classifyNumber('(1,234)'), { kind: 'number', value: -1234 });
+    assert.equal(typeOf(['(1,234)', '56', '(7)']), 'integer');
+});
+
+test('rejects dates that do not exist', () => {
+    assert.equal(types.parseDate('2024-02-31'), null);
+    assert.equal(types.parseDate('2023-02-29'), null);
+    assert.equal(types.parseDate('31/04/2024', true), null);
+    assert.equal(types.parseDate('2024-02-29').time, Date.UTC(2024, 1, 29));
+    assert.equal(typeOf(['2024-02-31', '2024-01-15']), 'text');
+});
+
+test('parses times, 12-hour clocks and zones', () => {
+    assert.deepEqual(types.parseDate('Jan 5, 2024 3:04 PM'), { time: Date.UTC(2024, 0, 5, 15, 4), hasTime: true });
+    assert.equal(types.parseDate('2024-01-05T10:00:00+02:00').time, Date.UTC(2024, 0, 5, 8));
+    assert.equal(types.parseDate('5 March 2024').time, Date.UTC(2024, 2, 5));
+});
+
+test('sorts typed values with empty and unparseable cells last either way', () => {
+    const column = types.infer(['(1,234)', '56', '7']);
+    const values = ['56', '', '(1,234)', '7', 'oops'];
+    const sorted = [...values].sort((a, b) => types.compareKeys(types.sortKey(a, column), types.sortKey(b, column)));
+    assert.deepEqual(sorted, ['(1,234)', '7', '56', '', 'oops']);
+    const descending = [...values].sort((a, b) => types.compareKeys(types.sortKey(a, column), types.sortKey(b, column), 'desc'));
+    assert.deepEqual(descending, ['56', '7', '(1,234)', '', 'oops']);
+});
@@ -0,0 +1,53 @@
+// Format King - EditHistory tests
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EditHistory } = require('../edit-history.js');
+
+// A command that sets cell to value and puts the old value back on revert
+const setter = (cell, value) => {
+    const before = cell.value;
+    return { label: `set ${value}`, apply: () => { cell.value = value; }, revert: () => { cell.value = before; } };
+};
+
+test('undo and redo walk back and forth through the edits', () => {
+    const history = new EditHistory();
+    const cell = { value: 'a' };
+    history.execute(setter(cell, 'b'));
+    history.execute(setter(cell, 'c'));
+    assert.equal(history.nextUndo.label, 'set c');
+
+    assert.equal(history.undo().label, 'set c');
+    assert.equal(cell.value, 'b');
+    history.undo();
+    assert.equal(cell.value, 'a');
+    assert.equal(history.undo(), null);
+
+    assert.equal(history.redo().label, 'set b');
+    assert.equal(cell.value, 'b');
+    assert.equal(history.nextRedo.label, 'set c');
+});
+
+test('a new edit drops what could have been redone', () => {
+    const history = new EditHistory();
+    const cell = { value: 'a' };
+    history.execute(setter(cell, 'b'));
+    history.undo();
+    history.execute(setter(cell, 'x'));
+    assert.equal(history.nextRedo, null);
+    assert.equal(history.redo(), null);
+    assert.equal(cell.value, 'x');
+});
+
+test('keeps at most limit edits and can be cleared', () => {
+    const history = new EditHistory(2);
+    const cell = { value: 0 };
+    [1, 2, 3].forEach(n => history.execute(setter(cell, n)));
+    history.undo();
+    history.undo();
+    assert.equal(history.undo(), null);
+    assert.equal(cell.value, 1);
+
+    history.clear();
+    assert.equal(history.nextUndo, null);
+    assert.equal(history.nextRedo, null);
+});
@@ -0,0 +1,79 @@
+// Format King - TableExporter tests
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ColumnTypes } = require('../column-types.js');
+const { TableExporter } = require('../exporters.js');
+
+const types = new ColumnTypes();
+const exporter = new TableExporter(types);
+const headers = ['name', 'qty'];
+const rows = [['a|b', '1,200'], ["O'Brien\\", '']];
+const columnTypes = headers.map((_, i) => types.inferColumn(rows, i));
+
+test('Markdown escapes pipes and right-aligns numbers', () => {
+    assert.equal(exporter.export('markdown', headers, rows, { columnTypes }), [
+        '| name     |   qty |',
+        '|----------|------:|',
+        '| a\\|b     | 1,200 |',
+        "| O'Brien\\ |       |"
+    ].join('\n'));
+});
+
+test('box tables pad every column to its widest cell', () => {
+    assert.equal(exporter.export('unicode', ['id', 'city'], [['1', 'New York'], ['22', 'LA']]), [
+        '┌────┬──────────┐',
+        '│ id │ city     │',
+        '├────┼──────────┤',
+        '│ 1  │ New York │',
+        '│ 22 │ LA       │',
+        '└────┴──────────┘'
+    ].join('\n'));
+});
+
+test('SQL writes numbers bare, empty cells as NULL and quotes strings', () => {
+    assert.equal(exporter.export('sql', headers, rows, { columnTypes, tableName: 'db.items' }), [
+        'INSERT INTO "db"."items" ("name", "qty") VALUES',
+        "  ('a|b', 1200),",
+        "  ('O''Brien\\', NULL);"
+    ].join('\n'));
+});
+
+test('SQL keeps null-like text and zero-padded codes as strings', () => {
+    const table = [['NA', 'Nan', '-', '02134'], ['US', 'Bob', '', '10001']];
+    const sql = exporter.toSQLInsert(['country', 'name', 'note', 'zip'], table, {
+        columnTypes: [0, 1, 2, 3].map(i => types.inferColumn(table, i))
+    });
+    assert.equal(sql.split('\n').slice(1).join('\n'), [
+        "  ('NA', 'Nan', '-', '02134'),",
+        "  ('US', 'Bob', NULL, 10001);"
+    ].join('\n'));
+});
+
+test('SQL for MySQL also escapes backslashes', () => {
+    const sql = exporter.export('sql', headers, rows, { columnTypes, quoteStyle: 'mysql' });
+    assert.equal(sql, [
+        'INSERT INTO `my_table` (`name`, `qty`) VALUES',
+        "  ('a|b', 1200),",
+        "  ('O''Brien\\\\', NULL);"
+    ].join('\n'));
+});
+
+test('SQL splits rows into batches', () => {
+    const sql = exporter.toSQLInsert(['n'], [['1'], ['2'], ['3']], { batchSize: 2 });
+    assert.equal(sql.match(/INSERT INTO/g).length, 2);
+    assert.equal(exporter.toSQLInsert(['n'], []), '-- No rows to insert into "my_table"');
+});
+
+test('LaTeX and HTML escape their special characters', () => {
+    assert.match(exporter.export('latex', ['a_b'], [['50% & $5']]), /\\textbf\{a\\_b\} \\\\\n\\hline\n50\\% \\& \\\$5 \\\\/);
+    const html = exporter.export('html', ['<b>'], [['x\ny']], { tableName: 'A & B' });
+    assert.match(html, /<title>A &amp; B<\/title>/);
+    assert.match(html, /<th>&lt;b&gt;<\/th>/);
+    assert.match(html, /<td>x<br>y<\/td>/);
+});
+
+test('copy targets escape for where they are pasted', () => {
+    assert.equal(exporter.copyText('tsv', ['a', 'b'], [['x\ty', 'say "hi"']]), 'a\tb\n"x\ty"\t"say ""hi"""');
+    assert.equal(exporter.copyText('jira', ['a'], [['*bold*'], ['']]), '||a||\n|\\*bold\\*|\n| |');
+    assert.throws(() => exporter.copyText('fax', headers, rows), /Unknown copy target/);
+});
@@ -0,0 +1,72 @@
+// Format King - RowFilter tests
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ColumnTypes } = require('../column-types.js');
+const { RowFilter } = require('../filters.js');
+
+const types = new ColumnTypes();
+const filter = new RowFilter(types);
+const headers = ['name', 'order id', 'amount', 'placed'];
+const rows = [
+    ['Alice', '1', '$1,200.00', '2024-01-05'],
+    ['Bob', '2', '$80.00', '2024-03-10'],
+    ['Carol Ann', '3', '', '2023-12-24'],
+    ['dave', '10', '$15.50', 'n/a']
+];
+const columnTypes = headers.map((_, i) => types.inferColumn(rows, i));
+
+// Names of the rows a search query keeps
+const search = (query) => {
+    const match = filter.createMatcher(filter.parseQuery(query, headers), columnTypes);
+    return rows.filter(row => match(row)).map(row => row[0]);
+};
+
+test('parses query terms', () => {
+    assert.deepEqual(filter.parseQuery('bob "order id">=2 -name:/^c/i 10:30', headers), [
+        { column: null, op: 'contains', value: 'bob', negate: false },
+        { column: 1, op: 'gte', value: '2', negate: false },
+        { column: 0, op: 'regex', value: '^c', flags: 'i', negate: true },
+        { column: null, op: 'contains', value: '10:30', negate: false }
+    ]);
+});
+
+test('free text matches any cell, case-insensitively', () => {
+    assert.deepEqual(search('AL'), ['Alice']);
+    assert.deepEqual(search('"carol ann"'), ['Carol Ann']);
+});
+
+test('column terms compare by the column type', () => {
+    assert.deepEqual(search('amount>100'), ['Alice']);
+    assert.deepEqual(search('amount<=$80'), ['Bob', 'dave']);
+    assert.deepEqual(search('"order id">2'), ['Carol Ann', 'dave']);
+    assert.deepEqual(search('placed<2024-02-01'), ['Alice', 'Carol Ann']);
+    assert.deepEqual(search('amount=80'), ['Bob']);
+});
+
+test('empty checks, regexes and negation', () => {
+    assert.deepEqual(search('amount=""'), ['Carol Ann']);
+    assert.deepEqual(search('-placed=""'), ['Alice', 'Bob', 'Carol Ann']);
+    assert.deepEqual(search('name:/^[a-c]/'), ['Alice', 'Bob', 'Carol Ann']);
+    assert.deepEqual(search('name!=bob amount:$'), ['Alice', 'dave']);
+});
+
+test('per-column filters become terms', () => {
+    assert.equal(filter.columnFilterTerm(2, { op: 'range', min: ' ', max: '' }), null);
+    assert.equal(filter.columnFilterTerm(0, { op: 'regex', value: '(' }), null);
+    const term = filter.columnFilterTerm(2, { op: 'range', min: '10', max: '100' });
+    const match = filter.createMatcher([term], columnTypes);
+    assert.deepEqual(rows.filter(row => match(row)).map(row => row[0]), ['Bob', 'dave']);
+});
+
+test('matches report the cells to highlight', () => {
+    const match = filter.createMatcher(filter.parseQuery('ali amount>0', headers), columnTypes);
+    const highlights = match(rows[0]);
+    assert.deepEqual([...highlights.keys()], [0, 2]);
+    assert.equal(match(rows[1]), null);
+});
+
+test('offers operators that suit the column type', () => {
+    assert.equal(filter.operatorsFor('currency')[0], 'range');
+    assert.ok(filter.operatorsFor('text').includes('regex'));
+    assert.ok(!filter.operatorsFor('date').includes('regex'));
+});
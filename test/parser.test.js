@@ -0,0 +1,480 @@
+// Format King - FormatParser tests
+// Run with: node --test
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FormatParser } = require('../parser.js');
+
+const parser = new FormatParser();
+
+// The parts of a parse result worth comparing: format id and plain tables
+const parsed = (text, options) => {
+    const result = parser.parse(text, options);
+    return {
+        format: result.format,
+        tables: result.tables.map(({ name, headers, data }) => ({ name, headers, data }))
+    };
+};
+
+test('detects a SQL box table', () => {
+    const text = [
+        '+----+-------+',
+        '| id | name  |',
+        '+----+-------+',
+        '| 1  | Alice |',
+        '| 2  | Bob   |',
+        '+----+-------+'
+    ].join('\n');
+    assert.deepEqual(parsed(text), {
+        format: 'databricks',
+        tables: [{ name: 'Table 1', headers: ['id', 'name'], data: [['1', 'Alice'], ['2', 'Bob']] }]
+    });
+});
+
+test('detects a Markdown table', () => {
+    const text = '| id | name |\n|----|------|\n| 1 | Alice |\n| 2 | Bob |';
+    assert.deepEqual(parsed(text), {
+        format: 'markdown',
+        tables: [{ name: 'Table 1', headers: ['id', 'name'], data: [['1', 'Alice'], ['2', 'Bob']] }]
+    });
+});
+
+test('detects a JSON array of objects', () => {
+    const { format, tables } = parsed('[{"id":1,"name":"Alice"},{"id":2,"name":"Bob"}]');
+    assert.equal(format, 'json');
+    assert.deepEqual(tables[0].headers, ['id', 'name']);
+    assert.deepEqual(tables[0].data, [['1', 'Alice'], ['2', 'Bob']]);
+});
+
+test('detects a fixed-width table', () => {
+    const { format, tables } = parsed('id  name   city\n1   Alice  NYC\n2   Bob    LA');
+    assert.equal(format, 'fixed-width');
+    assert.deepEqual(tables[0].headers, ['id', 'name', 'city']);
+    assert.deepEqual(tables[0].data, [['1', 'Alice', 'NYC'], ['2', 'Bob', 'LA']]);
+});
+
+test('detects delimited text and its delimiter', () => {
+    for (const delimiter of [',', '\t', ';', '|']) {
+        const text = ['id', 'name'].join(delimiter) + '\n' + ['1', 'Alice'].join(delimiter);
+        assert.equal(parser.detectDelimiter(text), delimiter);
+        assert.deepEqual(parsed(text).tables[0].data, [['1', 'Alice']]);
+    }
+});
+
+test('keeps quoted delimiters inside CSV fields', () => {
+    const { tables } = parsed('id,name\n1,Alice\n2,"Bob, Jr."');
+    assert.deepEqual(tables[0].data, [['1', 'Alice'], ['2', 'Bob, Jr.']]);
+});
+
+test('streamed CSV gives the same rows however the text is split into chunks', () => {
+    const text = 'id,note\r\n1,"say ""hi"", then\r\nbye"\r\n2,""\r\n3,"x"';
+    const expected = parser.parseCSV(text, ',');
+    assert.deepEqual(expected, [['id', 'note'], ['1', 'say "hi", then\r\nbye'], ['2', ''], ['3', 'x']]);
+    const streamed = (chunks) => {
+        const stream = parser.createCSVStream(',');
+        const rows = chunks.flatMap(chunk => stream.push(chunk));
+        return [...rows, ...stream.end()];
+    };
+    for (let a = 0; a <= text.length; a++) {
+        for (let b = a; b <= text.length; b++) {
+            const chunks = [text.slice(0, a), text.slice(a, b), text.slice(b)];
+            assert.deepEqual(streamed(chunks), expected, `split at ${a} and ${b}`);
+        }
+    }
+    assert.deepEqual(streamed([...text]), expected);
+});
+
+test('firstRowHeader: false names the columns instead', () => {
+    const { tables } = parsed('id,name\n1,Alice', { firstRowHeader: false });
+    assert.deepEqual(tables[0].headers, ['Column 1', 'Column 2']);
+    assert.deepEqual(tables[0].data, [['id', 'name'], ['1', 'Alice']]);
+});
+
+test('file extensions pick the format, and .tsv the delimiter', () => {
+    assert.deepEqual(
+        ['a.csv', 'b.TSV', 'c.json', 'd.ndjson', 'e.jsonl', 'f.md', 'g.markdown', 'h.txt', 'noext'].map(name => parser.formatForFileName(name)),
+        [
+            { format: 'csv' }, { format: 'csv', delimiter: '\t' }, { format: 'json' }, { format: 'ndjson' }, { format: 'ndjson' },
+            { format: 'markdown' }, { format: 'markdown' }, null, null
+        ]
+    );
+    // Detection alone splits this one-column file on the commas
+    const text = 'note\na, b\nc, d';
+    assert.deepEqual(parser.parse(text, { delimiter: 'auto' }).tables[0].data, [['a', 'b'], ['c', 'd']]);
+    const result = parser.parseFile('notes.tsv', text, { delimiter: 'auto' });
+    assert.equal(result.format, 'csv');
+    assert.deepEqual(result.tables[0].data, [['a, b'], ['c, d']]);
+});
+
+test('files whose content doesn\'t match the extension are detected instead', () => {
+    assert.equal(parser.parseFile('data.json', 'id,name\n1,Alice').format, 'csv');
+    assert.equal(parser.parseFile('table.md', '[{"id":1}]').format, 'json');
+    assert.equal(parser.parseFile('export.txt', '| id | name |\n|----|------|\n| 1 | Alice |').format, 'markdown');
+});
+
+test('candidates are ordered by confidence, best first', () => {
+    const { candidates } = parser.parse('| id | name |\n|----|------|\n| 1 | Alice |');
+    const scores = candidates.map(c => c.confidence);
+    assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+    // Markdown pipes also split as delimited text, but less convincingly
+    const markdown = candidates.find(c => c.id === 'markdown');
+    const csv = candidates.find(c => c.id === 'csv');
+    assert.equal(candidates[0], markdown);
+    assert.ok(csv.confidence > 0 && csv.confidence < markdown.confidence);
+});
+
+test('empty input yields no tables', () => {
+    assert.deepEqual(parser.parse('  \n '), { format: null, label: null, confidence: 0, tables: [], candidates: [] });
+});
+
+test('a registered format takes part in detection', () => {
+    const custom = new FormatParser();
+    custom.registerFormat({
+        id: 'kv',
+        label: 'key: value',
+        detect: (text) => (text.split('\n').every(line => /^\w+: /.test(line)) ? 1 : 0),
+        parse: (text) => [custom.rowsToTable([['key', 'value'], ...text.split('\n').map(line => line.split(': '))])]
+    });
+    const result = custom.parse('id: 1\nname: Alice');
+    assert.equal(result.format, 'kv');
+    assert.deepEqual(result.tables[0].data, [['id', '1'], ['name', 'Alice']]);
+});
+
+test('registering an id again replaces the format', () => {
+    const custom = new FormatParser();
+    const count = custom.formats.length;
+    custom.registerFormat({ id: 'csv', label: 'Replaced', detect: () => 0, parse: () => [] });
+    assert.equal(custom.formats.length, count);
+    assert.equal(custom.getFormat('csv').label, 'Replaced');
+});
+
+test('formats registered earlier win ties', () => {
+    const custom = new FormatParser();
+    const table = (name) => () => [{ name, headers: ['a'], data: [['1']] }];
+    custom.registerFormat({ id: 'first', label: 'First', detect: () => 1, parse: table('first') });
+    custom.registerFormat({ id: 'second', label: 'Second', detect: () => 1, parse: table('second') });
+    assert.equal(custom.parse('anything').format, 'first');
+});
+
+test('a format that finds no tables gives way to the next candidate', () => {
+    const custom = new FormatParser();
+    custom.registerFormat({ id: 'greedy', label: 'Greedy', detect: () => 1, parse: () => [] });
+    assert.equal(custom.parse('id,name\n1,Alice').format, 'csv');
+});
+
+test('the format option forces a format regardless of its score', () => {
+    const result = parser.parse('| id | name |\n|----|------|\n| 1 | Alice |', { format: 'csv', delimiter: '|' });
+    assert.equal(result.format, 'csv');
+    assert.ok(result.confidence < result.candidates[0].confidence);
+    assert.throws(() => parser.parse('a,b', { format: 'nope' }), /Unknown format: nope/);
+});
+
+test('reads JSON Lines, with each cell\'s JSON type', () => {
+    const result = parser.parse('{"id":1,"name":"Alice"}\n{"id":2,"ok":true,"name":null}');
+    assert.equal(result.format, 'ndjson');
+    const [table] = result.tables;
+    assert.deepEqual(table.headers, ['id', 'name', 'ok']);
+    assert.deepEqual(table.data, [['1', 'Alice', ''], ['2', '', 'true']]);
+    assert.deepEqual(table.cellTypes, [['number', 'string', 'absent'], ['number', 'null', 'boolean']]);
+});
+
+test('finds the tables inside a JSON document and reads the one picked by path', () => {
+    const value = { meta: { total: 2 }, data: { items: [{ id: 1 }, { id: 2 }] }, 'odd key': ['a', 'b', 'c'] };
+    assert.deepEqual(parser.jsonTablePaths(value), [
+        { path: '$.data.items', rows: 2, kind: 'array' },
+        { path: '$["odd key"]', rows: 3, kind: 'array' },
+        { path: '$', rows: 1, kind: 'record' }
+    ]);
+    const text = JSON.stringify(value);
+    // The most rows wins unless a path is given
+    assert.deepEqual(parsed(text).tables, [{ name: 'odd key', headers: ['value'], data: [['a'], ['b'], ['c']] }]);
+    assert.deepEqual(parsed(text, { jsonPath: 'data.items' }).tables, [{ name: 'items', headers: ['id'], data: [['1'], ['2']] }]);
+    assert.throws(() => parser.parseJSON(text, { jsonPath: '$.nope' }), /Nothing at \$\.nope/);
+});
+
+test('flattens nested JSON objects into dot-path columns', () => {
+    const text = '[{"id":1,"user":{"name":"Alice","address":{"city":"Oslo"}}}]';
+    const table = parser.parseJSON(text);
+    assert.deepEqual(table.headers, ['id', 'user.name', 'user.address.city']);
+    assert.deepEqual(table.data, [['1', 'Alice', 'Oslo']]);
+    const nested = parser.parseJSON(text, { flattenJSON: false });
+    assert.deepEqual(nested.data, [['1', '{"name":"Alice","address":{"city":"Oslo"}}']]);
+    assert.deepEqual(nested.cellTypes, [['number', 'object']]);
+});
+
+test('expands nested JSON arrays into one row per item when asked', () => {
+    const text = '[{"id":1,"tags":["a","b"]},{"id":2,"tags":[]}]';
+    assert.deepEqual(parser.parseJSON(text).data, [['1', '["a","b"]'], ['2', '[]']]);
+    const table = parser.parseJSON(text, { explodeArrays: true });
+    assert.deepEqual(table.data, [['1', 'a'], ['1', 'b'], ['2', '[]']]);
+    assert.deepEqual(table.cellTypes[2], ['number', 'array']);
+});
+
+test('turns JSON objects keyed by ID into rows', () => {
+    const table = parser.parseJSON('{"u1":{"name":"Alice"},"u2":{"name":"Bob","age":30}}');
+    assert.deepEqual(table.headers, ['key', 'name', 'age']);
+    assert.deepEqual(table.data, [['u1', 'Alice', ''], ['u2', 'Bob', '30']]);
+    assert.deepEqual(table.cellTypes[1], ['string', 'string', 'number']);
+    // A record with its own "key" field keeps it
+    assert.deepEqual(parser.parseJSON('{"a":{"key":1},"b":{"key":2}}').headers, ['(key)', 'key']);
+});
+
+test('reads JSON arrays of arrays with a header row', () => {
+    const table = parser.parseJSON('[["id","ok"],[1,false],[2]]');
+    assert.deepEqual(table.headers, ['id', 'ok']);
+    assert.deepEqual(table.data, [['1', 'false'], ['2', '']]);
+    assert.deepEqual(table.cellTypes, [['number', 'boolean'], ['number', 'absent']]);
+});
+
+// HTML table rows the way the page reads them from the DOM
+const htmlRow = (cells, header = false) => ({
+    header,
+    cells: cells.map(cell => (typeof cell === 'string' ? { text: cell } : cell))
+});
+
+test('HTML tables take their header from <thead> rows and join stacked headers', () => {
+    const rows = [
+        htmlRow(['Region', { text: 'Q1', colspan: 2 }], true),
+        htmlRow(['', 'Jan', 'Feb'], true),
+        htmlRow(['North', '1', '2'])
+    ];
+    assert.deepEqual(parser.cellGridToTable(rows), {
+        name: 'Table 1',
+        headers: ['Region', 'Q1 / Jan', 'Q1 / Feb'],
+        data: [['North', '1', '2']]
+    });
+    // Without <thead> the first row is the header, or none at all
+    const plain = [htmlRow(['a', 'b']), htmlRow(['1', '2'])];
+    assert.deepEqual(parser.cellGridToTable(plain).headers, ['a', 'b']);
+    assert.deepEqual(parser.cellGridToTable(plain, false).headers, ['Column 1', 'Column 2']);
+});
+
+test('HTML tables repeat merged cells across the rows and columns they cover', () => {
+    const rows = [
+        htmlRow(['Group', 'Name', { text: 'Note', colspan: 2 }]),
+        htmlRow([{ text: 'A', rowspan: 2 }, 'x', { text: 'both', colspan: 2, rowspan: 2 }]),
+        htmlRow(['y']),
+        htmlRow(['B', 'z', '-'])
+    ];
+    const table = parser.cellGridToTable(rows);
+    assert.deepEqual(table.headers, ['Group', 'Name', 'Note', 'Note']);
+    assert.deepEqual(table.data, [
+        ['A', 'x', 'both', 'both'],
+        ['A', 'y', 'both', 'both'],
+        ['B', 'z', '-', '']
+    ]);
+});
+
+test('HTML rowspan="0" spans the rest of the table', () => {
+    const rows = [
+        htmlRow(['Group', 'Name']),
+        htmlRow([{ text: 'A', rowspan: 0 }, 'x']),
+        htmlRow(['y']),
+        htmlRow(['z'])
+    ];
+    assert.deepEqual(parser.cellGridToTable(rows).data, [['A', 'x'], ['A', 'y'], ['A', 'z']]);
+});
+
+test('reads psql expanded output, joining wrapped values', () => {
+    const text = [
+        '-[ RECORD 1 ]-----',
+        'id   | 1',
+        'name | Alice',
+        'note | line one+',
+        '     | line two',
+        '-[ RECORD 2 ]-----',
+        'id   | 2',
+        'name | Bob',
+        'note | ',
+        '',
+        '(2 rows)'
+    ].join('\n');
+    assert.deepEqual(parsed(text), {
+        format: 'vertical',
+        tables: [{ name: 'Table 1', headers: ['id', 'name', 'note'], data: [['1', 'Alice', 'line one\nline two'], ['2', 'Bob', '']] }]
+    });
+});
+
+test('reads psql expanded output with border 2', () => {
+    const text = [
+        '+-[ RECORD 1 ]-+-------+',
+        '| id           | 1     |',
+        '| name         | Alice |',
+        '+-[ RECORD 2 ]-+-------+',
+        '| id           | 2     |',
+        '| name         | Bob   |',
+        '+--------------+-------+'
+    ].join('\n');
+    assert.deepEqual(parsed(text), {
+        format: 'vertical',
+        tables: [{ name: 'Table 1', headers: ['id', 'name'], data: [['1', 'Alice'], ['2', 'Bob']] }]
+    });
+});
+
+test('reads MySQL \\G output, leaving fields a record lacks empty', () => {
+    const text = [
+        '*************************** 1. row ***************************',
+        '    id: 1',
+        '  name: Alice',
+        '*************************** 2. row ***************************',
+        '    id: 2',
+        '  city: Oslo',
+        '  name: Bob',
+        '2 rows in set (0.00 sec)'
+    ].join('\n');
+    assert.deepEqual(parsed(text), {
+        format: 'vertical',
+        tables: [{ name: 'Table 1', headers: ['id', 'name', 'city'], data: [['1', 'Alice', ''], ['2', 'Bob', 'Oslo']] }]
+    });
+});
+
+test('reads Spark vertical output, starting a new table when records renumber', () => {
+    const text = [
+        '-RECORD 0-----------',
+        ' id   | 1',
+        ' name | Alice',
+        '-RECORD 1-----------',
+        ' id   | 2',
+        ' name | Bob',
+        'only showing top 2 rows',
+        '-RECORD 0-----------',
+        ' total | 2'
+    ].join('\n');
+    assert.deepEqual(parsed(text).tables, [
+        { name: 'Table 1', headers: ['id', 'name'], data: [['1', 'Alice'], ['2', 'Bob']] },
+        { name: 'Table 2', headers: ['total'], data: [['2']] }
+    ]);
+});
+
+test('reads pandas printouts, dropping a plain 0, 1, 2 index', () => {
+    const text = '    name  age\n0  Alice   30\n1    Bob   25';
+    assert.deepEqual(parsed(text), {
+        format: 'dataframe',
+        tables: [{ name: 'DataFrame', headers: ['name', 'age'], data: [['Alice', '30'], ['Bob', '25']] }]
+    });
+    assert.deepEqual(parsed(text, { dataFrameIndex: 'keep' }).tables[0].headers, ['index', 'name', 'age']);
+    // An index of labels carries data, so it stays
+    assert.deepEqual(parsed('    name  age\na  Alice   30\nb    Bob   25').tables[0].data, [['a', 'Alice', '30'], ['b', 'Bob', '25']]);
+});
+
+test('reads pandas MultiIndex headers and a named, sparse index', () => {
+    const text = [
+        '        sales    ',
+        '           q1  q2',
+        'region           ',
+        'north       1   2',
+        '            3   4',
+        'south       5   6'
+    ].join('\n');
+    assert.deepEqual(parsed(text).tables, [{
+        name: 'DataFrame',
+        headers: ['region', 'sales / q1', 'sales / q2'],
+        data: [['north', '1', '2'], ['north', '3', '4'], ['south', '5', '6']]
+    }]);
+});
+
+test('warns when a pandas printout was truncated', () => {
+    const text = [
+        '      a  ...    z',
+        '0     1  ...   26',
+        '1     2  ...   27',
+        '..   ..  ...  ...',
+        '98   99  ...  124',
+        '99  100  ...  125',
+        '',
+        '[100 rows x 26 columns]'
+    ].join('\n');
+    const [table] = parser.parse(text).tables;
+    assert.deepEqual(table.headers, ['a', 'z']);
+    assert.deepEqual(table.data, [['1', '26'], ['2', '27'], ['99', '124'], ['100', '125']]);
+    assert.deepEqual(table.warnings, ['Truncated printout: only 4 of 100 rows and 2 of 26 columns are shown. The rest was left out where it shows ... or …']);
+});
+
+test('reads Polars printouts with their dtypes as type hints', () => {
+    const text = [
+        'shape: (2, 4)',
+        '┌─────┬───────┬────────────┬──────┐',
+        '│ id  ┆ name  ┆ joined     ┆ tags │',
+        '│ --- ┆ ---   ┆ ---        ┆ ---  │',
+        '│ i64 ┆ str   ┆ date       ┆ list │',
+        '╞═════╪═══════╪════════════╪══════╡',
+        '│ 1   ┆ "Ann" ┆ 2024-01-05 ┆ [1]  │',
+        '│ 2   ┆ "Bob" ┆ 2024-02-29 ┆ []   │',
+        '└─────┴───────┴────────────┴──────┘'
+    ].join('\n');
+    const result = parser.parse(text);
+    assert.equal(result.format, 'dataframe');
+    const [table] = result.tables;
+    assert.deepEqual(table.headers, ['id', 'name', 'joined', 'tags']);
+    assert.deepEqual(table.data, [['1', 'Ann', '2024-01-05', '[1]'], ['2', 'Bob', '2024-02-29', '[]']]);
+    assert.deepEqual(table.typeHints, ['integer', 'text', 'date', null]);
+});
+
+test('warns when a Polars printout was truncated', () => {
+    const text = [
+        'shape: (100, 2)',
+        '┌─────┬─────┐',
+        '│ id  ┆ x   │',
+        '│ --- ┆ --- │',
+        '│ i64 ┆ f64 │',
+        '╞═════╪═════╡',
+        '│ 1   ┆ 0.5 │',
+        '│ …   ┆ …   │',
+        '│ 100 ┆ 1.5 │',
+        '└─────┴─────┘'
+    ].join('\n');
+    const [table] = parser.parse(text).tables;
+    assert.deepEqual(table.data, [['1', '0.5'], ['100', '1.5']]);
+    assert.deepEqual(table.warnings, ['Truncated printout: only 2 of 100 rows are shown. The rest was left out where it shows ... or …']);
+});
+
+test('reads logfmt lines, unquoting values and keeping bare words and odd lines', () => {
+    const text = [
+        'ts=2024-01-05T10:00:00Z level=info msg="user logged in" user=alice',
+        'ts=2024-01-05T10:00:01Z level=warn msg="say \\"hi\\"" retry=3',
+        'INFO started worker=7 queue=mail',
+        'plain text line'
+    ].join('\n');
+    const result = parser.parse(text);
+    assert.equal(result.format, 'logfmt');
+    assert.deepEqual(result.tables[0].headers, ['ts', 'level', 'msg', 'user', 'retry', '(text)', 'worker', 'queue', '(line)']);
+    assert.deepEqual(result.tables[0].data, [
+        ['2024-01-05T10:00:00Z', 'info', 'user logged in', 'alice', '', '', '', '', ''],
+        ['2024-01-05T10:00:01Z', 'warn', 'say "hi"', '', '3', '', '', '', ''],
+        ['', '', '', '', '', 'INFO started', '7', 'mail', ''],
+        ['', '', '', '', '', '', '', '', 'plain text line']
+    ]);
+});
+
+test('reads Combined and Common access log lines', () => {
+    const text = [
+        '127.0.0.1 - frank [10/Oct/2000:13:55:36 -0700] "GET /a.gif HTTP/1.0" 200 2326 "http://x.com/" "Mozilla/5.0"',
+        '10.0.0.2 - - [11/Oct/2000:01:02:03 +0000] "POST /login HTTP/1.1" 302 -'
+    ].join('\n');
+    const result = parser.parse(text);
+    assert.equal(result.format, 'access-log');
+    assert.deepEqual(result.tables[0].headers, ['host', 'ident', 'user', 'time', 'method', 'path', 'protocol', 'status', 'bytes', 'referer', 'user_agent']);
+    assert.deepEqual(result.tables[0].data, [
+        ['127.0.0.1', '', 'frank', '2000-10-10 13:55:36 -0700', 'GET', '/a.gif', 'HTTP/1.0', '200', '2326', 'http://x.com/', 'Mozilla/5.0'],
+        ['10.0.0.2', '', '', '2000-10-11 01:02:03 +0000', 'POST', '/login', 'HTTP/1.1', '302', '', '', '']
+    ]);
+});
+
+test('reads log lines with a custom pattern, keeping lines it misses whole', () => {
+    const text = '[INFO] 10:00 started\n[WARN] 10:05 disk low\n  at line 3';
+    const logPattern = '^\\[(?<level>\\w+)\\] (?<time>\\S+) (?<message>.*)$';
+    const result = parser.parse(text, { logPattern });
+    assert.equal(result.format, 'log-pattern');
+    assert.deepEqual(result.tables[0].headers, ['level', 'time', 'message', '(line)']);
+    assert.deepEqual(result.tables[0].data, [
+        ['INFO', '10:00', 'started', ''],
+        ['WARN', '10:05', 'disk low', ''],
+        ['', '', '', 'at line 3']
+    ]);
+});
+
+test('rejects custom patterns that are invalid or have no named groups', () => {
+    assert.throws(() => parser.parse('a b', { format: 'log-pattern', logPattern: '(?<x>' }), /^Error: Invalid pattern: /);
+    assert.throws(() => parser.parse('a b', { format: 'log-pattern', logPattern: '(\\w+)' }), /needs named groups/);
+    // Detection skips a bad pattern instead of failing
+    assert.equal(parser.parse('id,name\n1,Alice', { logPattern: '(' }).format, 'csv');
+});
@@ -0,0 +1,58 @@
+// Format King - QueryEngine tests
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ColumnTypes } = require('../column-types.js');
+const { QueryEngine, QueryError } = require('../query-engine.js');
+
+const engine = new QueryEngine(new ColumnTypes());
+const orders = {
+    name: 'Order Lines',
+    headers: ['id', 'customer', 'amount', 'placed'],
+    data: [
+        ['1', 'Alice', '$10.50', '2024-01-05'],
+        ['2', 'Bob', '$200', '2024-02-01'],
+        ['3', 'Alice', '$4', '2024-03-10'],
+        ['4', 'Carol', '', '2024-03-11']
+    ]
+};
+const customers = { name: 'customers', headers: ['name', 'city'], data: [['Alice', 'NYC'], ['Bob', 'LA'], ['Dave', 'SF']] };
+const run = (sql) => engine.run(sql, [orders, customers]);
+
+test('groups and aggregates typed values', () => {
+    assert.deepEqual(run('SELECT customer, SUM(amount) AS total, COUNT(*) AS n FROM Order_Lines GROUP BY customer ORDER BY total DESC'), {
+        headers: ['customer', 'total', 'n'],
+        data: [['Bob', '200', '1'], ['Alice', '14.5', '2'], ['Carol', '', '1']]
+    });
+});
+
+test('joins tables by quoted or underscored name', () => {
+    const sql = 'SELECT o.id, c.city FROM "Order Lines" o LEFT JOIN customers c ON c.name = o.customer WHERE o.amount > 5 OR o.amount IS NULL ORDER BY o.id';
+    assert.deepEqual(run(sql), { headers: ['id', 'city'], data: [['1', 'NYC'], ['2', 'LA'], ['4', '']] });
+});
+
+test('compares dates, matches LIKE case-insensitively and calls functions', () => {
+    const sql = "SELECT UPPER(customer) AS who, amount * 2 AS twice FROM Order_Lines WHERE placed BETWEEN '2024-02-01' AND '2024-03-10' AND customer LIKE 'a%'";
+    assert.deepEqual(run(sql), { headers: ['who', 'twice'], data: [['ALICE', '8']] });
+});
+
+test('DISTINCT, LIMIT and OFFSET', () => {
+    assert.deepEqual(run('SELECT DISTINCT customer FROM Order_Lines ORDER BY customer LIMIT 2 OFFSET 1'), {
+        headers: ['customer'],
+        data: [['Bob'], ['Carol']]
+    });
+});
+
+test('errors point at the part of the query they refer to', () => {
+    const error = (sql) => {
+        try {
+            run(sql);
+        } catch (err) {
+            assert.ok(err instanceof QueryError);
+            return [err.message, err.position];
+        }
+        assert.fail(`no error for ${sql}`);
+    };
+    assert.deepEqual(error('SELECT nme FROM customers'), ['Unknown column "nme" (columns: name, city)', 7]);
+    assert.deepEqual(error('SELECT * FROM nowhere'), ['Unknown table "nowhere" (tables: Order_Lines, customers)', 14]);
+    assert.deepEqual(error('SELECT name FROM customers WHERE'), ['Expected a value, column or expression, found the end of the query', 32]);
+});
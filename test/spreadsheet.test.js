@@ -0,0 +1,51 @@
+// Format King - SpreadsheetReader tests
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('../vendor/xlsx.full.min.js');
+const { SpreadsheetReader } = require('../spreadsheet.js');
+
+// Workbook bytes with one sheet per { name: rows } entry
+const workbook = (sheets, merges = {}) => {
+    const book = XLSX.utils.book_new();
+    for (const [name, rows] of Object.entries(sheets)) {
+        const sheet = XLSX.utils.aoa_to_sheet(rows);
+        if (merges[name]) sheet['!merges'] = merges[name].map(range => XLSX.utils.decode_range(range));
+        XLSX.utils.book_append_sheet(book, sheet, name);
+    }
+    return XLSX.write(book, { type: 'array', bookType: 'xlsx' });
+};
+
+test('recognises spreadsheet file names', () => {
+    assert.ok(SpreadsheetReader.isSpreadsheet('Report.XLSX'));
+    assert.ok(SpreadsheetReader.isSpreadsheet('budget.ods'));
+    assert.ok(!SpreadsheetReader.isSpreadsheet('data.csv'));
+});
+
+test('reads one table per non-empty worksheet', () => {
+    const bytes = workbook({
+        People: [['id', 'name'], [1, 'Alice'], [2, 'Bob']],
+        Empty: [],
+        Cities: [['city'], ['NYC']]
+    });
+    const tables = new SpreadsheetReader(XLSX).read(bytes);
+    assert.deepEqual(tables, [
+        { name: 'People', headers: ['id', 'name'], data: [['1', 'Alice'], ['2', 'Bob']] },
+        { name: 'Cities', headers: ['city'], data: [['NYC']] }
+    ]);
+});
+
+test('joins merged header rows into one name per column', () => {
+    const bytes = workbook(
+        { Sales: [['Region', 'Q1', ''], ['', 'Jan', 'Feb'], ['North', 10, 20]] },
+        { Sales: ['A1:A2', 'B1:C1'] }
+    );
+    const [table] = new SpreadsheetReader(XLSX).read(bytes);
+    assert.deepEqual(table.headers, ['Region', 'Q1 / Jan', 'Q1 / Feb']);
+    assert.deepEqual(table.data, [['North', '10', '20']]);
+});
+
+test('says so when SheetJS is not loaded', () => {
+    const reader = new SpreadsheetReader();
+    assert.equal(reader.isAvailable(), false);
+    assert.throws(() => reader.read(new ArrayBuffer(0)), /not loaded/);
+});
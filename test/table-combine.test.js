@@ -0,0 +1,66 @@
+// Format King - TableCombiner tests
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TableCombiner } = require('../table-combine.js');
+
+const combiner = new TableCombiner();
+const people = { name: 'people', headers: ['id', 'name'], data: [['1', 'Alice'], ['2', 'Bob'], ['3', 'Carol']] };
+const orders = { name: 'orders', headers: ['person', 'total', 'name'], data: [['1', '10', 'pen'], ['1', '5', 'ink'], ['4', '7', 'pad'], ['', '1', 'x']] };
+
+test('inner, left and full joins on a key column', () => {
+    const join = (type) => combiner.join(people, orders, { leftKey: 'id', rightKey: 'person', type });
+    const inner = join('inner');
+    assert.equal(inner.name, 'people ⋈ orders');
+    assert.deepEqual(inner.headers, ['id', 'name', 'total', 'name (orders)']);
+    assert.deepEqual(inner.data, [['1', 'Alice', '10', 'pen'], ['1', 'Alice', '5', 'ink']]);
+    assert.deepEqual(join('left').data.slice(2), [['2', 'Bob', '', ''], ['3', 'Carol', '', '']]);
+    // Unmatched right rows keep their key; an empty key never matches
+    assert.deepEqual(join('full').data.slice(4), [['4', '', '7', 'pad'], ['', '', '1', 'x']]);
+});
+
+test('rejects unknown join types and key columns', () => {
+    assert.throws(() => combiner.join(people, orders, { leftKey: 'id', rightKey: 'person', type: 'cross' }), /Unknown join type/);
+    assert.throws(() => combiner.join(people, orders, { leftKey: 'nope', rightKey: 'person' }), /"nope" isn't a column of people/);
+});
+
+test('suggests where appended columns go, ignoring case and punctuation', () => {
+    const base = { headers: ['Order ID', 'Name', 'city'] };
+    const other = { headers: ['order_id', 'NAME', 'zip'] };
+    assert.deepEqual(combiner.suggestMapping(base, other), ['Order ID', 'Name', '']);
+});
+
+test('appends rows under the mapped columns', () => {
+    const base = { name: 'a', headers: ['id', 'name'], data: [['1', 'Alice']] };
+    const other = { name: 'b', headers: ['name', 'id', 'note', 'skip'], data: [['Bob', '2', 'new', 'x']] };
+    const table = combiner.append(base, other, ['name', 'id', '', null]);
+    assert.deepEqual(table, {
+        name: 'a + b',
+        headers: ['id', 'name', 'note'],
+        data: [['1', 'Alice', ''], ['2', 'Bob', 'new']]
+    });
+    assert.throws(() => combiner.append(base, other, ['id', 'id', null, null]), /Two columns are mapped to "id"/);
+});
+
+test('stack lines up tables under the union of their headers', () => {
+    const stacked = combiner.stack([people, orders]);
+    assert.deepEqual(stacked.headers, ['Table', 'id', 'name', 'person', 'total']);
+    assert.deepEqual(stacked.data[0], ['people', '1', 'Alice', '', '']);
+    assert.deepEqual(stacked.data[3], ['orders', '', 'pen', '1', '10']);
+    assert.equal(stacked.cellTypes, undefined);
+});
+
+test('stacked JSON tables export with their original types', () => {
+    const { FormatParser } = require('../parser.js');
+    const { TableExporter } = require('../exporters.js');
+    const [a] = new FormatParser().parse('[{"id":1,"ok":true},{"id":2,"ok":null}]').tables;
+    const b = { name: 'csv', headers: ['ok', 'id'], data: [['yes', '3']] };
+    const stacked = combiner.stack([{ ...a, name: 'json' }, b]);
+    const json = new TableExporter().toJSON(stacked.headers, stacked.data, {
+        cellType: (r, c) => (stacked.cellTypes[r] ? stacked.cellTypes[r][c] : null)
+    });
+    assert.deepEqual(JSON.parse(json), [
+        { Table: 'json', id: 1, ok: true },
+        { Table: 'json', id: 2, ok: null },
+        { Table: 'csv', id: '3', ok: 'yes' }
+    ]);
+});
@@ -0,0 +1,52 @@
+// Format King - TableDiff tests
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TableDiff } = require('../table-diff.js');
+
+const differ = new TableDiff();
+const before = {
+    headers: ['id', 'name', 'city'],
+    data: [['1', 'Alice', 'NYC'], ['2', 'Bob', 'LA'], ['3', 'Carol', 'SF']]
+};
+const after = {
+    headers: ['city', 'id', 'name', 'email'],
+    data: [['NYC', '1', 'Alice', 'a@x'], ['Boston', '2', 'Bob', ''], ['NYC', '4', 'Dave', 'd@x']]
+};
+
+test('suggests columns unique on both sides as keys', () => {
+    assert.deepEqual(differ.candidateKeys(before, after), ['id', 'name']);
+});
+
+test('pairs rows by key and reports what changed', () => {
+    const result = differ.diff(before, after, ['id']);
+    assert.deepEqual(result.headers, ['id', 'name', 'city', 'email']);
+    assert.deepEqual(result.rows.map(r => [r.status, r.key, r.changed]), [
+        ['unchanged', '["1"]', []],
+        ['changed', '["2"]', [2]],
+        ['added', '["4"]', []],
+        ['removed', '["3"]', []]
+    ]);
+    assert.deepEqual(result.summary, { added: 1, removed: 1, changed: 1, unchanged: 1 });
+    assert.deepEqual(result.addedColumns, ['email']);
+    assert.equal(differ.describe(result), '1 added, 1 removed, 1 changed, 1 unchanged, new columns: email');
+});
+
+test('without keys, rows pair up by position', () => {
+    const result = differ.diff(before, after);
+    assert.deepEqual(result.rows.map(r => r.status), ['unchanged', 'changed', 'changed']);
+});
+
+test('rejects a key that is not in both tables', () => {
+    assert.throws(() => differ.diff(before, after, ['email']), /Key column "email" isn't in both tables/);
+});
+
+test('renders the changes as a table with old → new cells', () => {
+    const table = differ.toTable(differ.diff(before, after, ['id']), 'Diff');
+    assert.deepEqual(table.headers, ['Change', 'id', 'name', 'city', 'email']);
+    assert.deepEqual(table.data, [
+        ['changed', '2', 'Bob', 'LA → Boston', ''],
+        ['added', '4', 'Dave', 'NYC', 'd@x'],
+        ['removed', '3', 'Carol', 'SF', '']
+    ]);
+    assert.deepEqual(table.diff.rows.get(table.data[0]), { status: 'changed', changed: [3] });
+});
@@ -0,0 +1,79 @@
+// Format King - TablePivot tests
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ColumnTypes } = require('../column-types.js');
+const { TablePivot } = require('../table-pivot.js');
+
+const types = new ColumnTypes();
+const pivoter = new TablePivot(types);
+const sales = {
+    name: 'sales',
+    headers: ['region', 'rep', 'quarter', 'amount'],
+    data: [
+        ['East', 'Ann', 'Q1', '$100'],
+        ['East', 'Bob', 'Q1', '$50'],
+        ['East', 'Ann', 'Q2', '$25'],
+        ['West', 'Cid', 'Q2', '$10'],
+        ['West', 'Cid', 'Q1', ''],
+        ['', 'Dee', 'Q1', '$5']
+    ]
+};
+const columnTypes = (table) => table.headers.map((_, i) => types.inferColumn(table.data, i));
+
+test('pivots with subtotals and grand totals', () => {
+    const result = pivoter.pivot(sales, { rows: [0, 1], columns: [2], value: 3, subtotals: true }, columnTypes(sales));
+    assert.deepEqual(result.headers, ['region', 'rep', 'Q1', 'Q2', 'Total']);
+    assert.deepEqual(result.data, [
+        ['East', 'Ann', '100', '25', '125'],
+        ['East', 'Bob', '50', '', '50'],
+        ['East Total', '', '150', '25', '175'],
+        ['West', 'Cid', '', '10', '10'],
+        ['West Total', '', '', '10', '10'],
+        ['(blank)', 'Dee', '5', '', '5'],
+        ['(blank) Total', '', '5', '', '5'],
+        ['Grand Total', '', '155', '35', '190']
+    ]);
+});
+
+test('counts rows and keeps min/max as the original text', () => {
+    const types = columnTypes(sales);
+    assert.deepEqual(pivoter.pivot(sales, { rows: [0], aggregate: 'count' }, types).data,
+        [['East', '3'], ['West', '2'], ['(blank)', '1'], ['Grand Total', '6']]);
+    assert.deepEqual(pivoter.pivot(sales, { rows: [0], value: 3, aggregate: 'max', grandTotals: false }, types).data,
+        [['East', '$100'], ['West', '$10'], ['(blank)', '$5']]);
+});
+
+test('subtotals group labels that sort the same but read differently', () => {
+    const table = { name: 'n', headers: ['g', 'h', 'v'], data: [['1', 'a', '1'], ['1.0', 'a', '2'], ['1', 'b', '4']] };
+    assert.deepEqual(pivoter.pivot(table, { rows: [0, 1], value: 2, subtotals: true }, columnTypes(table)).data, [
+        ['1', 'a', '1'],
+        ['1', 'b', '4'],
+        ['1 Total', '', '5'],
+        ['1.0', 'a', '2'],
+        ['1.0 Total', '', '2'],
+        ['Grand Total', '', '7']
+    ]);
+});
+
+test('subtotals over many row keys add up', () => {
+    const data = [];
+    for (let i = 0; i < 6000; i++) data.push([`k${i % 2000}`, `r${i % 3}`, String(i % 10)]);
+    const table = { name: 'big', headers: ['key', 'region', 'v'], data };
+    const result = pivoter.pivot(table, { rows: [0, 1], value: 2, subtotals: true }, columnTypes(table));
+    assert.equal(result.data.length, 2000 * 3 + 2000 + 1);
+    assert.deepEqual(result.data[result.data.length - 1], ['Grand Total', '', String(600 * 45)]);
+});
+
+test('rejects pivots that cannot be built', () => {
+    const types = columnTypes(sales);
+    assert.throws(() => pivoter.pivot(sales, { rows: [0], value: null, aggregate: 'sum' }, types), /Sum needs a value field/);
+    assert.throws(() => pivoter.pivot(sales, { rows: [0], columns: [0], value: 3 }, types), /can't be both a row and a column field/);
+    assert.throws(() => pivoter.pivot(sales, { value: 3 }, types), /at least one row or column field/);
+});
+
+test('unpivots value columns into name/value rows', () => {
+    const result = pivoter.melt(sales, { idColumns: [1], valueColumns: [2, 3], dropEmpty: true });
+    assert.deepEqual(result.headers, ['rep', 'Column', 'Value']);
+    assert.deepEqual(result.data.slice(-3), [['Cid', 'quarter', 'Q1'], ['Dee', 'quarter', 'Q1'], ['Dee', 'amount', '$5']]);
+    assert.throws(() => pivoter.melt(sales, { idColumns: [0], valueColumns: [3], nameHeader: 'region' }), /"region" is already a column name/);
+});
@@ -0,0 +1,82 @@
+// Format King - TableTransforms tests
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ColumnTypes } = require('../column-types.js');
+const { TableTransforms } = require('../transforms.js');
+
+const transforms = new TableTransforms(new ColumnTypes());
+const people = () => ({
+    headers: ['full_name', 'city', 'note'],
+    data: [[' mary  SMITH ', 'NYC', 'NULL'], ['bob jones', '', 'x'], ['bob jones', '', 'x']]
+});
+
+test('runs the enabled steps in order', () => {
+    const result = transforms.run(people(), [
+        { op: 'trim', columns: [], collapse: true },
+        { op: 'case', columns: ['full_name'], mode: 'title' },
+        { op: 'nullTokens', columns: [] },
+        { op: 'dedupe', columns: [] },
+        { op: 'fillDown', columns: ['city'] },
+        { op: 'replace', columns: ['city'], pattern: 'nyc', replacement: 'New York', ignoreCase: true, enabled: false },
+        { op: 'split', column: 'full_name', delimiter: ' ', names: ['first', 'last'] }
+    ]);
+    assert.deepEqual(result, {
+        headers: ['first', 'last', 'city', 'note'],
+        data: [['Mary', 'Smith', 'NYC', ''], ['Bob', 'Jones', 'NYC', 'x']]
+    });
+});
+
+test('merges columns and drops empty rows and columns', () => {
+    const table = { headers: ['a', 'b', 'c'], data: [['1', '', 'x'], ['', '', ''], ['2', '', 'y']] };
+    assert.deepEqual(transforms.run(table, [{ op: 'dropEmpty' }, { op: 'merge', columns: ['c', 'a'], separator: '-' }]), {
+        headers: ['c a'],
+        data: [['x-1'], ['y-2']]
+    });
+});
+
+test('errors name the step that failed', () => {
+    assert.throws(
+        () => transforms.run(people(), [{ op: 'trim', columns: [] }, { op: 'case', columns: ['nope'], mode: 'upper' }]),
+        /^Error: Step 2 \(UPPER CASE in nope\): no column "nope"$/
+    );
+});
+
+test('JSON cell types follow their rows and columns', () => {
+    const table = {
+        headers: ['id', 'tags'],
+        data: [['1', 'a,b'], ['1', 'a,b'], ['2', '']],
+        cellTypes: [['number', 'string'], ['number', 'string'], ['number', null]]
+    };
+    const result = transforms.run(table, [
+        { op: 'dedupe', columns: [] },
+        { op: 'split', column: 'tags', delimiter: ',', keepOriginal: true }
+    ]);
+    assert.deepEqual(result.headers, ['id', 'tags', 'tags 1', 'tags 2']);
+    assert.deepEqual(result.cellTypes, [['number', 'string', null, null], ['number', null, null, null]]);
+});
+
+test('an edit made between steps survives adding another step', () => {
+    const trim = { op: 'trim', columns: [], collapse: false };
+    const upper = { op: 'case', columns: [], mode: 'upper' };
+    let { pipeline, result: table } = transforms.record(null, [trim], people());
+    assert.equal(table.data[0][0], 'mary  SMITH');
+
+    // Editing the table outside the pipeline settles the steps so far
+    table.data[1][1] = 'Boston';
+    pipeline = transforms.settle(pipeline);
+    assert.deepEqual([pipeline.settled, pipeline.steps], [[trim], []]);
+
+    ({ pipeline, result: table } = transforms.record(pipeline, [upper], table));
+    assert.deepEqual(table.data[1], ['BOB JONES', 'BOSTON', 'X']);
+    assert.deepEqual(pipeline.headers, ['full_name', 'city', 'note']);
+
+    // Changing the steps since re-runs them from the edited table
+    ({ result: table } = transforms.record(pipeline, [{ ...upper, enabled: false }], table));
+    assert.deepEqual(table.data[1], ['bob jones', 'Boston', 'x']);
+});
+
+test('saved pipelines fit tables with the same columns', () => {
+    const saved = { name: 'clean', headers: ['full_name', 'city', 'note'], steps: [] };
+    assert.ok(transforms.fits(saved, people().headers));
+    assert.ok(!transforms.fits(saved, ['full_name', 'city']));
+});
@@ -0,0 +1,69 @@
+// Format King - XlsxWriter tests
+// Workbooks are read back with the vendored SheetJS build.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('../vendor/xlsx.full.min.js');
+const { ColumnTypes } = require('../column-types.js');
+const { XlsxWriter } = require('../xlsx-writer.js');
+
+const types = new ColumnTypes();
+const writer = new XlsxWriter(types);
+
+test('writes typed cells that Excel reads as numbers and dates', () => {
+    const headers = ['name', 'amount', 'share', 'joined', 'note'];
+    const data = [
+        ['Alice', '$1,200.50', '12%', '2024-01-05', 'x & <y>'],
+        ['Bob', '$3', '5%', '2024-02-29', '']
+    ];
+    const columnTypes = headers.map((_, i) => types.inferColumn(data, i));
+    const workbook = XLSX.read(writer.write([{ name: 'People', headers, data, columnTypes }]), { type: 'array' });
+    const sheet = workbook.Sheets.People;
+    const cell = (ref) => sheet[ref] && { t: sheet[ref].t, v: sheet[ref].v };
+
+    assert.deepEqual(cell('A1'), { t: 's', v: 'name' });
+    assert.deepEqual(cell('B2'), { t: 'n', v: 1200.5 });
+    assert.deepEqual(cell('C2'), { t: 'n', v: 0.12 });
+    assert.deepEqual(cell('D2'), { t: 'n', v: writer.excelDate(Date.UTC(2024, 0, 5)) });
+    assert.equal(sheet.D2.w, '2024-01-05');
+    assert.deepEqual(cell('E2'), { t: 's', v: 'x & <y>' });
+    assert.equal(sheet.E3, undefined);
+});
+
+test('keeps zero-padded codes and sizes as text', () => {
+    const headers = ['zip', 'id', 'size'];
+    const data = [['02134', '007', '1.5 KB'], ['10001', '12', '2 MB']];
+    const columnTypes = headers.map((_, i) => types.inferColumn(data, i));
+    const sheet = XLSX.read(writer.write([{ name: 'S', headers, data, columnTypes }]), { type: 'array' }).Sheets.S;
+    const cell = (ref) => ({ t: sheet[ref].t, v: sheet[ref].v });
+    assert.deepEqual([cell('A2'), cell('A3')], [{ t: 's', v: '02134' }, { t: 'n', v: 10001 }]);
+    assert.deepEqual(cell('B2'), { t: 's', v: '007' });
+    assert.deepEqual(cell('C2'), { t: 's', v: '1.5 KB' });
+});
+
+test('writes money with a currency format that keeps its symbol', () => {
+    const headers = ['usd', 'eur'];
+    const data = [['$1,200.50', '12,50 €'], ['-$3', '1.000,00 €']];
+    const columnTypes = headers.map((_, i) => types.inferColumn(data, i));
+    const sheet = XLSX.read(writer.write([{ name: 'S', headers, data, columnTypes }]), { type: 'array' }).Sheets.S;
+    assert.deepEqual([sheet.A2.v, sheet.A2.w, sheet.A3.v, sheet.A3.w], [1200.5, '$1,200.50', -3, '-$3']);
+    // Excel shows the separators of its own locale
+    assert.deepEqual([sheet.B2.v, sheet.B2.w], [12.5, '12.50 €']);
+    assert.equal(writer.currencyFormat('(USD 5)'), '"USD "#,##0');
+});
+
+test('one sheet per table, with names Excel accepts', () => {
+    const table = (name) => ({ name, headers: ['a'], data: [['1']] });
+    const workbook = XLSX.read(writer.write([table('Q1/Q2'), table('q1 q2'), table('')]), { type: 'array' });
+    assert.deepEqual(workbook.SheetNames, ['Q1 Q2', 'q1 q2 (2)', 'Sheet3']);
+    assert.equal(writer.sheetNames(['x'.repeat(40)])[0].length, 31);
+});
+
+test('freezes the header row', () => {
+    assert.match(writer.sheetXml({ headers: ['a'], data: [['1']] }), /<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"\/>/);
+});
+
+test('names columns and dates the way Excel does', () => {
+    assert.deepEqual([0, 25, 26, 701].map(i => writer.columnName(i)), ['A', 'Z', 'AA', 'ZZ']);
+    assert.equal(writer.excelDate(Date.UTC(1900, 0, 1)), 2);
+    assert.equal(writer.excelDate(Date.UTC(2024, 0, 5, 12)), 45296.5);
+});
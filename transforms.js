@@ -0,0 +1,265 @@
+// Format King - Cleaning Transforms
+// Data-cleaning steps (trim, case, find/replace, split, merge, ...) that run
+// in order over a { headers, data } table. Steps are plain objects naming
+// columns by header, so a pipeline can be saved and replayed on another
+// paste with the same columns. No DOM access.
+class TableTransforms {
+    // typeInference is a ColumnTypes instance, for what counts as a NULL token
+    constructor(typeInference) {
+        this.types = typeInference;
+    }
+
+    static get OPERATIONS() {
+        return {
+            trim: 'Trim whitespace',
+            case: 'Change case',
+            replace: 'Find and replace (regex)',
+            split: 'Split column',
+            merge: 'Merge columns',
+            fillDown: 'Fill down blanks',
+            dedupe: 'Remove duplicate rows',
+            dropEmpty: 'Drop empty rows/columns',
+            nullTokens: 'NULL-like values to empty'
+        };
+    }
+
+    static get CASES() {
+        return { upper: 'UPPER CASE', lower: 'lower case', title: 'Title Case' };
+    }
+
+    // Run the enabled steps over a copy of the table, in order. Errors name
+    // the step that failed. A table's cellTypes (per row, as parsed from
+    // JSON) follow the rows they belong to and the columns by name; columns
+    // a step made have none.
+    run(table, steps) {
+        let result = {
+            headers: [...table.headers],
+            data: table.data.map(row => table.headers.map((_, i) => String(row[i] ?? '')))
+        };
+        // Index of the source row behind each result row; steps drop rows
+        // but never add or reorder them
+        let origins = table.data.map((_, r) => r);
+        steps.forEach((step, n) => {
+            if (step.enabled === false) return;
+            try {
+                result = this.apply(result, step);
+            } catch (err) {
+                throw new Error(`Step ${n + 1} (${this.describe(step)}): ${err.message}`);
+            }
+            if (result.kept) origins = result.kept.map(r => origins[r]);
+        });
+        const { headers, data } = result;
+        if (!table.cellTypes) return { headers, data };
+
+        const sources = headers.map(h => table.headers.indexOf(h));
+        const cellTypes = origins.map(r => {
+            const types = table.cellTypes[r];
+            return types ? sources.map(i => (i === -1 ? null : types[i] ?? null)) : null;
+        });
+        return { headers, data, cellTypes };
+    }
+
+    // A table's pipeline is { headers, settled, steps, source }: its headers
+    // before any step, steps already settled into the data, the steps that
+    // can still be changed and re-run, and the table from before the first of
+    // those. Record a new list of steps for table (its current state) and
+    // re-run them; returns { pipeline, result }.
+    record(pipeline, steps, table) {
+        const replay = pipeline && pipeline.steps.length > 0;
+        const source = replay ? pipeline.source : {
+            headers: [...table.headers],
+            data: table.data.map(row => [...row]),
+            ...(table.cellTypes ? { cellTypes: table.cellTypes.map(types => types && [...types]) } : {})
+        };
+        return {
+            pipeline: {
+                headers: pipeline ? pipeline.headers : [...table.headers],
+                settled: pipeline ? pipeline.settled : [],
+                steps,
+                source
+            },
+            result: this.run(source, steps)
+        };
+    }
+
+    // The table was edited outside the pipeline: re-running its steps from
+    // source would lose the edit, so they're settled and the next step
+    // starts from the table as it is now
+    settle(pipeline) {
+        if (!pipeline || pipeline.steps.length === 0) return pipeline;
+        return { headers: pipeline.headers, settled: [...pipeline.settled, ...pipeline.steps], steps: [], source: null };
+    }
+
+    // One step: { op, columns, ...options } -> a new { headers, data }
+    apply(table, step) {
+        switch (step.op) {
+            case 'trim':
+                return this.mapCells(table, step.columns, v => (step.collapse ? v.replace(/\s+/g, ' ').trim() : v.trim()));
+            case 'case':
+                return this.mapCells(table, step.columns, v => this.changeCase(v, step.mode));
+            case 'replace': {
+                if (!step.pattern) throw new Error('nothing to find');
+                let regex;
+                try {
+                    regex = new RegExp(step.pattern, step.ignoreCase ? 'gi' : 'g');
+                } catch (err) {
+                    throw new Error(`invalid pattern: ${err.message}`);
+                }
+                return this.mapCells(table, step.columns, v => v.replace(regex, step.replacement || ''));
+            }
+            case 'split':
+                return this.split(table, step);
+            case 'merge':
+                return this.merge(table, step);
+            case 'fillDown': {
+                const columns = this.columnIndexes(table.headers, step.columns);
+                const last = {};
+                return {
+                    headers: table.headers,
+                    data: table.data.map(row => row.map((cell, i) => {
+                        if (!columns.includes(i)) return cell;
+                        if (cell.trim()) last[i] = cell;
+                        return cell.trim() ? cell : (last[i] ?? cell);
+                    }))
+                };
+            }
+            case 'dedupe': {
+                const columns = this.columnIndexes(table.headers, step.columns);
+                const seen = new Set();
+                return this.keepRows(table, row => {
+                    const key = JSON.stringify(columns.map(i => row[i].trim()));
+                    if (seen.has(key)) return false;
+                    seen.add(key);
+                    return true;
+                });
+            }
+            case 'dropEmpty': {
+                const blank = (v) => !v.trim();
+                const rows = step.dropRows === false ? { ...table, kept: null } : this.keepRows(table, row => !row.every(blank));
+                if (step.dropColumns === false) return rows;
+                const keep = table.headers.map((_, i) => i).filter(i => rows.data.some(row => !blank(row[i])));
+                if (keep.length === 0) throw new Error('every column is empty');
+                return { headers: keep.map(i => table.headers[i]), data: rows.data.map(row => keep.map(i => row[i])), kept: rows.kept };
+            }
+            case 'nullTokens':
+                return this.mapCells(table, step.columns, v => (this.types.isNullToken(v.trim()) ? '' : v));
+            default:
+                throw new Error(`unknown operation "${step.op}"`);
+        }
+    }
+
+    // The rows that pass test, with kept holding their indexes
+    keepRows(table, test) {
+        const kept = table.data.map((_, r) => r).filter(r => test(table.data[r]));
+        return { headers: table.headers, data: kept.map(r => table.data[r]), kept };
+    }
+
+    // Indexes of the named columns; naming none means every column
+    columnIndexes(headers, names = []) {
+        if (!names || names.length === 0) return headers.map((_, i) => i);
+        return names.map(name => {
+            const i = headers.indexOf(name);
+            if (i === -1) throw new Error(`no column "${name}"`);
+            return i;
+        });
+    }
+
+    mapCells(table, names, fn) {
+        const columns = this.columnIndexes(table.headers, names);
+        return {
+            headers: table.headers,
+            data: table.data.map(row => row.map((cell, i) => (columns.includes(i) ? fn(cell) : cell)))
+        };
+    }
+
+    changeCase(value, mode) {
+        if (mode === 'upper') return value.toUpperCase();
+        if (mode === 'lower') return value.toLowerCase();
+        // Title: capitalise the first letter of each word, lower-case the rest
+        return value.toLowerCase().replace(/(^|[\s\-(/])(\p{L})/gu, (_, before, letter) => before + letter.toUpperCase());
+    }
+
+    // A header not already in headers: name, else "name 2", "name 3", ...
+    uniqueName(headers, name) {
+        let result = name;
+        for (let n = 2; headers.includes(result); n++) result = `${name} ${n}`;
+        return result;
+    }
+
+    // Split { column } on a literal delimiter into columns after it. With
+    // names, there are that many parts and the last keeps the rest of the
+    // text; without, as many as the longest value has, named "column 1", ...
+    split(table, { column, delimiter, names = [], keepOriginal = false }) {
+        const [index] = this.columnIndexes(table.headers, [column]);
+        if (!delimiter) throw new Error('no delimiter');
+        const partsOf = (cell) => {
+            if (!cell.trim()) return [];
+            const parts = cell.split(delimiter).map(p => p.trim());
+            if (names.length === 0 || parts.length <= names.length) return parts;
+            return [...parts.slice(0, names.length - 1), parts.slice(names.length - 1).join(delimiter)];
+        };
+        const split = table.data.map(row => partsOf(row[index]));
+        const count = names.length || Math.min(50, split.reduce((most, parts) => Math.max(most, parts.length), 1));
+
+        const others = table.headers.filter((_, i) => keepOriginal || i !== index);
+        const added = [];
+        for (let k = 0; k < count; k++) {
+            added.push(this.uniqueName([...others, ...added], names[k] || `${column} ${k + 1}`));
+        }
+        const at = keepOriginal ? index + 1 : index;
+        const headers = [...table.headers];
+        headers.splice(index, keepOriginal ? 0 : 1);
+        headers.splice(at, 0, ...added);
+        const data = table.data.map((row, r) => {
+            const cells = [...row];
+            cells.splice(index, keepOriginal ? 0 : 1);
+            cells.splice(at, 0, ...added.map((_, k) => split[r][k] ?? ''));
+            return cells;
+        });
+        return { headers, data };
+    }
+
+    // Merge { columns } into one column where the first of them was, joining
+    // the non-empty values with separator
+    merge(table, { columns, separator = ' ', name }) {
+        if (!columns || columns.length < 2) throw new Error('pick at least two columns');
+        const indexes = this.columnIndexes(table.headers, columns);
+        const at = Math.min(...indexes);
+        const keep = table.headers.map((_, i) => i).filter(i => !indexes.includes(i));
+        const position = keep.filter(i => i < at).length;
+        const headers = keep.map(i => table.headers[i]);
+        headers.splice(position, 0, this.uniqueName(headers, name || columns.join(' ')));
+        const data = table.data.map(row => {
+            const cells = keep.map(i => row[i]);
+            cells.splice(position, 0, indexes.map(i => row[i].trim()).filter(Boolean).join(separator));
+            return cells;
+        });
+        return { headers, data };
+    }
+
+    // Short description of a step for the pipeline list
+    describe(step) {
+        const columns = step.columns && step.columns.length > 0 ? step.columns.join(', ') : 'all columns';
+        switch (step.op) {
+            case 'trim': return `${step.collapse ? 'Trim and collapse whitespace' : 'Trim whitespace'} in ${columns}`;
+            case 'case': return `${TableTransforms.CASES[step.mode] || step.mode} in ${columns}`;
+            case 'replace': return `Replace /${step.pattern}/${step.ignoreCase ? 'i' : ''} with "${step.replacement || ''}" in ${columns}`;
+            case 'split': return `Split ${step.column} on "${step.delimiter}"${step.names && step.names.length > 0 ? ` into ${step.names.join(', ')}` : ''}`;
+            case 'merge': return `Merge ${step.columns.join(', ')} into ${step.name || step.columns.join(' ')}`;
+            case 'fillDown': return `Fill down blanks in ${columns}`;
+            case 'dedupe': return `Remove duplicate rows by ${step.columns && step.columns.length > 0 ? columns : 'whole row'}`;
+            case 'dropEmpty': return `Drop empty ${[step.dropRows !== false && 'rows', step.dropColumns !== false && 'columns'].filter(Boolean).join(' and ')}`;
+            case 'nullTokens': return `NULL-like values to empty in ${columns}`;
+            default: return step.op;
+        }
+    }
+
+    // Whether a saved pipeline was recorded on a table with these headers
+    fits(pipeline, headers) {
+        return pipeline.headers.length === headers.length && pipeline.headers.every((h, i) => h === headers[i]);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TableTransforms };
+}
@@ -0,0 +1,319 @@
+// Format King - XLSX Export
+// Writes tables to an Excel workbook, one worksheet per table, without any
+// library: the parts are plain XML in an uncompressed zip. Headers are bold
+// and frozen, numbers, money and dates are written as typed cells (unless
+// that would change their text, like "02134") and column widths are fitted
+// to their contents. No DOM access.
+class XlsxWriter {
+    // typeInference is a ColumnTypes instance, used to read typed cell values
+    constructor(typeInference) {
+        this.types = typeInference;
+        this.encoder = new TextEncoder();
+    }
+
+    // Cell styles, by index into cellXfs in styles.xml. Currency number
+    // formats follow from index currency on, one per symbol and decimals.
+    static get STYLES() {
+        return { text: 0, header: 1, integer: 2, decimal: 3, percent: 4, date: 5, datetime: 6, currency: 7 };
+    }
+
+    static get MIME_TYPE() {
+        return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    }
+
+    // tables: [{ name, headers, data, columnTypes }] -> workbook bytes (Uint8Array)
+    write(tables) {
+        const names = this.sheetNames(tables.map(t => t.name));
+        const currencyFormats = [];
+        const sheets = tables.map(table => this.sheetXml(table, currencyFormats));
+        const files = [
+            { name: '[Content_Types].xml', content: this.contentTypesXml(tables.length) },
+            { name: '_rels/.rels', content: this.rootRelsXml() },
+            { name: 'xl/workbook.xml', content: this.workbookXml(names) },
+            { name: 'xl/_rels/workbook.xml.rels', content: this.workbookRelsXml(tables.length) },
+            { name: 'xl/styles.xml', content: this.stylesXml(currencyFormats) },
+            ...sheets.map((content, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content }))
+        ];
+        return this.zip(files.map(f => ({ name: f.name, data: this.encoder.encode(f.content) })));
+    }
+
+    // Excel sheet names: at most 31 characters, none of []:*?/\, unique ignoring case
+    sheetNames(names) {
+        const used = new Set();
+        return names.map((name, i) => {
+            const base = (String(name || '').replace(/[[\]:*?/\\\s]+/g, ' ').trim() || `Sheet${i + 1}`).slice(0, 31);
+            let candidate = base;
+            for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+                const suffix = ` (${n})`;
+                candidate = base.slice(0, 31 - suffix.length) + suffix;
+            }
+            used.add(candidate.toLowerCase());
+            return candidate;
+        });
+    }
+
+    escapeXml(text) {
+        return String(text ?? '')
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Column letters for a zero-based index: 0 -> A, 26 -> AA
+    columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    // Days since 1899-12-30, the way Excel stores dates
+    excelDate(time) {
+        return time / 86400000 + 25569;
+    }
+
+    // Excel number format showing an amount the way text like "$1,200.50"
+    // or "12,50 €" does: its symbol on the same side and as many decimals
+    currencyFormat(text, decimal = '.') {
+        const symbol = '[^\\d\\s+\\-.,()]+';
+        const prefix = new RegExp(`^[-(]?\\s*(${symbol}\\s?)`).exec(text);
+        const suffix = new RegExp(`(\\s?${symbol})\\)?$`).exec(text);
+        const fraction = new RegExp(`\\${decimal}(\\d+)`).exec(text);
+        const quote = (part) => (part ? `"${part[1].replace(/"/g, '')}"` : '');
+        const digits = fraction ? `#,##0.${'0'.repeat(fraction[1].length)}` : '#,##0';
+        return quote(prefix) + digits + quote(suffix);
+    }
+
+    // { value, style } for a typed cell, or null to write the text as-is.
+    // currencyFormats collects the currency number formats the cells use.
+    typedValue(text, columnType, currencyFormats = []) {
+        if (!columnType || !this.types) return null;
+        const { STYLES } = XlsxWriter;
+        if (columnType.type === 'integer' || columnType.type === 'decimal') {
+            const number = this.types.exactNumber(text, columnType);
+            if (number === null) return null;
+            return { value: number, style: Number.isInteger(number) ? STYLES.integer : STYLES.decimal };
+        }
+
+        const key = this.types.sortKey(text, columnType);
+        if (typeof key !== 'number' || !Number.isFinite(key)) return null;
+        switch (columnType.type) {
+            case 'currency': {
+                const format = this.currencyFormat(text, columnType.decimal);
+                if (!currencyFormats.includes(format)) currencyFormats.push(format);
+                return { value: key, style: STYLES.currency + currencyFormats.indexOf(format) };
+            }
+            case 'percent':
+                return { value: key, style: STYLES.percent };
+            case 'date':
+                return { value: this.excelDate(key), style: STYLES.date };
+            case 'datetime':
+                return { value: this.excelDate(key), style: STYLES.datetime };
+            default:
+                return null;
+        }
+    }
+
+    cellXml(ref, text, columnType, style, currencyFormats) {
+        const typed = style === undefined ? this.typedValue(String(text ?? '').trim(), columnType, currencyFormats) : null;
+        if (typed) return `<c r="${ref}" s="${typed.style}"><v>${typed.value}</v></c>`;
+        if (text === '' || text === null || text === undefined) return '';
+        const attrs = style ? ` s="${style}"` : '';
+        return `<c r="${ref}"${attrs} t="inlineStr"><is><t xml:space="preserve">${this.escapeXml(text)}</t></is></c>`;
+    }
+
+    // Width in characters of the longest line in each column, within limits.
+    // Dates are as wide as their number format, whatever the source text.
+    columnWidths(headers, rows, columnTypes = []) {
+        const longest = (text) => Math.max(...String(text ?? '').split('\n').map(line => [...line].length));
+        const formatWidth = { date: 10, datetime: 19 };
+        return headers.map((header, i) => {
+            let width = longest(header) + 2; // Bold headers run a little wider
+            const type = columnTypes[i] && columnTypes[i].type;
+            if (formatWidth[type]) width = Math.max(width, formatWidth[type]);
+            for (const row of rows) width = Math.max(width, longest(row[i]));
+            return Math.min(Math.max(width + 1, 6), 60);
+        });
+    }
+
+    sheetXml({ headers, data, columnTypes = [] }, currencyFormats = []) {
+        const cols = this.columnWidths(headers, data, columnTypes)
+            .map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`)
+            .join('');
+        const row = (cells, r, style) => {
+            const xml = headers.map((_, c) => this.cellXml(`${this.columnName(c)}${r}`, cells[c], columnTypes[c], style, currencyFormats)).join('');
+            return `<row r="${r}">${xml}</row>`;
+        };
+        const rows = [
+            row(headers, 1, XlsxWriter.STYLES.header),
+            ...data.map((cells, i) => row(cells, i + 2))
+        ].join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0">' +
+            '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+            '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/>' +
+            '</sheetView></sheetViews>' +
+            (cols ? `<cols>${cols}</cols>` : '') +
+            `<sheetData>${rows}</sheetData>` +
+            '</worksheet>';
+    }
+
+    stylesXml(currencyFormats = []) {
+        const formats = currencyFormats
+            .map((format, i) => `<numFmt numFmtId="${166 + i}" formatCode="${this.escapeXml(format)}"/>`)
+            .join('');
+        const currencyXfs = currencyFormats
+            .map((_, i) => `<xf numFmtId="${166 + i}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`)
+            .join('');
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<numFmts count="${2 + currencyFormats.length}">` +
+            '<numFmt numFmtId="164" formatCode="yyyy-mm-dd"/>' +
+            '<numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/>' +
+            formats +
+            '</numFmts>' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+            '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+            '<fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            `<cellXfs count="${7 + currencyFormats.length}">` +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            currencyXfs +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+    }
+
+    workbookXml(names) {
+        const sheets = names
+            .map((name, i) => `<sheet name="${this.escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+            .join('');
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets>${sheets}</sheets></workbook>`;
+    }
+
+    workbookRelsXml(sheetCount) {
+        const type = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        const sheets = Array.from({ length: sheetCount }, (_, i) =>
+            `<Relationship Id="rId${i + 1}" Type="${type}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+        ).join('');
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            sheets +
+            `<Relationship Id="rId${sheetCount + 1}" Type="${type}/styles" Target="styles.xml"/>` +
+            '</Relationships>';
+    }
+
+    rootRelsXml() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>';
+    }
+
+    contentTypesXml(sheetCount) {
+        const main = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+        const sheets = Array.from({ length: sheetCount }, (_, i) =>
+            `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="${main}.worksheet+xml"/>`
+        ).join('');
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            `<Override PartName="/xl/workbook.xml" ContentType="${main}.sheet.main+xml"/>` +
+            `<Override PartName="/xl/styles.xml" ContentType="${main}.styles+xml"/>` +
+            sheets +
+            '</Types>';
+    }
+
+    crc32(bytes) {
+        if (!XlsxWriter.crcTable) {
+            XlsxWriter.crcTable = new Uint32Array(256).map((_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                return c;
+            });
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = XlsxWriter.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // Uncompressed ("stored") zip archive of [{ name, data: Uint8Array }]
+    zip(files) {
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+        const DOS_DATE = 0x0021; // 1980-01-01
+
+        for (const file of files) {
+            const name = this.encoder.encode(file.name);
+            const crc = this.crc32(file.data);
+            const size = file.data.length;
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);         // Version needed
+            local.setUint16(8, 0, true);          // Stored
+            local.setUint16(12, DOS_DATE, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, size, true);
+            local.setUint32(22, size, true);
+            local.setUint16(26, name.length, true);
+            chunks.push(new Uint8Array(local.buffer), name, file.data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);         // Version made by
+            entry.setUint16(6, 20, true);         // Version needed
+            entry.setUint16(10, 0, true);         // Stored
+            entry.setUint16(14, DOS_DATE, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, size, true);
+            entry.setUint32(24, size, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + size;
+        }
+
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        for (const part of parts) {
+            result.set(part, position);
+            position += part.length;
+        }
+        return result;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { XlsxWriter };
+}